@@ -0,0 +1,64 @@
+const { IndexKeys, languageIndexKey } = require('../store/indexes.js');
+const { LANGUAGE_NAMES } = require('../parser/genres.js');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Audio languages that get their own catalog, keyed by the codes parseTitle produces.
+ * @type {Array<{code: string, name: string}>}
+ */
+const LANGUAGE_CATALOGS = ['ta', 'te', 'ml', 'hi', 'kn'].map(code => ({ code, name: LANGUAGE_NAMES[code] }));
+
+/**
+ * @typedef {object} CatalogDefinition
+ * @property {string} id - Catalog ID declared in the manifest.
+ * @property {string} name - Display name shown in Stremio.
+ * @property {string} indexKey - Show index (sorted set) the catalog pages through, newest first.
+ * @property {number} [maxAgeMs] - Only include shows scored within this many milliseconds of now.
+ * @property {boolean} [searchable] - Whether the catalog accepts the `search` extra.
+ */
+
+/**
+ * Every catalog the addon serves. The manifest is generated from this list and
+ * catalogHandler dispatches on it, so a new catalog only needs an entry here.
+ * @type {CatalogDefinition[]}
+ */
+const CATALOG_DEFINITIONS = [
+  {
+    id: 'tamil-web-series',
+    name: 'Tamil Web Series',
+    indexKey: IndexKeys.SHOWS_BY_UPDATED,
+    searchable: true,
+  },
+  {
+    id: 'tamil-recent-episodes',
+    name: 'Recently Updated Episodes',
+    indexKey: IndexKeys.SHOWS_BY_EPISODE_ADDED,
+  },
+  {
+    id: 'tamil-new-this-week',
+    name: 'New Shows This Week',
+    indexKey: IndexKeys.SHOWS_BY_STARTED,
+    maxAgeMs: WEEK_MS,
+  },
+  ...LANGUAGE_CATALOGS.map(({ code, name }) => ({
+    id: `tamil-lang-${code}`,
+    name: `${name} Audio`,
+    indexKey: languageIndexKey(code),
+  })),
+];
+
+/**
+ * Looks up a catalog definition by ID.
+ * @param {string} id The catalog ID from the request.
+ * @returns {CatalogDefinition|undefined}
+ */
+function getCatalogDefinition(id) {
+  return CATALOG_DEFINITIONS.find(catalog => catalog.id === id);
+}
+
+module.exports = {
+  LANGUAGE_CATALOGS,
+  CATALOG_DEFINITIONS,
+  getCatalogDefinition
+};
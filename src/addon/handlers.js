@@ -1,16 +1,41 @@
 const redisClient = require('../../src/redis.js'); // Direct import of the default exported redisClient instance
-const { config } = require('../../src/config.js'); // Use .js extension
 const { logger } = require('../../src/utils/logger.js'); // Use .js extension
-const { 
-  normalizeTitle, 
-  fuzzyMatch, 
-  cleanBaseTitleForCatalog, 
-  cleanStreamDetailsTitle 
-} = require('../../src/parser/title.js'); // Use .js extension
-
-// In-memory cache for meta items to reduce Redis lookups
+const {
+  countShows,
+  getShowIdsByRecency,
+  getStreamKeysForShow,
+  getEpisodeKeysForShow,
+  getStreamKeysForEpisode,
+  getShowIdForExternalId,
+  getSubtitleKeysForEpisode,
+  genreIndexKey,
+  languageIndexKey,
+  filterShowIndexByGenre,
+  filterShowIndexByLanguages,
+  hgetallMany
+} = require('../../src/store/indexes.js');
+const { searchShows } = require('../../src/store/searchIndex.js');
+const { seriesKey } = require('../../src/store/schema.js');
+const { getCatalogDefinition } = require('../../src/addon/catalogs.js');
+const {
+  parseUserConfig,
+  hasStreamFilters,
+  streamFiltersKey,
+  streamMatchesPreferences
+} = require('../../src/addon/userConfig.js');
+const { buildRankingPolicy, rankStreams, describeRanking } = require('../../src/addon/ranking.js');
+const { getDebridProvider, checkAvailability, buildResolveUrl } = require('../../src/debrid/index.js');
+const { parseStoredArray, streamSizeBytes, showYear } = require('../../src/parser/genres.js');
+const { buildPosterUrl } = require('../../src/posters/cache.js');
+const { buildSubtitleUrl } = require('../../src/subtitles/index.js');
+
+// In-memory cache for meta items to reduce Redis lookups; entries are kept in insertion order,
+// which is also expiry order, so the oldest ones are dropped first
 const metaCache = new Map();
-const STREAM_CACHE_TTL_SECONDS = 5 * 60; // 5 minutes for stream cache
+const META_CACHE_TTL_SECONDS = 5 * 60; // Short enough that newly crawled episodes show up promptly
+const MAX_META_CACHE_ENTRIES = 1000;
+const CATALOG_PAGE_SIZE = 100; // Stremio requests the next page with skip=100, skip=200, ...
+const IMDB_ID_REGEX = /^tt\d{7,}$/;
 
 /**
  * @typedef {object} VideoItem
@@ -25,80 +50,167 @@ const STREAM_CACHE_TTL_SECONDS = 5 * 60; // 5 minutes for stream cache
  * @typedef {object} StremioStream
  * @property {string} [name]
  * @property {string} [title]
- * @property {string} infoHash
+ * @property {string} [description]
+ * @property {string} [infoHash]
  * @property {string[]} [sources]
  * @property {number} [fileIdx]
  * @property {string} [url]
  * @property {string} [ytId]
  * @property {string} [externalUrl]
+ * @property {StreamBehaviorHints} [behaviorHints]
+ */
+
+/**
+ * @typedef {object} StreamBehaviorHints
+ * @property {string} [bingeGroup] - Streams sharing it are preferred for the next episode on autoplay.
+ * @property {string} [filename] - Original file name, used by Stremio to find subtitles.
+ * @property {number} [videoSize] - File size in bytes, used by Stremio to find subtitles.
+ * @property {boolean} [notWebReady]
+ */
+
+/**
+ * Builds the video ID for an episode, in the `<showId>:<season>:<episode>` form Stremio series use.
+ * @param {string} showId The show's Stremio ID.
+ * @param {number} season The season number.
+ * @param {number} episode The episode number.
+ * @returns {string}
+ */
+function buildEpisodeVideoId(showId, season, episode) {
+  return `${showId}:${season}:${episode}`;
+}
+
+/**
+ * Parses an episode video ID built by buildEpisodeVideoId.
+ * @param {string} videoId The video ID from a stream request.
+ * @returns {{showId: string, season: number, episode: number}|null} The parts, or null if the ID is not an episode ID.
+ */
+function parseEpisodeVideoId(videoId) {
+  const match = videoId.match(/^(tt[^:]+):(\d+):(\d+)$/);
+  if (!match) {
+    return null;
+  }
+  return { showId: match[1], season: parseInt(match[2], 10), episode: parseInt(match[3], 10) };
+}
+
+/**
+ * Resolves the show an episode video ID refers to. Requests from other catalogs (e.g. Cinemeta)
+ * use the real IMDb ID of shows we have mapped.
+ * @param {{showId: string}} episodeRef The parsed episode video ID.
+ * @returns {Promise<string>} The show's Stremio ID.
+ */
+async function resolveEpisodeShowId(episodeRef) {
+  return (IMDB_ID_REGEX.test(episodeRef.showId) && await getShowIdForExternalId(episodeRef.showId)) || episodeRef.showId;
+}
+
+/**
+ * Builds the description shown for a series: the synopsis from its thread's first post,
+ * or the source thread details when the post had none.
+ * @param {object} seriesData The `series:` hash.
+ * @returns {string}
+ */
+function buildSeriesDescription(seriesData) {
+  const seasons = seriesData.seasons ? JSON.parse(seriesData.seasons) : [];
+  const seasonLine = seasons.length > 0 ? `\nSeasons: ${seasons.join(', ')}` : '';
+  if (seriesData.synopsis) {
+    const platforms = parseStoredArray(seriesData.platforms);
+    const platformLine = platforms.length > 0 ? `\nStreaming on: ${platforms.join(', ')}` : '';
+    const detailLines = `${platformLine}${seasonLine}`;
+    return detailLines ? `${seriesData.synopsis}\n${detailLines}` : seriesData.synopsis;
+  }
+  return `Source Thread: ${seriesData.associatedThreadId || 'N/A'}\nStarted: ${new Date(seriesData.threadStartedTime).toLocaleDateString()}${seasonLine}`;
+}
+
+/**
+ * Builds the Stremio releaseInfo for a series: its year, falling back to when its thread was started.
+ * @param {object} seriesData The `series:` hash.
+ * @returns {string}
  */
+function seriesReleaseInfo(seriesData) {
+  const year = showYear(seriesData);
+  return year ? year.toString() : '';
+}
 
 /**
  * Handles catalog requests from Stremio.
  * @param {string} type The type of catalog (e.g., 'series').
- * @param {string} id The catalog ID (e.g., 'tamil-web-series').
- * @param {object} extra Stremio extra parameters (e.g., search, skip).
+ * @param {string} id The catalog ID (e.g., 'tamil-web-series'); see CATALOG_DEFINITIONS.
+ * @param {object} extra Stremio extra parameters (e.g., search, genre, skip). `genre` also carries year filters like "2024".
+ * @param {object} [userConfig] The user's config segment; only shows in the preferred languages are listed.
  * @returns {Promise<object>} A Promise resolving to an object containing an array of meta objects.
  */
-async function catalogHandler(type, id, extra) {
+async function catalogHandler(type, id, extra, userConfig) {
   logger.info(`Received catalog request: type=${type}, id=${id}, extra=${JSON.stringify(extra)}`);
   
-  if (type !== 'series' || id !== 'tamil-web-series') {
+  const catalog = getCatalogDefinition(id);
+  if (type !== 'series' || !catalog) {
     logger.warn(`Unsupported catalog request: type=${type}, id=${id}`);
     return { metas: [] };
   }
 
-  let movieKeys = [];
-  const searchKeywords = extra.search ? normalizeTitle(extra.search) : null;
+  const searchKeywords = catalog.searchable && extra.search ? extra.search.trim() : null;
+  const genre = extra.genre ? extra.genre.trim() : null;
+  const skip = Math.max(parseInt(extra.skip, 10) || 0, 0);
+  const preferences = parseUserConfig(userConfig);
 
   try {
+    let pageEntries;
+    let totalCount;
     if (searchKeywords) {
       logger.info(`Performing search for: ${searchKeywords}`);
-      const keys = await redisClient.keys('movie:*');
-      for (const key of keys) {
-        const movieData = await redisClient.hgetall(key);
-        if (movieData && fuzzyMatch(searchKeywords, normalizeTitle(movieData.originalTitle || ''))) {
-          movieKeys.push(key);
+      let results = await searchShows(searchKeywords);
+      if (genre) {
+        const genreShowIds = new Set(await getShowIdsByRecency(0, -1, genreIndexKey(genre)));
+        results = results.filter(result => genreShowIds.has(result.showId));
+      }
+      if (preferences.languages.length > 0) {
+        const languageShowIds = new Set();
+        for (const languageCode of preferences.languages) {
+          (await getShowIdsByRecency(0, -1, languageIndexKey(languageCode))).forEach(showId => languageShowIds.add(showId));
         }
+        results = results.filter(result => languageShowIds.has(result.showId));
       }
+      totalCount = results.length;
+      const pageResults = results.slice(skip, skip + CATALOG_PAGE_SIZE);
+      const seriesEntries = await hgetallMany(pageResults.map(result => seriesKey(result.showId)));
+      pageEntries = seriesEntries.filter(seriesData => seriesData && seriesData.stremioId);
     } else {
-      movieKeys = await redisClient.keys('movie:*');
-    }
-
-    const metas = await Promise.all(movieKeys.map(async (key) => {
-      const movieData = await redisClient.hgetall(key);
-      if (!movieData || !movieData.stremioId) { // Ensure stremioId exists
-        logger.warn(`Missing or invalid movie data for key: ${key}`);
-        return null;
+      const minScore = catalog.maxAgeMs ? Date.now() - catalog.maxAgeMs : undefined;
+      let indexKey = genre ? await filterShowIndexByGenre(catalog.indexKey, genre) : catalog.indexKey;
+      if (preferences.languages.length > 0) {
+        indexKey = await filterShowIndexByLanguages(indexKey, preferences.languages);
       }
+      totalCount = await countShows(indexKey, minScore);
+      const showIds = await getShowIdsByRecency(skip, CATALOG_PAGE_SIZE, indexKey, minScore);
+      const seriesEntries = await hgetallMany(showIds.map(seriesKey));
+      pageEntries = seriesEntries.filter((seriesData, index) => {
+        if (!seriesData || !seriesData.stremioId) { // Ensure stremioId exists
+          logger.warn(`Missing or invalid series data for key: ${seriesKey(showIds[index])}`);
+          return false;
+        }
+        return true;
+      });
+    }
 
+    const metas = pageEntries.map((seriesData) => {
       const meta = {
-        id: movieData.stremioId,
+        id: seriesData.stremioId,
         type: 'series',
-        name: movieData.originalTitle,
-        poster: movieData.posterUrl,
+        name: seriesData.name,
+        poster: buildPosterUrl(seriesData.stremioId, 'poster'),
         posterShape: 'regular',
-        background: movieData.posterUrl,
-        description: `Source Thread: ${movieData.associatedThreadId || 'N/A'}\nStarted: ${new Date(movieData.threadStartedTime).toLocaleDateString()}`,
-        releaseInfo: new Date(movieData.threadStartedTime).getFullYear().toString(),
+        background: buildPosterUrl(seriesData.stremioId, 'background'),
+        description: buildSeriesDescription(seriesData),
+        releaseInfo: seriesReleaseInfo(seriesData),
         imdbRating: 'N/A',
-        genres: movieData.languages ? JSON.parse(movieData.languages) : [], // Parse languages from JSON
-        videos: movieData.seasons ? JSON.parse(movieData.seasons).map(s => ({ season: s })) : [], // Parse seasons from JSON
+        genres: seriesData.languages ? JSON.parse(seriesData.languages) : [], // Parse languages from JSON
+        lastUpdated: seriesData.lastUpdated,
       };
-      
-      metaCache.set(meta.id, meta);
 
       return meta;
-    }));
-
-    const filteredMetas = metas.filter(Boolean).sort((a, b) => {
-      const dateA = new Date(metaCache.get(a.id)?.lastUpdated || 0).getTime(); // lastUpdated might be null from cache
-      const dateB = new Date(metaCache.get(b.id)?.lastUpdated || 0).getTime();
-      return dateB - dateA;
     });
 
-    logger.info(`Returning ${filteredMetas.length} catalog items.`);
-    return { metas: filteredMetas };
+    logger.info(`Returning ${metas.length} of ${totalCount} catalog items (skip=${skip}).`);
+    return { metas: metas };
   } catch (error) {
     logger.error('Error in catalogHandler:', error);
     logger.logToRedisErrorQueue({
@@ -111,13 +223,50 @@ async function catalogHandler(type, id, extra) {
   }
 }
 
+/**
+ * Finds the episodes of a show that have at least one stream passing the user's filters.
+ * @param {string} showId The show's Stremio ID.
+ * @param {import('./userConfig.js').UserPreferences} preferences
+ * @returns {Promise<Set<string>>} Episode video IDs.
+ */
+async function getVideoIdsWithMatchingStreams(showId, preferences) {
+  const streamRecords = await hgetallMany(await getStreamKeysForShow(showId));
+  const videoIds = new Set();
+  streamRecords
+    .filter(streamData => streamData && streamMatchesPreferences(streamData, preferences))
+    .forEach(streamData => {
+      const season = parseInt(streamData.seasonNumber, 10) || 1;
+      const episode = parseInt(streamData.episodeNumber, 10) || 1;
+      videoIds.add(buildEpisodeVideoId(showId, season, episode));
+    });
+  return videoIds;
+}
+
+/**
+ * Caches a meta item, first dropping expired entries and, past MAX_META_CACHE_ENTRIES, the oldest.
+ * @param {string} cacheKey
+ * @param {object} meta
+ * @returns {void}
+ */
+function cacheMeta(cacheKey, meta) {
+  const now = Date.now();
+  for (const [key, entry] of metaCache) {
+    if (entry.expiresAt > now && metaCache.size < MAX_META_CACHE_ENTRIES) {
+      break;
+    }
+    metaCache.delete(key);
+  }
+  metaCache.set(cacheKey, { meta: meta, expiresAt: now + META_CACHE_TTL_SECONDS * 1000 });
+}
+
 /**
  * Handles meta requests from Stremio.
  * @param {string} type The type of content.
  * @param {string} id The ID of the content.
+ * @param {object} [userConfig] The user's config segment; episodes without a matching stream are left out.
  * @returns {Promise<object>} A Promise resolving to an object containing the meta object.
  */
-async function metaHandler(type, id) {
+async function metaHandler(type, id, userConfig) {
   logger.info(`Received meta request: type=${type}, id=${id}`);
   
   if (type !== 'series' || !id.startsWith('tt')) {
@@ -125,67 +274,89 @@ async function metaHandler(type, id) {
     return { meta: null };
   }
 
-  if (metaCache.has(id)) {
+  const preferences = parseUserConfig(userConfig);
+  const isFiltered = hasStreamFilters(preferences);
+  const cacheKey = isFiltered ? `${id}|${streamFiltersKey(preferences)}` : id;
+  const cachedMeta = metaCache.get(cacheKey);
+  if (cachedMeta && cachedMeta.expiresAt > Date.now()) {
     logger.info(`Returning meta from cache for ID: ${id}`);
-    return { meta: metaCache.get(id) };
+    return { meta: cachedMeta.meta };
   }
+  metaCache.delete(cacheKey);
 
   try {
-    const movieData = await redisClient.hgetall(`movie:${id}`);
-    if (!movieData) {
-      logger.info(`Movie with Stremio ID ${id} not found in Redis.`);
+    const seriesData = await redisClient.hgetall(seriesKey(id));
+    if (!seriesData || !seriesData.stremioId) {
+      logger.info(`Series with Stremio ID ${id} not found in Redis.`);
       return { meta: null };
     }
 
     /** @type {object} */
     const meta = {
-      id: movieData.stremioId,
+      id: seriesData.stremioId,
       type: 'series',
-      name: movieData.originalTitle,
-      poster: movieData.posterUrl,
+      name: seriesData.name,
+      poster: buildPosterUrl(seriesData.stremioId, 'poster'),
       posterShape: 'regular',
-      background: movieData.posterUrl,
-      description: `Source Thread: ${movieData.associatedThreadId || 'N/A'}\nStarted: ${new Date(movieData.threadStartedTime).toLocaleDateString()}`,
-      releaseInfo: new Date(movieData.threadStartedTime).getFullYear().toString(),
+      background: buildPosterUrl(seriesData.stremioId, 'background'),
+      description: buildSeriesDescription(seriesData),
+      releaseInfo: seriesReleaseInfo(seriesData),
       imdbRating: 'N/A',
-      genres: movieData.languages ? JSON.parse(movieData.languages) : [],
+      // Genres from the first post when it listed them, else the show's languages
+      genres: seriesData.genres ? parseStoredArray(seriesData.genres) : parseStoredArray(seriesData.languages),
+      cast: parseStoredArray(seriesData.cast),
+      director: parseStoredArray(seriesData.director),
       videos: [], 
     };
+    if (seriesData.runtime) {
+      meta.runtime = seriesData.runtime;
+    }
+    const trailerIds = parseStoredArray(seriesData.trailers);
+    if (trailerIds.length > 0) {
+      meta.trailers = trailerIds.map(ytId => ({ source: ytId, type: 'Trailer' }));
+      meta.trailerStreams = buildTrailerStreams(trailerIds).map(({ title, ytId }) => ({ title, ytId }));
+    }
 
-    const streamKeys = await redisClient.keys(`stream:${id}:s*`); // Updated to 'stream:' prefix for streams
-    const videos = await Promise.all(streamKeys.map(async (key) => {
-      const streamData = await redisClient.hgetall(key); // This is stream data, not episode data
-      if (!streamData) {
-        logger.warn(`Missing stream data for key: ${key}`);
-        return null;
+    const episodeKeys = await getEpisodeKeysForShow(id);
+    const episodeRecords = await hgetallMany(episodeKeys);
+
+    // One video per episode record; the quality variants of an episode are served together by streamHandler
+    /** @type {Map<string, VideoItem>} */
+    const videosById = new Map();
+    episodeKeys.forEach((key, index) => {
+      const episodeData = episodeRecords[index];
+      if (!episodeData) {
+        logger.warn(`Missing episode data for key: ${key}`);
+        return;
       }
-      
-      // Parse season and episode from key
-      // Example key: stream:ttbeast-games-2024-s01:s1e1:720p-INFO_HASH
-      const parts = key.split(':');
-      const seasonMatch = parts[2]?.match(/s(\d+)/); 
-      const episodeMatch = parts[3]?.match(/e(\d+)/); 
-
-      const season = seasonMatch ? parseInt(seasonMatch[1], 10) : (streamData.seasonNumber ? parseInt(streamData.seasonNumber, 10) : 1);
-      const episode = episodeMatch ? parseInt(episodeMatch[1], 10) : (streamData.episodeNumber ? parseInt(streamData.episodeNumber, 10) : 1);
-
-      return {
-        id: key, // Unique ID for the video (stream)
-        title: streamData.title, // Use the stream's title
-        released: streamData.timestamp ? new Date(streamData.timestamp) : new Date(),
+
+      const season = parseInt(episodeData.season, 10) || 1;
+      const episode = parseInt(episodeData.episode, 10) || 1;
+      const videoId = buildEpisodeVideoId(id, season, episode);
+      videosById.set(videoId, {
+        id: videoId,
+        title: episodeData.title || `Episode ${episode}`,
+        released: new Date(episodeData.firstSeen || episodeData.lastUpdated || Date.now()),
         season: season,
         episode: episode,
-      };
-    }));
+      });
+    });
+
+    if (isFiltered) {
+      const allowedVideoIds = await getVideoIdsWithMatchingStreams(id, preferences);
+      Array.from(videosById.keys())
+        .filter(videoId => !allowedVideoIds.has(videoId))
+        .forEach(videoId => videosById.delete(videoId));
+    }
 
-    meta.videos = videos.filter(Boolean).sort((a, b) => {
+    meta.videos = Array.from(videosById.values()).sort((a, b) => {
       if (a.season !== b.season) {
         return a.season - b.season;
       }
       return a.episode - b.episode;
     });
 
-    metaCache.set(id, meta);
+    cacheMeta(cacheKey, meta);
 
     logger.info(`Returning meta for ID: ${id}`);
     return { meta: meta };
@@ -202,50 +373,172 @@ async function metaHandler(type, id) {
   }
 }
 
+/**
+ * Builds the behaviorHints for a stored stream. The binge group combines the show, resolution and
+ * release type, so autoplay stays on the same release family from one episode to the next.
+ * @param {object} streamData The stored stream hash.
+ * @returns {StreamBehaviorHints}
+ */
+function buildStreamBehaviorHints(streamData) {
+  const qualityTags = parseStoredArray(streamData.qualityTags);
+  const releaseType = (qualityTags[0] || 'unknown').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const behaviorHints = {
+    bingeGroup: `tamilshows|${streamData.parentSeriesId}|${(streamData.resolution || 'unknown').toLowerCase()}|${releaseType}`,
+  };
+  if (streamData.fileName) {
+    behaviorHints.filename = streamData.fileName;
+  }
+  const videoSize = streamSizeBytes(streamData);
+  if (videoSize) {
+    behaviorHints.videoSize = videoSize;
+  }
+  return behaviorHints;
+}
+
+/**
+ * Builds YouTube streams for a show's trailers.
+ * @param {string[]} trailerIds YouTube video IDs from the `series:` hash.
+ * @returns {StremioStream[]}
+ */
+function buildTrailerStreams(trailerIds) {
+  return trailerIds.map((ytId, index) => ({
+    name: 'TamilShows',
+    title: trailerIds.length > 1 ? `Trailer ${index + 1}` : 'Trailer',
+    ytId: ytId,
+  }));
+}
+
+/**
+ * Builds the Stremio stream object for one stored stream hash.
+ * @param {string} streamKey The `stream:` hash key.
+ * @param {object|null} streamData The stored stream hash.
+ * @param {import('./ranking.js').StreamRanking} [ranking] The stream's ranking, shown under its title.
+ * @returns {StremioStream|null} The stream, or null when the record is missing or has no infoHash.
+ */
+function buildStremioStream(streamKey, streamData, ranking) {
+  if (!streamData) {
+    logger.warn(`Stream with key ${streamKey} not found in Redis.`);
+    return null;
+  }
+  if (!streamData.infoHash) {
+    logger.warn(`Stream for key ${streamKey} has no infoHash. Skipping.`);
+    return null;
+  }
+
+  let sourcesArray = [];
+  try {
+    if (streamData.sources) {
+      sourcesArray = JSON.parse(streamData.sources);
+    }
+  } catch (e) {
+    logger.error(`Failed to parse sources for key ${streamKey}:`, e);
+  }
+
+  return {
+    name: streamData.name,
+    title: streamData.title,
+    description: ranking ? `${streamData.title}\n${describeRanking(ranking)}` : streamData.title,
+    infoHash: streamData.infoHash,
+    sources: sourcesArray,
+    behaviorHints: buildStreamBehaviorHints(streamData),
+  };
+}
+
+/**
+ * Turns ranked streams into debrid HTTP streams: cached torrents first, in ranking order, then
+ * uncached ones, which start a download on the user's account when played.
+ * @param {import('./ranking.js').StreamRanking[]} rankings Ranked stream records.
+ * @param {import('../debrid/provider.js').DebridProvider} provider The user's debrid provider.
+ * @param {{season: number, episode: number}} episodeRef The requested episode.
+ * @returns {Promise<StremioStream[]>}
+ */
+async function buildDebridStreams(rankings, provider, episodeRef) {
+  const { id: providerId, displayName, shortName } = provider.constructor;
+  const withHash = rankings.filter(ranking => ranking.streamData.infoHash);
+  const availability = await checkAvailability(provider, withHash.map(ranking => ranking.streamData.infoHash));
+  const isCached = ranking => availability.get(ranking.streamData.infoHash.toLowerCase()) === true;
+
+  return [...withHash.filter(isCached), ...withHash.filter(ranking => !isCached(ranking))].map(ranking => {
+    const { streamData } = ranking;
+    const cached = isCached(ranking);
+    return {
+      name: `[${shortName}${cached ? '+' : ' download'}] ${streamData.name}`,
+      title: streamData.title,
+      description: `${streamData.title}\n${describeRanking(ranking)}\n${cached ? `Cached on ${displayName}` : `Not cached: playing starts a download on ${displayName}`}`,
+      url: buildResolveUrl(providerId, provider.apiKey, streamData.infoHash, episodeRef.season, episodeRef.episode),
+      behaviorHints: { ...buildStreamBehaviorHints(streamData), notWebReady: true },
+    };
+  });
+}
+
 /**
  * Handles stream requests from Stremio.
+ * Episode video IDs (`<showId>:<season>:<episode>`) return every stored quality variant of that episode
+ * that passes the user's filters, ranked by ranking.js and ordered by the user's sort order.
+ * `<showId>` may also be the IMDb ID a series was mapped to by the metadata provider.
+ * With a debrid service configured, streams are returned as debrid HTTP links instead of torrents.
+ * The show's trailers, if any, are listed after them as YouTube streams.
  * @param {string} type The type of content.
  * @param {string} id The ID of the content.
+ * @param {object} [userConfig] The user's config segment.
  * @returns {Promise<object>} A Promise resolving to an object containing an array of stream objects.
  */
-async function streamHandler(type, id) {
+async function streamHandler(type, id, userConfig) {
   logger.info(`Received stream request: type=${type}, id=${id}`);
 
-  // Stremio ID for streamHandler is actually the `id` of the video object obtained from metaHandler.
-  // This `id` is the full stream key: `stream:ttbeast-games-2024-s01:s1e1:720p-INFO_HASH`
-  const streamKey = id; 
-
   try {
-    const streamData = await redisClient.hgetall(streamKey);
-    if (!streamData) {
-      logger.warn(`Stream with key ${streamKey} not found in Redis.`);
+    let streamKeys;
+    let showId;
+    const episodeRef = parseEpisodeVideoId(id);
+    if (episodeRef) {
+      showId = await resolveEpisodeShowId(episodeRef);
+      streamKeys = await getStreamKeysForEpisode(showId, episodeRef.season, episodeRef.episode);
+    } else {
+      logger.warn(`Unsupported stream ID format: ${id}`);
       return { streams: [] };
     }
 
-    let sourcesArray = [];
-    try {
-      if (streamData.sources) {
-        sourcesArray = JSON.parse(streamData.sources);
+    const preferences = parseUserConfig(userConfig);
+    const streamRecords = await hgetallMany(streamKeys);
+    // Keyed by record so the stream key can be recovered after sorting
+    const streamKeyByRecord = new Map();
+    streamKeys.forEach((streamKey, index) => {
+      const streamData = streamRecords[index];
+      if (!streamData) {
+        logger.warn(`Stream with key ${streamKey} not found in Redis.`);
+      } else if (streamMatchesPreferences(streamData, preferences)) {
+        streamKeyByRecord.set(streamData, streamKey);
       }
-    } catch (e) {
-      logger.error(`Failed to parse sources for key ${streamKey}:`, e);
-    }
+    });
+    const rankings = rankStreams(Array.from(streamKeyByRecord.keys()), buildRankingPolicy(preferences), preferences.sortOrder);
+    // Listed after the torrents, so autoplay never picks a trailer
+    const trailerStreams = buildTrailerStreams(parseStoredArray(await redisClient.hget(seriesKey(showId), 'trailers')));
 
-    /** @type {StremioStream} */
-    const stream = { 
-      name: streamData.name,
-      title: streamData.title,
-      infoHash: streamData.infoHash,
-      sources: sourcesArray,
-    };
-    
-    if (!stream.infoHash) {
-        logger.warn(`Stream for key ${streamKey} has no infoHash. Skipping.`);
-        return { streams: [] };
+    const debridProvider = getDebridProvider(preferences.debridProvider, preferences.debridApiKey);
+    if (debridProvider) {
+      try {
+        const debridStreams = await buildDebridStreams(rankings, debridProvider, episodeRef);
+        logger.info(`Returning ${debridStreams.length} ${debridProvider.constructor.displayName} streams for ${id}.`);
+        return { streams: [...debridStreams, ...trailerStreams] };
+      } catch (error) {
+        // Fall back to torrent streams so playback still works when the service is down
+        logger.error(`Debrid lookup failed for ${id}, returning torrent streams:`, error);
+        logger.logToRedisErrorQueue({
+          timestamp: new Date().toISOString(),
+          level: 'ERROR',
+          message: `Debrid lookup failed on ${debridProvider.constructor.displayName} for ID: ${id}`,
+          error: error.message,
+          url: id
+        });
+      }
     }
 
-    logger.info(`Returning 1 stream for key ${streamKey}.`);
-    return { streams: [stream] };
+    const streams = rankings
+      .map(ranking => buildStremioStream(streamKeyByRecord.get(ranking.streamData), ranking.streamData, ranking))
+      .filter(Boolean);
+
+    logger.info(`Returning ${streams.length} streams for ${id}.`);
+    return { streams: [...streams, ...trailerStreams] };
   } catch (error) {
     logger.error(`Error in streamHandler for ID ${id}:`, error);
     logger.logToRedisErrorQueue({
@@ -259,21 +552,78 @@ async function streamHandler(type, id) {
   }
 }
 
+/**
+ * Handles subtitles requests from Stremio, listing the subtitle files attached to an episode's threads.
+ * @param {string} type The type of content.
+ * @param {string} id The episode video ID.
+ * @param {object} [extra] Stremio extra parameters (videoHash, videoSize); unused, as subtitles are stored per episode.
+ * @param {object} [userConfig] The user's config segment.
+ * @returns {Promise<object>} A Promise resolving to an object containing an array of subtitle objects.
+ */
+async function subtitlesHandler(type, id, extra, userConfig) {
+  logger.info(`Received subtitles request: type=${type}, id=${id}`);
+
+  try {
+    const episodeRef = parseEpisodeVideoId(id);
+    if (!episodeRef) {
+      logger.debug(`Unsupported subtitles ID format: ${id}`);
+      return { subtitles: [] };
+    }
+    const showId = await resolveEpisodeShowId(episodeRef);
+    const subtitleKeys = await getSubtitleKeysForEpisode(showId, episodeRef.season, episodeRef.episode);
+    const subtitleRecords = await hgetallMany(subtitleKeys);
+
+    const subtitles = subtitleKeys
+      .map((subtitleKey, index) => {
+        const subtitleData = subtitleRecords[index];
+        if (!subtitleData) {
+          logger.warn(`Subtitle with key ${subtitleKey} not found in Redis.`);
+          return null;
+        }
+        const subtitleId = subtitleKey.split(':').pop();
+        return {
+          id: subtitleId,
+          url: buildSubtitleUrl(showId, episodeRef.season, episodeRef.episode, subtitleId),
+          lang: subtitleData.lang
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.lang.localeCompare(b.lang));
+
+    logger.info(`Returning ${subtitles.length} subtitles for ${id}.`);
+    return { subtitles };
+  } catch (error) {
+    logger.error(`Error in subtitlesHandler for ID ${id}:`, error);
+    logger.logToRedisErrorQueue({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      message: `Error in subtitlesHandler for ID: ${id}`,
+      error: error.message,
+      url: id
+    });
+    return { subtitles: [] };
+  }
+}
+
 /**
  * Handles search requests from Stremio.
  * @param {string} type The type of content.
  * @param {string} id The catalog ID (e.g., 'tamil-web-series').
  * @param {object} extra Stremio extra parameters including search.
+ * @param {object} [userConfig] The user's config segment.
  * @returns {Promise<object>} A Promise resolving to an object containing an array of meta objects.
  */
-async function searchHandler(type, id, extra) {
+async function searchHandler(type, id, extra, userConfig) {
   logger.info(`Received search request: type=${type}, id=${id}, extra=${JSON.stringify(extra)}`);
-  return catalogHandler(type, id, extra);
+  return catalogHandler(type, id, extra, userConfig);
 }
 
 module.exports = {
+  buildEpisodeVideoId,
+  parseEpisodeVideoId,
   catalogHandler,
   metaHandler,
   streamHandler,
+  subtitlesHandler,
   searchHandler
 };
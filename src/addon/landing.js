@@ -0,0 +1,78 @@
+const { escapeHtml } = require('../utils/html.js');
+
+/**
+ * The addon's landing and /configure page: the manifest's `config` fields as a form, and an install
+ * link carrying the filled-in values, in the URL layout the SDK's getRouter reads them from
+ * (`/<JSON config>/manifest.json`).
+ */
+
+/**
+ * Renders one manifest config field as a form control.
+ * @param {object} field A `manifest.config` entry: key, type, title and, for selects, options.
+ * @returns {string}
+ */
+function renderConfigField(field) {
+  const id = escapeHtml(field.key);
+  const title = escapeHtml(field.title);
+  if (field.type === 'checkbox') {
+    const checked = field.default === 'checked' ? ' checked' : '';
+    return `<label class="field"><input type="checkbox" name="${id}"${checked}> ${title}</label>`;
+  }
+  if (field.type === 'select') {
+    const selected = field.default || (field.options || [])[0];
+    const options = (field.options || [])
+      .map(option => `<option value="${escapeHtml(option)}"${option === selected ? ' selected' : ''}>${escapeHtml(option)}</option>`)
+      .join('');
+    return `<label class="field">${title}<select name="${id}">${options}</select></label>`;
+  }
+  const value = field.default ? ` value="${escapeHtml(field.default)}"` : '';
+  const required = field.required ? ' required' : '';
+  return `<label class="field">${title}<input type="${escapeHtml(field.type)}" name="${id}"${value}${required}></label>`;
+}
+
+/**
+ * Renders the landing page for a manifest.
+ * @param {object} manifest The addon manifest.
+ * @returns {string}
+ */
+function renderLandingPage(manifest) {
+  const fields = (manifest.config || []).map(renderConfigField).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(manifest.name)} - Stremio Addon</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 32rem; padding: 1rem 2rem; color: #222; }
+  h1 { font-size: 1.4rem; margin-bottom: 0; } .muted { color: #777; }
+  .field { display: block; margin: 0.6rem 0; }
+  .field select, .field input:not([type="checkbox"]) { display: block; width: 100%; margin-top: 0.2rem; }
+  #install { display: inline-block; margin-top: 1rem; padding: 0.6rem 2rem; background: #8a5aab; color: white; text-decoration: none; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(manifest.name)}</h1>
+<p class="muted">v${escapeHtml(manifest.version || '0.0.0')}</p>
+<p>${escapeHtml(manifest.description || '')}</p>
+<form id="config">
+${fields}
+</form>
+<a id="install" href="#">Install</a>
+<script>
+  const form = document.getElementById('config');
+  const install = document.getElementById('install');
+  const updateLink = () => {
+    const values = Object.fromEntries(new FormData(form));
+    const configPath = form.elements.length > 0 ? '/' + encodeURIComponent(JSON.stringify(values)) : '';
+    install.href = 'stremio://' + window.location.host + configPath + '/manifest.json';
+  };
+  form.onchange = updateLink;
+  install.onclick = () => form.reportValidity();
+  updateLink();
+</script>
+</body>
+</html>`;
+}
+
+module.exports = { renderLandingPage };
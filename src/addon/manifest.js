@@ -1,4 +1,41 @@
 const { config } = require('../config.js'); // Ensure .js extension
+const { CATALOG_DEFINITIONS, LANGUAGE_CATALOGS } = require('./catalogs.js');
+const { getIndexedGenres } = require('../store/indexes.js');
+const { LANGUAGE_NAMES, QUALITY_TIERS, sortGenreOptions } = require('../parser/genres.js');
+const { logger } = require('../utils/logger.js');
+const { CONFIG_FIELDS } = require('./userConfig.js');
+
+// How long a built manifest is served before its genre options are read from Redis again
+const MANIFEST_REFRESH_MS = 10 * 60 * 1000;
+
+/**
+ * Builds the manifest catalog entries from the shared catalog definitions. Only the main catalog
+ * offers every genre option; the others offer languages and quality tiers, which keeps the
+ * manifest under the SDK's 8192-byte limit however many catalogs there are.
+ * @param {string[]} genreOptions Values offered by the `genre` extra (languages, quality tiers, platforms, years).
+ * @returns {Array<object>}
+ */
+function buildCatalogs(genreOptions) {
+  const compactOptions = genreOptions.filter(genre =>
+    Object.values(LANGUAGE_NAMES).includes(genre) || QUALITY_TIERS.includes(genre));
+  return CATALOG_DEFINITIONS.map((catalog, index) => {
+    const extra = [];
+    if (catalog.searchable) {
+      extra.push({ name: 'search', isRequired: false });
+    }
+    const options = index === 0 ? genreOptions : compactOptions;
+    if (options.length > 0) {
+      extra.push({ name: 'genre', isRequired: false, options: options, optionsLimit: 1 });
+    }
+    extra.push({ name: 'skip', isRequired: false });
+    return {
+      type: 'series',
+      id: catalog.id,
+      name: catalog.name,
+      extra: extra
+    };
+  });
+}
 
 /**
  * Stremio Addon Manifest object.
@@ -11,6 +48,7 @@ const { config } = require('../config.js'); // Ensure .js extension
  * @property {string[]} types
  * @property {Array<object>} catalogs
  * @property {string[]} idPrefixes
+ * @property {Array<object>} config - Per-user preferences; landing.js renders the /configure form for them
  * @property {object} behaviorHints
  */
 const manifest = {
@@ -23,29 +61,57 @@ const manifest = {
     'catalog',
     'meta',
     'stream',
+    'subtitles',
     'search'
   ],
   types: [
-    'movie' // Corrected to 'movie' type as per your instruction
-  ],
-  catalogs: [
-    {
-      type: 'movie', // Corrected to 'movie' type for consistency with global types
-      id: 'tamil-web-series',
-      name: 'Tamil Web Series', // Note: This name still says "Web Series" but the type is now "movie"
-      extra: [
-        { name: 'search', isRequired: false },
-        { name: 'skip', isRequired: false }
-      ]
-    }
+    'series'
   ],
+  catalogs: buildCatalogs([]),
   idPrefixes: [
     'tt' // Example prefix for Stremio IDs, useful for movie/series lookups
   ],
+  config: CONFIG_FIELDS,
   behaviorHints: {
-    configurable: false,
+    configurable: true,
     adult: false
   }
 };
 
-module.exports = { manifest };
+/**
+ * Builds the manifest with `genre` options taken from the values actually indexed in Redis.
+ * Before the first crawl, the language and quality tier labels are offered so the filter is
+ * still usable.
+ * @returns {Promise<object>} The manifest to hand to addonBuilder.
+ */
+async function buildManifest() {
+  let genreOptions = [];
+  try {
+    genreOptions = sortGenreOptions(await getIndexedGenres());
+  } catch (error) {
+    logger.error('Failed to load genre options from Redis:', error);
+  }
+  if (genreOptions.length === 0) {
+    genreOptions = [...LANGUAGE_CATALOGS.map(language => language.name), ...QUALITY_TIERS];
+  }
+  logger.info(`Manifest genre options: ${genreOptions.join(', ')}`);
+  return { ...manifest, catalogs: buildCatalogs(genreOptions) };
+}
+
+let currentManifest = null;
+let currentManifestBuiltAt = 0;
+
+/**
+ * Returns the manifest with the current genre options, rebuilt when the last build is older than
+ * MANIFEST_REFRESH_MS, so years and platforms found by later crawls are offered without a restart.
+ * @returns {Promise<object>}
+ */
+async function getManifest() {
+  if (!currentManifest || Date.now() - currentManifestBuiltAt > MANIFEST_REFRESH_MS) {
+    currentManifest = await buildManifest();
+    currentManifestBuiltAt = Date.now();
+  }
+  return currentManifest;
+}
+
+module.exports = { manifest, buildManifest, getManifest };
@@ -0,0 +1,179 @@
+const { config } = require('../config.js');
+const { QUALITY_TIERS, LANGUAGE_NAMES, qualityTier, parseStoredArray, streamSizeBytes } = require('../parser/genres.js');
+const { EXCLUDABLE_QUALITY_TAGS, SortOrders } = require('./userConfig.js');
+
+/**
+ * Points each criterion contributes when a stream fully matches the policy. They add up to 100,
+ * so a stream's score reads as a percentage match.
+ * @type {Object<string, number>}
+ */
+const RANKING_WEIGHTS = {
+  resolution: 40,
+  language: 25,
+  source: 15,
+  codec: 10,
+  subtitles: 5,
+  surroundAudio: 5,
+};
+
+/** Points taken off PreDVD, CAM and telesync releases. */
+const LOW_QUALITY_PENALTY = 50;
+
+const SURROUND_AUDIO_REGEX = /^(?:DD5\.1|AC3|DTS|5[.\s]1)$/i;
+
+/**
+ * @typedef {object} RankingPolicy
+ * @property {string} preferredResolution - Quality tier from QUALITY_TIERS.
+ * @property {string|null} preferredSource - Quality tag such as "WEB-DL", or null for no preference.
+ * @property {string|null} preferredCodec - "x265" or "x264", or null for no preference.
+ * @property {string[]} preferredLanguages - Language codes as produced by parseTitle.
+ */
+
+/**
+ * @typedef {object} StreamRanking
+ * @property {object} streamData - The `stream:` hash.
+ * @property {number} score - Points out of 100, lowered by penalties.
+ * @property {string[]} reasons - Human-readable notes on what earned or cost points.
+ */
+
+/**
+ * Builds the ranking policy for a request: the user's preferences where set, else the server defaults.
+ * @param {import('./userConfig.js').UserPreferences} preferences
+ * @returns {RankingPolicy}
+ */
+function buildRankingPolicy(preferences) {
+  const defaultCodec = config.RANKING_PREFERRED_CODEC;
+  const defaultSource = config.RANKING_PREFERRED_SOURCE;
+  return {
+    preferredResolution: preferences.preferredResolution || config.RANKING_PREFERRED_RESOLUTION,
+    preferredSource: preferences.preferredSource !== undefined ? preferences.preferredSource : (defaultSource || null),
+    preferredCodec: preferences.preferredCodec !== undefined ? preferences.preferredCodec : (defaultCodec || null),
+    preferredLanguages: preferences.languages.length > 0 ? preferences.languages : config.RANKING_PREFERRED_LANGUAGES,
+  };
+}
+
+/**
+ * Reduces a quality tag to lowercase letters and digits, e.g. "WEB-DL" to "webdl".
+ * @param {string} tag
+ * @returns {string}
+ */
+function normalizeTag(tag) {
+  return tag.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Maps a codec tag to its family, so "HEVC" counts as "x265" and "AVC" as "x264".
+ * @param {string} codec
+ * @returns {string}
+ */
+function codecFamily(codec) {
+  if (/^(?:x265|hevc)$/i.test(codec)) return 'x265';
+  if (/^(?:x264|avc)$/i.test(codec)) return 'x264';
+  return codec.toLowerCase();
+}
+
+/**
+ * Scores one stored stream against a ranking policy.
+ * @param {object} streamData The `stream:` hash.
+ * @param {RankingPolicy} policy
+ * @returns {{score: number, reasons: string[]}}
+ */
+function scoreStream(streamData, policy) {
+  let score = 0;
+  const reasons = [];
+
+  const tier = qualityTier(streamData.resolution);
+  if (!tier) {
+    reasons.push('resolution unknown');
+  } else {
+    const distance = Math.abs(QUALITY_TIERS.indexOf(tier) - QUALITY_TIERS.indexOf(policy.preferredResolution));
+    score += Math.round(RANKING_WEIGHTS.resolution * Math.max(0, 1 - distance / (QUALITY_TIERS.length - 1)));
+    reasons.push(distance === 0 ? tier : `${tier} (preferred ${policy.preferredResolution})`);
+  }
+
+  const languages = parseStoredArray(streamData.languages);
+  const matchedLanguage = languages.find(code => policy.preferredLanguages.includes(code));
+  if (matchedLanguage) {
+    score += RANKING_WEIGHTS.language;
+    reasons.push(`${LANGUAGE_NAMES[matchedLanguage] || matchedLanguage} audio`);
+  } else if (languages.length === 0) {
+    // Single-language Tamil threads often don't say so
+    score += Math.round(RANKING_WEIGHTS.language / 2);
+    reasons.push('audio language not stated');
+  } else {
+    reasons.push(`${languages.map(code => LANGUAGE_NAMES[code] || code).join('/')} audio`);
+  }
+
+  const qualityTags = parseStoredArray(streamData.qualityTags);
+  const lowQualityLabel = Object.keys(EXCLUDABLE_QUALITY_TAGS)
+    .find(label => qualityTags.some(tag => EXCLUDABLE_QUALITY_TAGS[label].test(tag)));
+  if (lowQualityLabel) {
+    score -= LOW_QUALITY_PENALTY;
+    reasons.push(`${lowQualityLabel} release`);
+  } else if (policy.preferredSource) {
+    const preferredTag = normalizeTag(policy.preferredSource);
+    const sourceTag = qualityTags.find(tag => normalizeTag(tag).endsWith(preferredTag));
+    if (sourceTag) {
+      score += RANKING_WEIGHTS.source;
+      reasons.push(sourceTag);
+    }
+  }
+
+  const codecs = parseStoredArray(streamData.codecs);
+  if (policy.preferredCodec && codecs.some(codec => codecFamily(codec) === codecFamily(policy.preferredCodec))) {
+    score += RANKING_WEIGHTS.codec;
+    reasons.push(codecFamily(policy.preferredCodec));
+  }
+
+  if (streamData.hasESub === 'true') {
+    score += RANKING_WEIGHTS.subtitles;
+    reasons.push('English subs');
+  }
+
+  if (parseStoredArray(streamData.audioCodecs).some(codec => SURROUND_AUDIO_REGEX.test(codec))) {
+    score += RANKING_WEIGHTS.surroundAudio;
+    reasons.push('5.1 audio');
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Scores and orders stored streams. "Best match first" sorts by score, the other sort orders
+ * use the score to break ties; equal scores fall back to the larger (higher bitrate) file.
+ * @param {object[]} streamRecords `stream:` hashes.
+ * @param {RankingPolicy} policy
+ * @param {string} sortOrder One of SortOrders.
+ * @returns {StreamRanking[]} Rankings, best first.
+ */
+function rankStreams(streamRecords, policy, sortOrder) {
+  const size = ranking => streamSizeBytes(ranking.streamData) || 0;
+  const savedAt = ranking => new Date(ranking.streamData.timestamp).getTime() || 0;
+  const byScore = (a, b) => (b.score - a.score) || (size(b) - size(a));
+  const comparators = {
+    [SortOrders.BEST_MATCH]: byScore,
+    // Streams of unknown size go last
+    [SortOrders.SMALLEST]: (a, b) => ((size(a) || Number.MAX_SAFE_INTEGER) - (size(b) || Number.MAX_SAFE_INTEGER)) || byScore(a, b),
+    [SortOrders.NEWEST]: (a, b) => (savedAt(b) - savedAt(a)) || byScore(a, b),
+  };
+  return streamRecords
+    .map(streamData => ({ streamData, ...scoreStream(streamData, policy) }))
+    .sort(comparators[sortOrder] || byScore);
+}
+
+/**
+ * Formats a ranking for the stream description, e.g. "Match 95%: 1080p, Tamil audio, WEB-DL, x265".
+ * @param {StreamRanking} ranking
+ * @returns {string}
+ */
+function describeRanking(ranking) {
+  return `Match ${Math.max(ranking.score, 0)}%: ${ranking.reasons.join(', ')}`;
+}
+
+module.exports = {
+  RANKING_WEIGHTS,
+  buildRankingPolicy,
+  scoreStream,
+  rankStreams,
+  describeRanking
+};
@@ -0,0 +1,61 @@
+const express = require('express');
+const { getRouter } = require('stremio-addon-sdk');
+const { logger } = require('../utils/logger.js');
+const { renderLandingPage } = require('./landing.js');
+
+/**
+ * Serves the addon the way the SDK's serveHTTP does (protocol routes, landing and /configure page),
+ * with our own routes mounted in front of the protocol routes.
+ * @param {object} addonInterface Result of addonBuilder#getInterface().
+ * @param {object} options
+ * @param {number} options.port Port to listen on.
+ * @param {express.Router[]} [options.routers] Extra routers, e.g. the debrid resolve routes.
+ * @param {function(): Promise<object>} [options.getManifest] Returns the current manifest. getRouter
+ *   only serves the manifest the interface was built with.
+ * @returns {Promise<import('http').Server>} The listening server.
+ */
+function startServer(addonInterface, { port, routers = [], getManifest }) {
+  const app = express();
+  routers.forEach(router => app.use(router));
+  if (getManifest) {
+    // Served like getRouter does: an install that carries a config needs no more configuring
+    app.get(['/manifest.json', '/:config/manifest.json'], async (req, res, next) => {
+      try {
+        const manifest = { ...(await getManifest()) };
+        if (req.params.config && manifest.behaviorHints) {
+          manifest.behaviorHints = { ...manifest.behaviorHints };
+          delete manifest.behaviorHints.configurationRequired;
+          delete manifest.behaviorHints.configurable;
+        }
+        res.set('Access-Control-Allow-Origin', '*');
+        res.json(manifest);
+      } catch (error) {
+        logger.warn(`Could not build the current manifest, serving the startup one: ${error.message}`);
+        next();
+      }
+    });
+  }
+  app.use(getRouter(addonInterface));
+
+  const landingHTML = renderLandingPage(addonInterface.manifest);
+  const sendLanding = (req, res) => {
+    res.setHeader('content-type', 'text/html');
+    res.end(landingHTML);
+  };
+  app.get('/', (req, res) => {
+    if ((addonInterface.manifest.config || []).length > 0) {
+      res.redirect('/configure');
+    } else {
+      sendLanding(req, res);
+    }
+  });
+  app.get('/configure', sendLanding);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port);
+    server.once('listening', () => resolve(server));
+    server.once('error', reject);
+  });
+}
+
+module.exports = { startServer };
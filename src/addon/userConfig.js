@@ -0,0 +1,264 @@
+const { config } = require('../config.js');
+const { LANGUAGE_CATALOGS } = require('./catalogs.js');
+const { QUALITY_TIERS, qualityTier, parseStoredArray, streamSizeBytes } = require('../parser/genres.js');
+const { DEBRID_PROVIDERS } = require('../debrid/index.js');
+
+/**
+ * Per-user preferences, set on the `/configure` page and carried in the config segment of the
+ * addon URL (`/<json>/manifest.json`). Every handler receives the decoded segment and narrows
+ * what it returns with the helpers below, so one server can serve differently filtered installs.
+ */
+
+const ANY_RESOLUTION = 'Any';
+const NO_PREFERENCE = 'No preference';
+const NO_DEBRID = 'None (P2P)';
+
+/**
+ * Release sources and video codecs users can rank first (see ranking.js).
+ * @type {string[]}
+ */
+const PREFERRED_SOURCE_OPTIONS = ['WEB-DL', 'WEBRip', 'HDRip', 'BluRay', 'HDTV'];
+const PREFERRED_CODEC_OPTIONS = ['x265', 'x264'];
+
+/**
+ * Low-quality release types users can exclude, keyed by the config label.
+ * Each pattern is tested against the quality tags parseTitle extracts.
+ * @type {Object<string, RegExp>}
+ */
+const EXCLUDABLE_QUALITY_TAGS = {
+  PreDVD: /^pre-?dvd/i,
+  CAM: /cam/i,
+  Telesync: /^(?:hd-?ts|telesync)$/i,
+};
+
+/**
+ * Stream sort orders, keyed by the label shown on the configure page.
+ * @enum {string}
+ */
+const SortOrders = {
+  BEST_MATCH: 'Best match first',
+  SMALLEST: 'Smallest file first',
+  NEWEST: 'Newest upload first',
+};
+
+/**
+ * @typedef {object} UserPreferences
+ * @property {string[]} languages - Preferred audio language codes; empty means every language.
+ * @property {string|null} minResolution - Lowest quality tier to return, or null for no minimum.
+ * @property {string|null} maxResolution - Highest quality tier to return, or null for no maximum.
+ * @property {string[]} excludedQualityTags - Labels from EXCLUDABLE_QUALITY_TAGS to drop.
+ * @property {number|null} maxSizeBytes - Largest file to return, or null for no limit.
+ * @property {string} sortOrder - One of SortOrders.
+ * @property {string|null} preferredResolution - Quality tier to rank first, or null for the server default.
+ * @property {string|null|undefined} preferredSource - Release source to rank first; null for no preference,
+ *   undefined for the server default.
+ * @property {string|null|undefined} preferredCodec - Video codec to rank first; null for no preference,
+ *   undefined for the server default.
+ * @property {string|null} debridProvider - ID from DEBRID_PROVIDERS, or null to stream over P2P.
+ * @property {string} debridApiKey - The user's API key for the debrid provider.
+ */
+
+/**
+ * The `manifest.config` entries the stremio-addon-sdk renders as the `/configure` form.
+ * Checkbox keys carry the language code or quality label after the prefix; leaving every
+ * language unticked keeps all languages.
+ * @type {Array<object>}
+ */
+const CONFIG_FIELDS = [
+  ...LANGUAGE_CATALOGS.map(({ code, name }) => ({
+    key: `language_${code}`,
+    type: 'checkbox',
+    title: `${name} audio`,
+  })),
+  {
+    key: 'minResolution',
+    type: 'select',
+    title: 'Minimum resolution',
+    options: [ANY_RESOLUTION, ...QUALITY_TIERS.slice().reverse()],
+    default: ANY_RESOLUTION,
+  },
+  {
+    key: 'maxResolution',
+    type: 'select',
+    title: 'Maximum resolution',
+    options: [ANY_RESOLUTION, ...QUALITY_TIERS],
+    default: ANY_RESOLUTION,
+  },
+  ...Object.keys(EXCLUDABLE_QUALITY_TAGS).map(label => ({
+    key: `exclude_${label}`,
+    type: 'checkbox',
+    title: `Hide ${label} releases`,
+  })),
+  {
+    key: 'maxSizeGB',
+    type: 'number',
+    title: 'Maximum file size in GB (empty for no limit)',
+  },
+  {
+    key: 'sortOrder',
+    type: 'select',
+    title: 'Sort streams by',
+    options: Object.values(SortOrders),
+    default: SortOrders.BEST_MATCH,
+  },
+  {
+    key: 'preferredResolution',
+    type: 'select',
+    title: 'Rank this resolution first',
+    options: QUALITY_TIERS,
+    default: config.RANKING_PREFERRED_RESOLUTION,
+  },
+  {
+    key: 'preferredSource',
+    type: 'select',
+    title: 'Rank this source first',
+    options: [NO_PREFERENCE, ...PREFERRED_SOURCE_OPTIONS],
+    default: config.RANKING_PREFERRED_SOURCE || NO_PREFERENCE,
+  },
+  {
+    key: 'preferredCodec',
+    type: 'select',
+    title: 'Rank this video codec first',
+    options: [NO_PREFERENCE, ...PREFERRED_CODEC_OPTIONS],
+    default: config.RANKING_PREFERRED_CODEC || NO_PREFERENCE,
+  },
+  {
+    key: 'debridProvider',
+    type: 'select',
+    title: 'Debrid service',
+    options: [NO_DEBRID, ...Object.values(DEBRID_PROVIDERS).map(Provider => Provider.displayName)],
+    default: NO_DEBRID,
+  },
+  {
+    key: 'debridApiKey',
+    type: 'password',
+    title: 'Debrid API key',
+  },
+];
+
+/**
+ * Reads a "rank this first" select: one of the options, null for no preference,
+ * or undefined when the field is missing so the server default applies.
+ * @param {string|undefined} value
+ * @param {string[]} options
+ * @returns {string|null|undefined}
+ */
+function parsePreferredOption(value, options) {
+  if (value === NO_PREFERENCE) return null;
+  return options.includes(value) ? value : undefined;
+}
+
+/**
+ * Decodes the config segment the SDK hands to handlers into normalized preferences.
+ * Unknown or malformed values fall back to "no filter", so a broken URL still returns everything.
+ * @param {object|false|undefined} rawConfig The decoded config segment (false when it was not valid JSON).
+ * @returns {UserPreferences}
+ */
+function parseUserConfig(rawConfig) {
+  const values = rawConfig && typeof rawConfig === 'object' ? rawConfig : {};
+  const isTicked = key => values[key] === 'on' || values[key] === true;
+  const tierOrNull = value => (QUALITY_TIERS.includes(value) ? value : null);
+  const maxSizeGB = parseFloat(values.maxSizeGB);
+  const debridProvider = Object.values(DEBRID_PROVIDERS).find(Provider => Provider.displayName === values.debridProvider);
+
+  return {
+    languages: LANGUAGE_CATALOGS.map(({ code }) => code).filter(code => isTicked(`language_${code}`)),
+    minResolution: tierOrNull(values.minResolution),
+    maxResolution: tierOrNull(values.maxResolution),
+    excludedQualityTags: Object.keys(EXCLUDABLE_QUALITY_TAGS).filter(label => isTicked(`exclude_${label}`)),
+    maxSizeBytes: maxSizeGB > 0 ? Math.round(maxSizeGB * 1024 * 1024 * 1024) : null,
+    sortOrder: Object.values(SortOrders).includes(values.sortOrder) ? values.sortOrder : SortOrders.BEST_MATCH,
+    preferredResolution: tierOrNull(values.preferredResolution),
+    preferredSource: parsePreferredOption(values.preferredSource, PREFERRED_SOURCE_OPTIONS),
+    preferredCodec: parsePreferredOption(values.preferredCodec, PREFERRED_CODEC_OPTIONS),
+    debridProvider: debridProvider ? debridProvider.id : null,
+    debridApiKey: typeof values.debridApiKey === 'string' ? values.debridApiKey.trim() : '',
+  };
+}
+
+/**
+ * Whether the preferences narrow anything down, i.e. differ from the unconfigured addon.
+ * The sort order, ranking and debrid settings do not count, since they never hide content.
+ * @param {UserPreferences} preferences
+ * @returns {boolean}
+ */
+function hasStreamFilters(preferences) {
+  return preferences.languages.length > 0
+    || preferences.minResolution !== null
+    || preferences.maxResolution !== null
+    || preferences.excludedQualityTags.length > 0
+    || preferences.maxSizeBytes !== null;
+}
+
+/**
+ * Serializes the preferences hasStreamFilters looks at, so requests filtered the same way share
+ * cached results whatever their sort, ranking or debrid settings.
+ * @param {UserPreferences} preferences
+ * @returns {string}
+ */
+function streamFiltersKey(preferences) {
+  return JSON.stringify([
+    preferences.languages,
+    preferences.minResolution,
+    preferences.maxResolution,
+    preferences.excludedQualityTags,
+    preferences.maxSizeBytes
+  ]);
+}
+
+/**
+ * Ranks a quality tier: higher is better, 0 when the tier is unknown.
+ * @param {string|null} tier
+ * @returns {number}
+ */
+function tierRank(tier) {
+  const index = QUALITY_TIERS.indexOf(tier);
+  return index === -1 ? 0 : QUALITY_TIERS.length - index;
+}
+
+/**
+ * Checks a stored stream record against the preferences.
+ * Streams with no detected language or size are kept, as the thread may simply not say;
+ * streams with no detected resolution are dropped only when a minimum resolution is set.
+ * @param {object} streamData The `stream:` hash.
+ * @param {UserPreferences} preferences
+ * @returns {boolean}
+ */
+function streamMatchesPreferences(streamData, preferences) {
+  const streamLanguages = parseStoredArray(streamData.languages);
+  if (preferences.languages.length > 0 && streamLanguages.length > 0
+      && !streamLanguages.some(code => preferences.languages.includes(code))) {
+    return false;
+  }
+
+  const rank = tierRank(qualityTier(streamData.resolution));
+  if (preferences.minResolution && rank < tierRank(preferences.minResolution)) {
+    return false;
+  }
+  if (preferences.maxResolution && rank > tierRank(preferences.maxResolution)) {
+    return false;
+  }
+
+  const qualityTags = parseStoredArray(streamData.qualityTags);
+  const isExcluded = preferences.excludedQualityTags.some(label =>
+    qualityTags.some(tag => EXCLUDABLE_QUALITY_TAGS[label].test(tag)));
+  if (isExcluded) {
+    return false;
+  }
+
+  const sizeBytes = streamSizeBytes(streamData);
+  if (preferences.maxSizeBytes && sizeBytes && sizeBytes > preferences.maxSizeBytes) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  EXCLUDABLE_QUALITY_TAGS,
+  SortOrders,
+  CONFIG_FIELDS,
+  parseUserConfig,
+  hasStreamFilters,
+  streamFiltersKey,
+  streamMatchesPreferences
+};
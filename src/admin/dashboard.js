@@ -0,0 +1,242 @@
+const { seriesKey, threadKey } = require('../store/schema.js');
+const {
+  getShowIdsByRecency,
+  getHiddenShowIds,
+  getThreadIdsWithWarnings,
+  countStreamsForShows,
+  hgetallMany
+} = require('../store/indexes.js');
+const { parseStoredArray } = require('../parser/genres.js');
+const { getCrawlerState, getRecentCrawlRuns } = require('../crawler/engine.js');
+const { listErrorGroups, getErrorQueueStats } = require('../errors/queue.js');
+const { getThreadJobStats } = require('../crawler/jobQueue.js');
+const { escapeHtml } = require('../utils/html.js');
+
+const MAX_LISTED_SHOWS = 500;
+const MAX_LISTED_ERRORS = 50;
+const MAX_LISTED_RUNS = 20;
+
+/**
+ * @typedef {object} DashboardShow
+ * @property {string} stremioId
+ * @property {string} name
+ * @property {string} lastUpdated - ISO timestamp.
+ * @property {number} streams
+ * @property {boolean} hidden
+ */
+
+/**
+ * @typedef {object} DashboardWarning
+ * @property {string} threadUrl
+ * @property {string} seriesId
+ * @property {string} seriesName
+ * @property {string} visitedAt - ISO timestamp of the visit that recorded the warnings.
+ * @property {string[]} warnings
+ */
+
+/**
+ * Gathers everything the dashboard shows from Redis and the crawler.
+ * @returns {Promise<{shows: DashboardShow[], totalShows: number, warnings: DashboardWarning[], runs: object[], errors: import('../errors/queue.js').ErrorGroup[], errorStats: object, jobs: object, crawler: object}>}
+ */
+async function getDashboardData() {
+  const [listedIds, hiddenIds, warningThreadIds] = await Promise.all([
+    getShowIdsByRecency(0, -1),
+    getHiddenShowIds(),
+    getThreadIdsWithWarnings()
+  ]);
+  const hidden = new Set(hiddenIds);
+  // Hidden shows are not in the show index, so they are listed after the visible ones
+  const listed = new Set(listedIds);
+  const showIds = [...listedIds, ...hiddenIds.filter(stremioId => !listed.has(stremioId))];
+  const pageIds = showIds.slice(0, MAX_LISTED_SHOWS);
+  const [seriesRecords, streamCounts] = await Promise.all([
+    hgetallMany(pageIds.map(seriesKey)),
+    countStreamsForShows(pageIds)
+  ]);
+  const shows = pageIds.map((stremioId, index) => ({
+    stremioId,
+    name: (seriesRecords[index] && seriesRecords[index].name) || stremioId,
+    lastUpdated: (seriesRecords[index] && seriesRecords[index].lastUpdated) || '',
+    streams: streamCounts[index],
+    hidden: hidden.has(stremioId)
+  }));
+
+  const threadRecords = await hgetallMany(warningThreadIds.map(threadKey));
+  const warningSeriesIds = Array.from(new Set(threadRecords.filter(Boolean).map(threadData => threadData.seriesId).filter(Boolean)));
+  const warningSeriesRecords = await hgetallMany(warningSeriesIds.map(seriesKey));
+  const seriesNames = new Map(warningSeriesIds.map((stremioId, index) => [stremioId, warningSeriesRecords[index] && warningSeriesRecords[index].name]));
+  const warnings = threadRecords
+    .filter(threadData => threadData && threadData.url)
+    .map(threadData => ({
+      threadUrl: threadData.url,
+      seriesId: threadData.seriesId || '',
+      seriesName: seriesNames.get(threadData.seriesId) || threadData.seriesId || '',
+      visitedAt: threadData.timestamp || '',
+      warnings: parseStoredArray(threadData.warnings)
+    }))
+    .sort((a, b) => a.seriesName.localeCompare(b.seriesName));
+
+  const [runs, errors, errorStats, jobs] = await Promise.all([
+    getRecentCrawlRuns(MAX_LISTED_RUNS),
+    listErrorGroups({ limit: MAX_LISTED_ERRORS }),
+    getErrorQueueStats(),
+    getThreadJobStats()
+  ]);
+  return { shows, totalShows: showIds.length, warnings, runs, errors, errorStats, jobs, crawler: getCrawlerState() };
+}
+
+/**
+ * Formats an ISO timestamp for the tables, e.g. "2024-05-01 18:30 UTC".
+ * @param {string} [isoTime]
+ * @returns {string}
+ */
+function formatTime(isoTime) {
+  const time = new Date(isoTime);
+  return isoTime && !isNaN(time) ? `${time.toISOString().slice(0, 16).replace('T', ' ')} UTC` : '—';
+}
+
+/**
+ * Renders a form that posts to an admin action with a single button.
+ * @param {string} action The form action path.
+ * @param {string} label The button label.
+ * @param {Object<string, string>} [fields] Hidden fields to submit.
+ * @returns {string}
+ */
+function actionButton(action, label, fields = {}) {
+  const hiddenFields = Object.entries(fields)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+  return `<form method="post" action="${escapeHtml(action)}">${hiddenFields}<button>${escapeHtml(label)}</button></form>`;
+}
+
+/**
+ * Wraps page content in the dashboard's HTML shell.
+ * @param {string} title
+ * @param {string} body
+ * @returns {string}
+ */
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 1200px; padding: 1rem 2rem; color: #222; }
+  h1 { font-size: 1.4rem; } h2 { font-size: 1.1rem; margin-top: 2rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #ddd; vertical-align: top; }
+  form { display: inline; margin: 0; }
+  .notice { background: #eef6ee; border: 1px solid #9c9; padding: 0.5rem 1rem; }
+  .error { background: #fbeeee; border: 1px solid #c99; padding: 0.5rem 1rem; }
+  .muted { color: #777; } .hidden-show { opacity: 0.6; }
+  .stats span { display: inline-block; margin-right: 2rem; }
+  ul { margin: 0; padding-left: 1.2rem; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Renders the login form shown until the browser holds the dashboard session cookie.
+ * @param {string} [error] Message shown above the form.
+ * @returns {string}
+ */
+function renderLogin(error) {
+  return renderPage('TamilShows admin', `<h1>TamilShows admin</h1>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+<form method="post" action="/admin/login">
+  <label>Admin token <input type="password" name="token" autofocus required></label>
+  <button>Sign in</button>
+</form>`);
+}
+
+/**
+ * Renders the dashboard.
+ * @param {Awaited<ReturnType<typeof getDashboardData>>} data
+ * @param {string} [notice] Result of the last action, shown at the top.
+ * @returns {string}
+ */
+function renderDashboard(data, notice) {
+  const { crawler } = data;
+  const trackerRun = crawler.lastRuns.trackers;
+  const showRows = data.shows.map(show => `<tr class="${show.hidden ? 'hidden-show' : ''}">
+  <td>${escapeHtml(show.name)}<br><span class="muted">${escapeHtml(show.stremioId)}</span></td>
+  <td>${show.streams}</td>
+  <td>${formatTime(show.lastUpdated)}</td>
+  <td>${show.hidden ? 'Hidden' : 'Listed'}</td>
+  <td>${actionButton(`/admin/shows/${encodeURIComponent(show.stremioId)}/recrawl`, 'Re-crawl')}
+    ${actionButton(`/admin/shows/${encodeURIComponent(show.stremioId)}/${show.hidden ? 'unhide' : 'hide'}`, show.hidden ? 'Unhide' : 'Hide')}</td>
+</tr>`).join('\n');
+  const warningRows = data.warnings.map(warning => `<tr>
+  <td>${escapeHtml(warning.seriesName)}</td>
+  <td><a href="${escapeHtml(warning.threadUrl)}" rel="noreferrer" target="_blank">${escapeHtml(warning.threadUrl)}</a><br><span class="muted">Visited ${formatTime(warning.visitedAt)}</span></td>
+  <td><ul>${warning.warnings.map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul></td>
+  <td>${actionButton('/admin/threads/recrawl', 'Re-crawl', { url: warning.threadUrl })}</td>
+</tr>`).join('\n');
+  const runRows = data.runs.map(run => `<tr>
+  <td>${escapeHtml(run.task)}</td>
+  <td>${escapeHtml(run.trigger)}</td>
+  <td>${formatTime(run.startedAt)}</td>
+  <td>${run.finishedAt ? `${Math.round((new Date(run.finishedAt) - new Date(run.startedAt)) / 1000)} s` : 'running'}</td>
+  <td>${run.error ? `<span class="error">${escapeHtml(run.error)}</span>` : 'OK'}</td>
+</tr>`).join('\n');
+  const errorRows = data.errors.map(group => `<tr>
+  <td>${formatTime(group.lastSeen)}<br><span class="muted">since ${formatTime(group.firstSeen)}</span></td>
+  <td>${group.count}</td>
+  <td>${escapeHtml(group.level)}</td>
+  <td>${escapeHtml(group.message)}${group.error ? `<br><span class="muted">${escapeHtml(group.error)}</span>` : ''}</td>
+  <td>${group.url ? escapeHtml(group.url) : ''}</td>
+  <td>${actionButton(`/admin/errors/${encodeURIComponent(group.id)}/ack`, 'Acknowledge')}
+    ${group.retryable ? actionButton(`/admin/errors/${encodeURIComponent(group.id)}/retry`, 'Retry') : ''}</td>
+</tr>`).join('\n');
+
+  return renderPage('TamilShows admin', `<h1>TamilShows admin</h1>
+${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ''}
+<p class="stats">
+  <span>Forum: <strong>${escapeHtml(crawler.forum.origin)}</strong>, checked ${formatTime(crawler.forum.lastCheckedAt)}</span>
+  <span>Crawler: <strong>${crawler.isPaused ? 'paused' : (crawler.runningTasks.length > 0 ? `running ${escapeHtml(crawler.runningTasks.join(', '))}` : 'idle')}</strong></span>
+  <span>Trackers: <strong>${crawler.trackers.count}</strong>, updated ${formatTime(crawler.trackers.lastUpdatedAt)}${trackerRun && trackerRun.error ? ` <span class="error">last update failed: ${escapeHtml(trackerRun.error)}</span>` : ''}</span>
+  <span>Shows: <strong>${data.totalShows}</strong></span>
+</p>
+<p class="stats">
+  <span>Crawl jobs: <strong>${data.jobs.pending}</strong> queued, <strong>${data.jobs.active}</strong> running, <strong>${data.jobs.delayed}</strong> waiting to retry</span>
+  <span>Dead-lettered: <strong>${data.jobs.dead}</strong>${data.jobs.dead > 0 ? ` ${actionButton('/admin/jobs/dead/requeue', 'Requeue')}` : ''}</span>
+</p>
+<form method="post" action="/admin/threads/recrawl">
+  <label>Crawl a thread now <input type="url" name="url" size="60" placeholder="Forum topic URL" required></label>
+  <button>Crawl</button>
+</form>
+${actionButton('/admin/logout', 'Sign out')}
+
+<h2>Shows with parse warnings (${data.warnings.length})</h2>
+<table><tr><th>Show</th><th>Thread</th><th>Warnings</th><th></th></tr>
+${warningRows || '<tr><td colspan="4" class="muted">None</td></tr>'}
+</table>
+
+<h2>Recent crawl runs</h2>
+<table><tr><th>Task</th><th>Trigger</th><th>Started</th><th>Duration</th><th>Result</th></tr>
+${runRows || '<tr><td colspan="5" class="muted">No runs recorded yet</td></tr>'}
+</table>
+
+<h2>Open errors (${data.errorStats.openGroups})</h2>
+<p class="muted">${data.errorStats.entries} errors kept.</p>
+<table><tr><th>Last seen</th><th>Count</th><th>Level</th><th>Message</th><th>URL</th><th></th></tr>
+${errorRows || '<tr><td colspan="6" class="muted">None</td></tr>'}
+</table>
+
+<h2>Shows${data.totalShows > data.shows.length ? ` (newest ${data.shows.length} of ${data.totalShows})` : ''}</h2>
+<table><tr><th>Show</th><th>Streams</th><th>Last update</th><th>Catalog</th><th></th></tr>
+${showRows || '<tr><td colspan="5" class="muted">No shows yet</td></tr>'}
+</table>`);
+}
+
+module.exports = {
+  getDashboardData,
+  renderLogin,
+  renderDashboard
+};
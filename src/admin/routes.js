@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const express = require('express');
+const redisClient = require('../redis.js');
+const { config } = require('../config.js');
+const { logger } = require('../utils/logger.js');
+const { seriesKey } = require('../store/schema.js');
+const { deleteShow } = require('../store/deleteShow.js');
+const { hideShow, unhideShow } = require('../store/indexes.js');
+const { getDashboardData, renderLogin, renderDashboard } = require('./dashboard.js');
+const {
+  listErrorGroups,
+  getErrorGroup,
+  getRecentErrors,
+  getErrorQueueStats,
+  acknowledgeErrorGroups
+} = require('../errors/queue.js');
+const {
+  CrawlTasks,
+  triggerCrawlTask,
+  setCrawlerPaused,
+  getCrawlerState,
+  crawlThread,
+  recrawlShow,
+  getUniqueThreadId
+} = require('../crawler/engine.js');
+const { getForumDomainState, getDomainSwitches } = require('../crawler/domain.js');
+const { retryThreadJobNow, getThreadJobStats, getDeadThreadJobs, requeueDeadThreadJobs } = require('../crawler/jobQueue.js');
+
+const SESSION_COOKIE = 'tamilshows_admin';
+const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_LIST_LIMIT = 500;
+
+/**
+ * Compares two secrets in constant time.
+ * @param {string} presented
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function secretsMatch(presented, expected) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return Boolean(presented) && crypto.timingSafeEqual(digest(presented), digest(expected));
+}
+
+/**
+ * Compares a presented token with ADMIN_TOKEN in constant time.
+ * @param {string} presented
+ * @returns {boolean}
+ */
+function isAdminToken(presented) {
+  return secretsMatch(presented, config.ADMIN_TOKEN);
+}
+
+/**
+ * The dashboard session cookie value: derived from ADMIN_TOKEN, so the token itself is never
+ * stored in the browser and changing it signs every browser out.
+ * @returns {string}
+ */
+function dashboardSessionValue() {
+  return crypto.createHmac('sha256', config.ADMIN_TOKEN).update('dashboard-session').digest('hex');
+}
+
+/**
+ * Tells whether a dashboard request carries a valid session cookie.
+ * @param {express.Request} req
+ * @returns {boolean}
+ */
+function hasDashboardSession(req) {
+  const cookies = (req.get('Cookie') || '').split(';').map(cookie => cookie.trim().split('='));
+  const session = cookies.find(([name]) => name === SESSION_COOKIE);
+  return Boolean(session) && secretsMatch(session[1] || '', dashboardSessionValue());
+}
+
+/**
+ * Rejects dashboard form posts without a session cookie. The cookie is SameSite=Strict, so
+ * forms posted from other sites never carry it.
+ * @type {express.RequestHandler}
+ */
+function requireDashboardSession(req, res, next) {
+  if (!hasDashboardSession(req)) {
+    res.status(401).send(renderLogin('Please sign in.'));
+    return;
+  }
+  next();
+}
+
+/**
+ * Checks that a value is a forum topic URL the crawler can process.
+ * @param {*} value
+ * @returns {string|null} The normalized URL, or null if it is not one.
+ */
+function parseThreadUrl(value) {
+  try {
+    const url = new URL(value);
+    return /^https?:$/.test(url.protocol) && url.href.includes('/forums/topic/') ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads a ?limit= query parameter, capped at MAX_LIST_LIMIT.
+ * @param {*} value
+ * @param {number} defaultLimit
+ * @returns {number}
+ */
+function parseLimit(value, defaultLimit) {
+  const limit = parseInt(value, 10);
+  return limit > 0 ? Math.min(limit, MAX_LIST_LIMIT) : defaultLimit;
+}
+
+/**
+ * Queues the thread of an error group for another attempt by the crawl workers.
+ * @param {string} groupId
+ * @returns {Promise<{status: number, body: object}>} The API answer.
+ */
+async function retryErrorGroup(groupId) {
+  const group = await getErrorGroup(groupId);
+  if (!group) {
+    return { status: 404, body: { error: `Unknown error group ${groupId}` } };
+  }
+  if (!group.retryable) {
+    return { status: 400, body: { error: `Error group ${groupId} is not about a forum thread` } };
+  }
+  // False if the thread is already pending or running; it is tried again either way
+  const queued = await retryThreadJobNow(getUniqueThreadId(group.url), group.url);
+  return { status: 202, body: { url: group.url, queued } };
+}
+
+/**
+ * Rejects requests that do not carry ADMIN_TOKEN as a bearer token.
+ * @type {express.RequestHandler}
+ */
+function requireAdminToken(req, res, next) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (!match || !isAdminToken(match[1].trim())) {
+    res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Unauthorized' });
+    return;
+  }
+  next();
+}
+
+/**
+ * Wraps an async route so failures are logged and answered with 500.
+ * @param {string} action Describes the route for the logs, e.g. "crawl thread".
+ * @param {function(express.Request, express.Response): Promise<void>} handler
+ * @returns {express.RequestHandler}
+ */
+function adminRoute(action, handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      logger.error(`Admin API failed to ${action}:`, error);
+      logger.logToRedisErrorQueue({
+        timestamp: new Date().toISOString(),
+        level: 'ERROR',
+        message: `Admin API failed to ${action}`,
+        error: error.message,
+        url: req.originalUrl
+      });
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+/**
+ * Authenticated API for controlling the crawler and the catalog without restarting the container.
+ * Every route requires `Authorization: Bearer <ADMIN_TOKEN>`:
+ *
+ *   GET    /admin/api/crawler                     crawler state, running tasks and last runs
+ *   POST   /admin/api/crawler/new-pages           start a crawl of the forum's listing pages
+ *   POST   /admin/api/crawler/revisit             start a revisit of threads that are due
+ *   GET    /admin/api/forum                       live forum mirror and recent domain switches
+ *   POST   /admin/api/crawler/pause               pause the scheduled crawls
+ *   POST   /admin/api/crawler/resume              resume the scheduled crawls
+ *   POST   /admin/api/threads      {url}          crawl one thread now
+ *   GET    /admin/api/jobs                        crawl job counts and dead-lettered jobs (?limit=)
+ *   POST   /admin/api/jobs/dead/requeue           queue every dead-lettered job again
+ *   POST   /admin/api/shows/:stremioId/recrawl    crawl every thread of a series again
+ *   DELETE /admin/api/shows/:stremioId            delete a series and its threads
+ *   GET    /admin/api/errors                      open error groups (?acknowledged=true for all, ?limit=)
+ *   GET    /admin/api/errors/recent               latest individual errors (?limit=)
+ *   POST   /admin/api/errors/ack   {ids}          acknowledge error groups
+ *   POST   /admin/api/errors/:groupId/ack         acknowledge one error group
+ *   POST   /admin/api/errors/:groupId/retry       try the failed thread of an error group again
+ *
+ * @returns {express.Router}
+ */
+function createAdminRouter() {
+  const router = express.Router();
+  router.use('/admin/api', requireAdminToken, express.json());
+
+  router.get('/admin/api/crawler', (req, res) => {
+    res.json(getCrawlerState());
+  });
+
+  const taskRoutes = { 'new-pages': CrawlTasks.NEW_PAGES, revisit: CrawlTasks.REVISIT };
+  router.post('/admin/api/crawler/:task(new-pages|revisit)', (req, res) => {
+    const taskName = taskRoutes[req.params.task];
+    if (!triggerCrawlTask(taskName)) {
+      res.status(409).json({ error: `Crawl task ${taskName} is already running` });
+      return;
+    }
+    res.status(202).json({ started: taskName });
+  });
+
+  router.get('/admin/api/forum', adminRoute('read forum domain', async (req, res) => {
+    res.json({ ...getForumDomainState(), switches: await getDomainSwitches() });
+  }));
+
+  router.post('/admin/api/crawler/:action(pause|resume)', adminRoute('pause or resume the crawler', async (req, res) => {
+    await setCrawlerPaused(req.params.action === 'pause');
+    res.json(getCrawlerState());
+  }));
+
+  router.post('/admin/api/threads', adminRoute('crawl thread', async (req, res) => {
+    const threadUrl = parseThreadUrl(req.body && req.body.url);
+    if (!threadUrl) {
+      res.status(400).json({ error: 'Body must be {"url": "<forum topic URL>"}' });
+      return;
+    }
+    const result = await crawlThread(threadUrl);
+    if (!result) {
+      res.status(502).json({ error: `Could not process ${threadUrl}` });
+      return;
+    }
+    res.json(result);
+  }));
+
+  router.get('/admin/api/jobs', adminRoute('list crawl jobs', async (req, res) => {
+    const [stats, deadJobs] = await Promise.all([getThreadJobStats(), getDeadThreadJobs(parseLimit(req.query.limit, 50))]);
+    res.json({ ...stats, deadJobs });
+  }));
+
+  router.post('/admin/api/jobs/dead/requeue', adminRoute('requeue dead crawl jobs', async (req, res) => {
+    res.json({ requeued: await requeueDeadThreadJobs() });
+  }));
+
+  router.post('/admin/api/shows/:stremioId/recrawl', adminRoute('re-crawl series', async (req, res) => {
+    if (!(await redisClient.exists(seriesKey(req.params.stremioId)))) {
+      res.status(404).json({ error: `Unknown series ${req.params.stremioId}` });
+      return;
+    }
+    res.json({ threads: await recrawlShow(req.params.stremioId) });
+  }));
+
+  router.post('/admin/api/shows/:stremioId/:action(hide|unhide)', adminRoute('hide series', async (req, res) => {
+    const seriesData = await redisClient.hgetall(seriesKey(req.params.stremioId));
+    if (!seriesData || !seriesData.stremioId) {
+      res.status(404).json({ error: `Unknown series ${req.params.stremioId}` });
+      return;
+    }
+    await (req.params.action === 'hide' ? hideShow(seriesData.stremioId) : unhideShow(seriesData));
+    res.json({ stremioId: seriesData.stremioId, hidden: req.params.action === 'hide' });
+  }));
+
+  router.delete('/admin/api/shows/:stremioId', adminRoute('delete series', async (req, res) => {
+    const deleted = await deleteShow(req.params.stremioId);
+    if (!deleted) {
+      res.status(404).json({ error: `Unknown series ${req.params.stremioId}` });
+      return;
+    }
+    res.json({ deleted: req.params.stremioId, ...deleted });
+  }));
+
+  router.get('/admin/api/errors', adminRoute('list errors', async (req, res) => {
+    const [stats, groups] = await Promise.all([
+      getErrorQueueStats(),
+      listErrorGroups({ includeAcknowledged: req.query.acknowledged === 'true', limit: parseLimit(req.query.limit, 50) })
+    ]);
+    res.json({ ...stats, groups });
+  }));
+
+  router.get('/admin/api/errors/recent', adminRoute('list recent errors', async (req, res) => {
+    res.json({ errors: await getRecentErrors(parseLimit(req.query.limit, 50)) });
+  }));
+
+  router.post('/admin/api/errors/ack', adminRoute('acknowledge errors', async (req, res) => {
+    const groupIds = req.body && req.body.ids;
+    if (!Array.isArray(groupIds) || groupIds.length === 0 || !groupIds.every(groupId => typeof groupId === 'string')) {
+      res.status(400).json({ error: 'Body must be {"ids": ["<error group ID>", ...]}' });
+      return;
+    }
+    const groups = await Promise.all(groupIds.map(getErrorGroup));
+    const unknown = groupIds.filter((groupId, index) => !groups[index]);
+    if (unknown.length > 0) {
+      res.status(404).json({ error: `Unknown error groups ${unknown.join(', ')}` });
+      return;
+    }
+    res.json({ acknowledged: await acknowledgeErrorGroups(groupIds) });
+  }));
+
+  router.post('/admin/api/errors/:groupId/ack', adminRoute('acknowledge error', async (req, res) => {
+    if (!(await getErrorGroup(req.params.groupId))) {
+      res.status(404).json({ error: `Unknown error group ${req.params.groupId}` });
+      return;
+    }
+    res.json({ acknowledged: await acknowledgeErrorGroups([req.params.groupId]) });
+  }));
+
+  router.post('/admin/api/errors/:groupId/retry', adminRoute('retry error', async (req, res) => {
+    const { status, body } = await retryErrorGroup(req.params.groupId);
+    res.status(status).json(body);
+  }));
+
+  return router;
+}
+
+/**
+ * Wraps a dashboard form action: runs it, then sends the browser back to the dashboard with the
+ * outcome as a notice.
+ * @param {string} action Describes the action for the logs.
+ * @param {function(express.Request): Promise<string>} handler Returns the notice to show.
+ * @returns {express.RequestHandler}
+ */
+function dashboardAction(action, handler) {
+  return async (req, res) => {
+    let notice;
+    try {
+      notice = await handler(req);
+    } catch (error) {
+      logger.error(`Admin dashboard failed to ${action}:`, error);
+      logger.logToRedisErrorQueue({
+        timestamp: new Date().toISOString(),
+        level: 'ERROR',
+        message: `Admin dashboard failed to ${action}`,
+        error: error.message,
+        url: req.originalUrl
+      });
+      notice = `Could not ${action}: ${error.message}`;
+    }
+    res.redirect(303, `/admin?notice=${encodeURIComponent(notice)}`);
+  };
+}
+
+/**
+ * The HTML dashboard at /admin, for keeping the catalog tidy from a browser: shows with their stream
+ * counts, parse warnings, crawl runs, crawl jobs, the error queue and tracker status, with buttons to
+ * re-crawl threads, hide shows, requeue dead-lettered jobs and acknowledge or retry errors. Signing
+ * in with ADMIN_TOKEN sets a SameSite=Strict session cookie.
+ * @returns {express.Router}
+ */
+function createDashboardRouter() {
+  const router = express.Router();
+  router.use('/admin', express.urlencoded({ extended: false }));
+
+  router.get('/admin', async (req, res) => {
+    if (!hasDashboardSession(req)) {
+      res.send(renderLogin());
+      return;
+    }
+    try {
+      res.send(renderDashboard(await getDashboardData(), req.query.notice));
+    } catch (error) {
+      logger.error('Admin dashboard failed to load:', error);
+      logger.logToRedisErrorQueue({
+        timestamp: new Date().toISOString(),
+        level: 'ERROR',
+        message: 'Admin dashboard failed to load',
+        error: error.message,
+        url: req.originalUrl
+      });
+      res.status(500).send('Dashboard unavailable');
+    }
+  });
+
+  router.post('/admin/login', (req, res) => {
+    if (!isAdminToken(req.body.token || '')) {
+      res.status(401).send(renderLogin('Wrong admin token.'));
+      return;
+    }
+    res.cookie(SESSION_COOKIE, dashboardSessionValue(), {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      path: '/admin',
+      maxAge: SESSION_MAX_AGE_MS
+    });
+    res.redirect(303, '/admin');
+  });
+
+  router.post('/admin/logout', (req, res) => {
+    res.clearCookie(SESSION_COOKIE, { path: '/admin' });
+    res.redirect(303, '/admin');
+  });
+
+  router.post('/admin/threads/recrawl', requireDashboardSession, dashboardAction('crawl thread', async (req) => {
+    const threadUrl = parseThreadUrl(req.body.url);
+    if (!threadUrl) {
+      return 'That is not a forum topic URL.';
+    }
+    const result = await crawlThread(threadUrl);
+    return result
+      ? `Crawled "${result.title}": ${result.magnets} magnets saved on ${result.seriesId}.`
+      : `Could not process ${threadUrl}.`;
+  }));
+
+  router.post('/admin/shows/:stremioId/:action(hide|unhide|recrawl)', requireDashboardSession, dashboardAction('update series', async (req) => {
+    const seriesData = await redisClient.hgetall(seriesKey(req.params.stremioId));
+    if (!seriesData || !seriesData.stremioId) {
+      return `Unknown series ${req.params.stremioId}.`;
+    }
+    if (req.params.action === 'hide') {
+      await hideShow(seriesData.stremioId);
+      return `${seriesData.name} is hidden from the catalogs.`;
+    }
+    if (req.params.action === 'unhide') {
+      await unhideShow(seriesData);
+      return `${seriesData.name} is listed in the catalogs again.`;
+    }
+    const threads = await recrawlShow(seriesData.stremioId);
+    return `Re-crawled ${threads.filter(({ result }) => result).length} of ${threads.length} threads of ${seriesData.name}.`;
+  }));
+
+  router.post('/admin/jobs/dead/requeue', requireDashboardSession, dashboardAction('requeue dead crawl jobs', async () => {
+    return `Queued ${await requeueDeadThreadJobs()} dead-lettered crawl jobs again.`;
+  }));
+
+  router.post('/admin/errors/:groupId/:action(ack|retry)', requireDashboardSession, dashboardAction('update error', async (req) => {
+    if (req.params.action === 'ack') {
+      return (await acknowledgeErrorGroups([req.params.groupId])) > 0
+        ? 'Error acknowledged.'
+        : `Error ${req.params.groupId} is not open.`;
+    }
+    const { status, body } = await retryErrorGroup(req.params.groupId);
+    if (status !== 202) {
+      return body.error;
+    }
+    return body.queued ? `Queued ${body.url} for another attempt.` : `${body.url} is already queued.`;
+  }));
+
+  return router;
+}
+
+module.exports = { createAdminRouter, createDashboardRouter };
@@ -29,13 +29,25 @@ const LogLevel = {
  * @property {number} CRAWL_INTERVAL - in seconds
  * @property {number} THREAD_REVISIT_HOURS - in hours
  * @property {number} MAX_CONCURRENCY
- * @property {string} DOMAIN_MONITOR
+ * @property {string} DOMAIN_MONITOR - Address that redirects to the forum's live mirror; checked before each crawl, empty turns the check off
  * @property {string} ADDON_ID
  * @property {string} ADDON_NAME
  * @property {string} ADDON_DESCRIPTION
  * @property {LogLevel} LOG_LEVEL
  * @property {number} TRACKER_UPDATE_INTERVAL_HOURS
  * @property {string} NGOSANG_TRACKERS_URL
+ * @property {string} RANKING_PREFERRED_RESOLUTION - Default stream ranking policy; users can override it on /configure
+ * @property {string} RANKING_PREFERRED_SOURCE
+ * @property {string} RANKING_PREFERRED_CODEC
+ * @property {string[]} RANKING_PREFERRED_LANGUAGES - Language codes as produced by parseTitle
+ * @property {string} PUBLIC_URL - Base URL players use to reach this server (for debrid resolve links)
+ * @property {boolean} DEBRID_MOCK_ENABLED - Offer the offline mock debrid provider on /configure
+ * @property {string} METADATA_PROVIDER - Provider that maps shows to IMDb/TMDB IDs ("file"), or empty to turn mapping off
+ * @property {string} METADATA_FILE - JSON file read by the "file" metadata provider
+ * @property {number} HEALTH_MAX_CRAWL_AGE_SECONDS - /ready fails once no forum page was crawled for this long; defaults to three crawl intervals
+ * @property {number} ERROR_QUEUE_MAX_ENTRIES - Errors kept in the Redis error stream; older ones are trimmed
+ * @property {number} ERROR_QUEUE_RETENTION_DAYS - Errors and error groups not seen for this long are dropped
+ * @property {string} ADMIN_TOKEN - Bearer token for the /admin API and sign-in token for the dashboard; both are disabled while empty
  */
 const config = {
   PORT: parseInt(process.env.PORT || '7000', 10),
@@ -46,18 +58,27 @@ const config = {
   CRAWL_INTERVAL: parseInt(process.env.CRAWL_INTERVAL || '1800', 10), // 30 minutes
   THREAD_REVISIT_HOURS: parseInt(process.env.THREAD_REVISIT_HOURS || '24', 10),
   MAX_CONCURRENCY: parseInt(process.env.MAX_CONCURRENCY || '8', 10),
-  DOMAIN_MONITOR: process.env.DOMAIN_MONITOR || 'http://1tamilblasters.net',
+  DOMAIN_MONITOR: process.env.DOMAIN_MONITOR ?? 'http://1tamilblasters.net',
   ADDON_ID: process.env.ADDON_ID || 'community.tamilshows-addon', // Allow override from env
   ADDON_NAME: process.env.ADDON_NAME || 'TamilShows Web Series', // Allow override from env
   ADDON_DESCRIPTION: process.env.ADDON_DESCRIPTION || 'Auto-updating Tamil web series catalog', // Allow override from env
-  LOG_LEVEL: LogLevel[process.env.LOG_LEVEL?.toUpperCase()] || LogLevel.INFO, // Default to INFO
+  LOG_LEVEL: LogLevel[process.env.LOG_LEVEL?.toUpperCase()] ?? LogLevel.INFO, // Default to INFO
   TRACKER_UPDATE_INTERVAL_HOURS: parseInt(process.env.TRACKER_UPDATE_INTERVAL_HOURS || '6', 10), // Default to 6 hours
   NGOSANG_TRACKERS_URL: process.env.NGOSANG_TRACKERS_URL || 'https://raw.githubusercontent.com/ngosang/trackerslist/master/trackers_all.txt', // Default URL
+  RANKING_PREFERRED_RESOLUTION: process.env.RANKING_PREFERRED_RESOLUTION || '1080p',
+  RANKING_PREFERRED_SOURCE: process.env.RANKING_PREFERRED_SOURCE || 'WEB-DL',
+  RANKING_PREFERRED_CODEC: process.env.RANKING_PREFERRED_CODEC || 'x265',
+  RANKING_PREFERRED_LANGUAGES: (process.env.RANKING_PREFERRED_LANGUAGES || 'ta').split(',').map(code => code.trim()).filter(Boolean),
+  PUBLIC_URL: (process.env.PUBLIC_URL || `http://127.0.0.1:${process.env.PORT || '7000'}`).replace(/\/+$/, ''),
+  DEBRID_MOCK_ENABLED: process.env.DEBRID_MOCK_ENABLED === 'true',
+  METADATA_PROVIDER: process.env.METADATA_PROVIDER ?? 'file',
+  METADATA_FILE: process.env.METADATA_FILE || path.resolve(__dirname, '../data/external-ids.json'),
+  HEALTH_MAX_CRAWL_AGE_SECONDS: parseInt(process.env.HEALTH_MAX_CRAWL_AGE_SECONDS || String(3 * parseInt(process.env.CRAWL_INTERVAL || '1800', 10)), 10),
+  ERROR_QUEUE_MAX_ENTRIES: parseInt(process.env.ERROR_QUEUE_MAX_ENTRIES || '10000', 10),
+  ERROR_QUEUE_RETENTION_DAYS: parseInt(process.env.ERROR_QUEUE_RETENTION_DAYS || '14', 10),
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || '',
 };
 
-// Log the configuration to ensure it's loaded correctly (for debugging)
-console.log('App Configuration Loaded:', config);
-
 module.exports = {
   config,
   LogLevel
@@ -0,0 +1,224 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { config } = require('../config.js');
+const redisClient = require('../redis.js');
+const { logger } = require('../utils/logger.js');
+
+/**
+ * The forum moves to a new TLD every so often (.fi, .net, ...), while DOMAIN_MONITOR keeps
+ * redirecting to whichever mirror is live. The live origin is kept in Redis, and FORUM_URL and
+ * every forum thread URL are rebased onto it before they are fetched.
+ */
+const ForumDomainKeys = {
+  ORIGIN: 'forum:origin', // STRING: origin of the live mirror, e.g. "https://www.1tamilblasters.fi"
+  CONFIGURED: 'forum:origin:configured', // STRING: FORUM_URL's origin when ORIGIN was stored, to notice FORUM_URL changing
+  SWITCHES: 'forum:origin:switches', // LIST: JSON DomainSwitch records, newest first
+};
+
+const MAX_DOMAIN_SWITCHES = 50;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/100.0.4896.127 Safari/537.36';
+
+/**
+ * @typedef {object} DomainSwitch
+ * @property {string} from - The previous origin.
+ * @property {string} to - The new origin.
+ * @property {string} at - ISO timestamp of the switch.
+ */
+
+let currentOrigin = new URL(config.FORUM_URL).origin;
+let lastCheckedAt = null;
+
+/**
+ * Returns the origin of the live forum mirror.
+ * @returns {string}
+ */
+function getForumOrigin() {
+  return currentOrigin;
+}
+
+/**
+ * Moves a URL onto the live forum origin, keeping its path and query.
+ * @param {string} url
+ * @returns {string}
+ */
+function toForumOrigin(url) {
+  const rebased = new URL(url);
+  const origin = new URL(currentOrigin);
+  rebased.protocol = origin.protocol;
+  rebased.host = origin.host;
+  return rebased.href;
+}
+
+/**
+ * Returns FORUM_URL on the live forum origin.
+ * @returns {string}
+ */
+function getForumUrl() {
+  return toForumOrigin(config.FORUM_URL);
+}
+
+/**
+ * Loads the live origin found by an earlier run, so a restart does not go back to FORUM_URL. On the
+ * first start, or when FORUM_URL was changed since the origin was stored, FORUM_URL's origin is
+ * used and stored instead: an operator who changes FORUM_URL means it.
+ * @returns {Promise<boolean>} True if FORUM_URL's origin replaced the stored one, or none was stored
+ *   yet, so stored threads must be moved onto it.
+ */
+async function loadForumOrigin() {
+  const configuredOrigin = new URL(config.FORUM_URL).origin;
+  const [storedOrigin, storedConfiguredOrigin] = await Promise.all([
+    redisClient.get(ForumDomainKeys.ORIGIN),
+    redisClient.get(ForumDomainKeys.CONFIGURED)
+  ]);
+  // Origins stored before FORUM_URL was tracked are kept
+  if (storedOrigin && (!storedConfiguredOrigin || storedConfiguredOrigin === configuredOrigin)) {
+    currentOrigin = storedOrigin;
+    if (!storedConfiguredOrigin) {
+      await redisClient.set(ForumDomainKeys.CONFIGURED, configuredOrigin);
+    }
+    return false;
+  }
+  if (storedOrigin) {
+    logger.info(`FORUM_URL changed to ${configuredOrigin}; no longer following ${storedOrigin}.`);
+  }
+  currentOrigin = configuredOrigin;
+  await redisClient.pipeline()
+    .set(ForumDomainKeys.ORIGIN, configuredOrigin)
+    .set(ForumDomainKeys.CONFIGURED, configuredOrigin)
+    .exec();
+  return true;
+}
+
+/**
+ * Tells whether an origin serves the forum: FORUM_URL's listing page on it must link to forum
+ * topics. Parked domains and placeholder pages a monitor may redirect to do not.
+ * @param {string} origin
+ * @returns {Promise<boolean>}
+ */
+async function servesForumTopics(origin) {
+  const listingUrl = new URL(config.FORUM_URL);
+  listingUrl.protocol = new URL(origin).protocol;
+  listingUrl.host = new URL(origin).host;
+  try {
+    const response = await axios.get(listingUrl.href, {
+      headers: { 'User-Agent': USER_AGENT },
+      maxRedirects: 10,
+      timeout: 15000
+    });
+    if (typeof response.data !== 'string') {
+      return false;
+    }
+    const $ = cheerio.load(response.data);
+    return $('a[href*="/forums/topic/"]').length > 0;
+  } catch (error) {
+    logger.warn(`Could not check forum mirror ${origin}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Follows DOMAIN_MONITOR's redirects, HTTP or meta refresh, to the live mirror, and checks that the
+ * mirror serves the forum.
+ * @returns {Promise<string|null>} The mirror's origin, or null if the monitor could not be reached,
+ *   did not redirect anywhere, or redirected somewhere that is not the forum.
+ */
+async function resolveLiveOrigin() {
+  const monitorOrigin = new URL(config.DOMAIN_MONITOR).origin;
+  try {
+    const response = await axios.get(config.DOMAIN_MONITOR, {
+      headers: { 'User-Agent': USER_AGENT },
+      maxRedirects: 10,
+      timeout: 15000
+    });
+    // Where the HTTP redirects ended; set by axios' Node.js adapter
+    let finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || config.DOMAIN_MONITOR;
+    if (new URL(finalUrl).origin === monitorOrigin && typeof response.data === 'string') {
+      const refresh = cheerio.load(response.data)('meta[http-equiv="refresh" i]').attr('content') || '';
+      const match = refresh.match(/url\s*=\s*['"]?([^'"\s;]+)/i);
+      if (match) {
+        finalUrl = new URL(match[1], finalUrl).href;
+      }
+    }
+    const liveOrigin = new URL(finalUrl).origin;
+    if (liveOrigin === monitorOrigin) {
+      logger.warn(`Domain monitor ${config.DOMAIN_MONITOR} did not redirect to a forum mirror.`);
+      return null;
+    }
+    if (liveOrigin !== currentOrigin && !(await servesForumTopics(liveOrigin))) {
+      logger.warn(`Domain monitor ${config.DOMAIN_MONITOR} redirected to ${liveOrigin}, which serves no forum topics; staying on ${currentOrigin}.`);
+      logger.logToRedisErrorQueue({
+        timestamp: new Date().toISOString(),
+        level: 'WARN',
+        message: `Domain monitor redirected to ${liveOrigin}, which serves no forum topics`,
+        url: config.DOMAIN_MONITOR
+      });
+      return null;
+    }
+    return liveOrigin;
+  } catch (error) {
+    logger.warn(`Could not reach domain monitor ${config.DOMAIN_MONITOR}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Asks DOMAIN_MONITOR for the live mirror and switches to it if it moved. Each switch is logged,
+ * recorded in the error queue as a warning for the admin dashboard, and kept in a switch history.
+ * @returns {Promise<DomainSwitch|null>} The switch, or null if the forum did not move or the monitor
+ *   gave no answer.
+ */
+async function checkForumDomain() {
+  if (!config.DOMAIN_MONITOR) {
+    return null;
+  }
+  const liveOrigin = await resolveLiveOrigin();
+  lastCheckedAt = new Date().toISOString();
+  if (!liveOrigin || liveOrigin === currentOrigin) {
+    return null;
+  }
+
+  const domainSwitch = { from: currentOrigin, to: liveOrigin, at: lastCheckedAt };
+  currentOrigin = liveOrigin;
+  await redisClient.pipeline()
+    .set(ForumDomainKeys.ORIGIN, liveOrigin)
+    .lpush(ForumDomainKeys.SWITCHES, JSON.stringify(domainSwitch))
+    .ltrim(ForumDomainKeys.SWITCHES, 0, MAX_DOMAIN_SWITCHES - 1)
+    .exec();
+  logger.warn(`Forum moved from ${domainSwitch.from} to ${domainSwitch.to}.`);
+  logger.logToRedisErrorQueue({
+    timestamp: domainSwitch.at,
+    level: 'WARN',
+    message: `Forum domain switched from ${domainSwitch.from} to ${domainSwitch.to}`,
+    url: config.DOMAIN_MONITOR
+  });
+  return domainSwitch;
+}
+
+/**
+ * Returns the most recent domain switches, newest first.
+ * @param {number} [limit=10]
+ * @returns {Promise<DomainSwitch[]>}
+ */
+async function getDomainSwitches(limit = 10) {
+  const entries = await redisClient.lrange(ForumDomainKeys.SWITCHES, 0, limit - 1);
+  return entries.map(entry => JSON.parse(entry));
+}
+
+/**
+ * Describes the live forum origin for the admin API.
+ * @returns {{origin: string, monitor: string, lastCheckedAt: string|null}}
+ */
+function getForumDomainState() {
+  return { origin: currentOrigin, monitor: config.DOMAIN_MONITOR, lastCheckedAt };
+}
+
+module.exports = {
+  ForumDomainKeys,
+  getForumOrigin,
+  toForumOrigin,
+  getForumUrl,
+  loadForumOrigin,
+  checkForumDomain,
+  getDomainSwitches,
+  getForumDomainState
+};
@@ -4,12 +4,51 @@ const { config } = require('../config.js');
 const redisClient = require('../redis.js');
 const { processThread } = require('./processor.js');
 const { logger } = require('../utils/logger.js');
+const {
+  indexShow,
+  indexShowStarted,
+  indexShowLanguages,
+  indexShowGenres,
+  indexStream,
+  indexEpisode,
+  scheduleThreadRevisit,
+  indexThreadWarnings,
+  indexShowThread,
+  showThreadsIndexKey,
+  isShowHidden,
+  removeShowFromCatalogIndexes,
+  buildShowGroupKey,
+  resolveShowGroupId,
+  getThreadIdsDueForRevisit,
+  IndexKeys,
+  hgetallMany,
+  scanKeys
+} = require('../store/indexes.js');
+const { indexShowForSearch } = require('../store/searchIndex.js');
+const { RecordPrefixes, seriesKey, episodeKey, streamKey, threadKey } = require('../store/schema.js');
+const { mapSeriesToExternalIds } = require('../metadata/index.js');
+const { isDownloadablePoster } = require('../posters/cache.js');
+const { saveSubtitleAttachments } = require('../subtitles/index.js');
+const { getThreadsForShow } = require('../store/deleteShow.js');
+const { getForumOrigin, toForumOrigin, getForumUrl, loadForumOrigin, checkForumDomain, getForumDomainState } = require('./domain.js');
+const {
+  JobPriority,
+  enqueueThreadJob,
+  reserveThreadJob,
+  completeThreadJob,
+  failThreadJob,
+  releaseActiveThreadJobs
+} = require('./jobQueue.js');
+const { acknowledgeErrorsForUrl, trimErrorQueue, drainLegacyErrorQueue } = require('../errors/queue.js');
+const { pagesCrawled, threadsProcessed, magnetsSaved, recordFetchFailure } = require('../monitoring/metrics.js');
+const { qualityTier, isPlausibleYear, parseStoredArray, deriveShowGenres } = require('../parser/genres.js');
 const { 
   normalizeTitle, 
   parseTitle, 
-  fuzzyMatch, 
   cleanBaseTitleForCatalog, 
-  cleanStreamDetailsTitle 
+  cleanStreamDetailsTitle,
+  extractEpisodeTitle,
+  extractEpisodeNumbers
 } = require('../parser/title.js');
 
 /**
@@ -17,6 +56,11 @@ const {
  * @property {string} url
  * @property {string} name
  * @property {string} [size]
+ * @property {number} [sizeBytes]
+ * @property {string} [fileName]
+ * @property {string} [attachmentName]
+ * @property {string} [postedAt]
+ * @property {string} [editedAt]
  * @property {string} [resolution]
  * @property {object} [parsedMetadata]
  */
@@ -30,28 +74,67 @@ const {
  * @property {string} threadId
  * @property {string} originalUrl
  * @property {string} threadStartedTime
+ * @property {import('../parser/postDetails.js').ShowDetails} [details]
+ * @property {string[]} [trailerIds]
+ * @property {import('../subtitles/index.js').SubtitleAttachment[]} [subtitleAttachments]
  */
 
+const MAX_SHOW_TRAILERS = 5;
+const CRAWL_RUNS_KEY = 'crawler:runs'; // LIST: JSON CrawlRun records, newest first
+const CRAWLER_PAUSED_KEY = 'crawler:paused'; // STRING: "1" while an admin has the scheduled crawls paused
+const MAX_CRAWL_RUNS = 100;
+const ERROR_QUEUE_TRIM_INTERVAL_MS = 15 * 60 * 1000;
+const WORKER_IDLE_DELAY_MS = 2000;
+
 let currentPage = 1;
 let isCrawling = false;
+let isPaused = false;
 let cachedBestTrackers = [];
 let lastTrackerUpdate = 0;
+let lastPageCrawledAt = 0;
+let workersStarted = false;
+
+/**
+ * The crawl tasks that run on a schedule and can be triggered from the admin API.
+ * @enum {string}
+ */
+const CrawlTasks = {
+  NEW_PAGES: 'newPages',
+  REVISIT: 'revisit',
+  TRACKERS: 'trackers',
+};
 
 /**
- * Extracts a unique numerical thread ID from a forum topic URL.
- * @param {string} threadUrl The URL of the forum thread.
- * @returns {string} The numerical thread ID as a string, or a base64 encoded URL if no ID is found.
+ * @typedef {object} CrawlRun
+ * @property {string} task - The CrawlTasks value.
+ * @property {string} trigger - What started the run: "startup", "schedule" or "admin".
+ * @property {string} startedAt - ISO timestamp.
+ * @property {string|null} finishedAt - ISO timestamp, or null while the run is in progress.
+ * @property {string|null} error - The error message if the run failed.
+ */
+
+/** Tasks currently running, so a manual trigger never overlaps a scheduled run of the same task. */
+const runningTasks = new Set();
+/** @type {Object<string, CrawlRun>} The latest run of each task, keyed by task name. */
+const lastRuns = {};
+
+/**
+ * Extracts a unique numerical thread ID from a forum topic URL. The ID does not depend on the
+ * forum's domain, so a thread keeps its record when the forum moves to another mirror.
+ * @param {string} threadUrl The URL of the forum thread, e.g. ".../index.php?/forums/topic/123-name/".
+ * @returns {string} The numerical thread ID as a string, or the base64 encoded path if no ID is found.
  */
 function getUniqueThreadId(threadUrl) {
   const url = new URL(threadUrl);
-  const pathSegments = url.pathname.split('/');
+  // The forum routes through the query string ("index.php?/forums/topic/..."), so look there too
+  const pathSegments = `${url.pathname}${url.search}`.split('/');
   const topicSegment = pathSegments.find(segment => /^\d+-/.test(segment));
 
   if (topicSegment) {
     return topicSegment.split('-')[0];
   } else {
     logger.warn(`Could not extract numerical thread ID from URL: ${threadUrl}. Using base64 encoding.`);
-    return Buffer.from(threadUrl).toString('base64');
+    return Buffer.from(`${url.pathname}${url.search}`).toString('base64');
   }
 }
 
@@ -104,6 +187,7 @@ async function fetchHtml(url, retries = 3) {
     return response.data;
   } catch (error) {
     logger.error(`Error fetching ${url}:`, error);
+    recordFetchFailure(error);
     if (retries > 0) {
       const delay = Math.pow(2, (3 - retries)) * 1000;
       logger.info(`Retrying ${url} in ${delay / 1000} seconds... (${retries} left)`);
@@ -187,17 +271,20 @@ async function fetchAndCacheBestTrackers() {
 }
 
 /**
- * Crawls a single forum page to discover new threads.
+ * Crawls a single forum page to discover new threads, and queues the new or updated ones for the
+ * crawl workers.
  * @param {number} pageNum The page number to crawl.
  * @returns {Promise<boolean>} True if the page was successfully crawled and new threads were found, false otherwise.
  */
 async function crawlForumPage(pageNum) {
-  const url = `${config.FORUM_URL}${pageNum > 1 ? `page/${pageNum}/` : ''}`;
+  const url = `${getForumUrl()}${pageNum > 1 ? `page/${pageNum}/` : ''}`;
   logger.info(`Crawling forum page: ${url}`);
 
   const html = await fetchHtml(url);
   if (html) {
     logger.info(`Successfully fetched HTML for page ${pageNum}.`);
+    pagesCrawled.inc();
+    lastPageCrawledAt = Date.now();
   } else {
     logger.warn(`Could not fetch HTML for page ${pageNum}. Assuming end of pagination.`);
     return false;
@@ -211,41 +298,26 @@ async function crawlForumPage(pageNum) {
     return false;
   }
 
-  const processingPromises = [];
+  let queued = 0;
   for (const threadUrl of threadUrls) {
     const threadId = getUniqueThreadId(threadUrl);
     
     try {
-        const lastProcessed = await redisClient.hgetall(`thread:${threadId}`); 
-        const now = new Date().toISOString();
+        const lastProcessed = await redisClient.hgetall(threadKey(threadId)); 
 
         const revisitThreshold = config.THREAD_REVISIT_HOURS * 60 * 60 * 1000;
         const lastModifiedTimestamp = lastProcessed.timestamp ? new Date(lastProcessed.timestamp).getTime() : 0;
 
         if (!lastProcessed.timestamp || (Date.now() - lastModifiedTimestamp) > revisitThreshold) {
-          logger.info(`Processing new or updated thread: ${threadUrl}`);
-          processingPromises.push(
-            (async () => {
-              const processedData = await processThread(threadUrl);
-              if (processedData) {
-                await saveThreadData(processedData);
-                await redisClient.hmset(`thread:${processedData.threadId}`, {
-                  url: threadUrl,
-                  timestamp: now,
-                  status: 'processed'
-                });
-              }
-            })()
-          );
-          if (processingPromises.length >= config.MAX_CONCURRENCY) {
-            await Promise.all(processingPromises);
-            processingPromises.length = 0;
+          logger.info(`Queueing new or updated thread: ${threadUrl}`);
+          if (await enqueueThreadJob(threadId, threadUrl, JobPriority.NEW_THREAD)) {
+            queued++;
           }
         } else {
           logger.info(`Thread ${threadUrl} recently processed. Skipping.`);
         }
     } catch (error) {
-        logger.error(`Error checking/processing thread ${threadUrl}:`, error);
+        logger.error(`Error checking/queueing thread ${threadUrl}:`, error);
         logger.logToRedisErrorQueue({
             timestamp: new Date().toISOString(),
             level: 'ERROR',
@@ -256,17 +328,81 @@ async function crawlForumPage(pageNum) {
     }
   }
 
-  await Promise.all(processingPromises);
+  logger.info(`Queued ${queued} threads from page ${pageNum}.`);
   return threadUrls.length > 0;
 }
 
 /**
- * Saves processed thread data into Redis according to the defined schema.
+ * Stamps a thread as processed and schedules its next revisit.
+ * @param {string} threadId The unique thread ID.
+ * @param {string} threadUrl The thread URL.
+ * @param {string} processedAt ISO timestamp of the processing run.
+ * @returns {Promise<void>}
+ */
+async function markThreadProcessed(threadId, threadUrl, processedAt) {
+  await redisClient.hmset(threadKey(threadId), {
+    url: threadUrl,
+    timestamp: processedAt,
+    status: 'processed'
+  });
+  await scheduleThreadRevisit(threadId, processedAt);
+}
+
+/**
+ * Picks the first-post details to store on a series: like the poster, each detail is taken from
+ * the first thread that has it, so a later season's post does not replace the show's synopsis.
+ * @param {import('../parser/postDetails.js').ShowDetails} [details] Details parsed from the thread.
+ * @param {object} existingSeriesData The current `series:` hash (empty for a new series).
+ * @returns {Object<string, string>} Hash fields to set.
+ */
+function buildShowDetailFields(details, existingSeriesData) {
+  if (!details) {
+    return {};
+  }
+  const listField = list => (list.length > 0 ? JSON.stringify(list) : '');
+  const fields = {
+    synopsis: details.synopsis || '',
+    cast: listField(details.cast),
+    director: listField(details.director),
+    genres: listField(details.genres),
+    runtime: details.runtime || '',
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([field, value]) => value && !existingSeriesData[field]));
+}
+
+/**
+ * Works out when a magnet was published. A magnet in a post written after our previous visit
+ * dates from that post, and one in a post edited since dates from that edit. A post left
+ * unchanged since our previous visit already carried the magnet then, so it dates from the post's
+ * last edit, or from the post itself. Only a post without a usable time dates the magnet from now.
+ * @param {MagnetData} magnet
+ * @param {number|null} previousVisitAt When the thread was last processed (ms), or null on the first visit.
+ * @param {Date} now
+ * @returns {Date}
+ */
+function magnetReleasedAt(magnet, previousVisitAt, now) {
+  const postedAt = new Date(magnet.postedAt).getTime();
+  if (!postedAt) {
+    return now;
+  }
+  if (!previousVisitAt || postedAt > previousVisitAt) {
+    return new Date(postedAt);
+  }
+  const editedAt = new Date(magnet.editedAt).getTime();
+  if (editedAt > previousVisitAt) {
+    return new Date(Math.min(editedAt, now.getTime()));
+  }
+  return new Date(editedAt || postedAt);
+}
+
+/**
+ * Saves processed thread data into Redis according to the schema in store/schema.js:
+ * the thread's series record, one episode record per magnet and a stream record per magnet.
  * @param {ThreadContent} data The processed thread content.
  * @returns {Promise<void>}
  */
 async function saveThreadData(data) {
-  const { title, posterUrl, magnets, threadId, originalUrl, threadStartedTime: initialThreadStartedTime } = data;
+  const { title, posterUrl, magnets, threadId, originalUrl, threadStartedTime: initialThreadStartedTime, details, trailerIds, subtitleAttachments } = data;
   
   let finalThreadStartedTime;
   if (typeof initialThreadStartedTime === 'string') {
@@ -277,50 +413,92 @@ async function saveThreadData(data) {
   }
   
   const now = new Date();
+  // Read before markThreadProcessed stamps this visit
+  const previousVisit = await redisClient.hget(threadKey(threadId), 'timestamp');
+  const previousVisitAt = previousVisit ? new Date(previousVisit).getTime() || null : null;
 
   const parsedThreadTitleMetadata = parseTitle(title);
   const { 
     baseShowName, 
     year: threadYear, 
     season: threadSeason, 
-    languages: threadLanguages
+    languages: threadLanguages,
+    platforms: threadPlatforms
   } = parsedThreadTitleMetadata;
 
-  const yearNum = threadYear || new Date(finalThreadStartedTime).getFullYear();
+  const titleYearUsable = isPlausibleYear(threadYear);
+  const yearNum = titleYearUsable ? threadYear : new Date(finalThreadStartedTime).getFullYear();
   const seasonNum = threadSeason || 1;
 
-  const cleanedBaseCatalogTitle = cleanBaseTitleForCatalog(baseShowName, yearNum, seasonNum);
-  const normalizedBaseCatalogId = normalizeTitle(cleanedBaseCatalogTitle);
-  const stremioMovieGroupId = `tt${normalizedBaseCatalogId}`; 
+  const cleanedSeriesTitle = cleanBaseTitleForCatalog(baseShowName, yearNum);
+  // Later seasons and spelling variants of an already-known show resolve to that show's existing ID
+  const seriesId = await resolveShowGroupId(
+    buildShowGroupKey(baseShowName),
+    `tt${normalizeTitle(cleanedSeriesTitle)}`,
+    yearNum,
+    seasonNum
+  );
 
-  const movieKey = `movie:${stremioMovieGroupId}`;
+  const seriesRecordKey = seriesKey(seriesId);
+  // Things the parser had to guess, listed on the admin dashboard so someone can check the thread
+  const parseWarnings = [];
+  if (!threadYear) {
+    parseWarnings.push(`No year in the thread title; used ${yearNum} from the thread start date`);
+  } else if (!titleYearUsable) {
+    parseWarnings.push(`Implausible year ${threadYear} in the thread title; used ${yearNum} from the thread start date`);
+  }
+  if (!isDownloadablePoster(posterUrl)) {
+    parseWarnings.push('No poster image found');
+  }
+  if (magnets.length === 0) {
+    parseWarnings.push('No magnet links found');
+  }
 
-  logger.info(`Identified Movie Key for Catalog: ${movieKey} (Cleaned Title: "${cleanedBaseCatalogTitle}")`);
+  logger.info(`Identified Series Key for Catalog: ${seriesRecordKey} (Cleaned Title: "${cleanedSeriesTitle}", Season: ${seasonNum})`);
 
   try {
-    const existingMovieGroupData = await redisClient.hgetall(movieKey);
-    if (!existingMovieGroupData || fuzzyMatch(cleanedBaseCatalogTitle, existingMovieGroupData.originalTitle || '', 0.9)) { 
-        await redisClient.hmset(movieKey, {
-            originalTitle: cleanedBaseCatalogTitle,
+    const existingSeriesData = await redisClient.hgetall(seriesRecordKey);
+    // hgetall resolves to an empty object for missing keys
+    const isNewSeries = !existingSeriesData || Object.keys(existingSeriesData).length === 0;
+    if (isNewSeries) {
+        await redisClient.hmset(seriesRecordKey, {
+            name: cleanedSeriesTitle,
+            baseName: baseShowName,
             posterUrl: posterUrl,
-            stremioId: stremioMovieGroupId,
+            stremioId: seriesId,
             lastUpdated: now.toISOString(),
             associatedThreadId: threadId,
             threadStartedTime: finalThreadStartedTime,
             languages: JSON.stringify(threadLanguages),
             seasons: JSON.stringify([seasonNum]),
+            year: yearNum.toString(),
         });
-        logger.info(`Created/Updated movie group data for ${movieKey} (ID: ${stremioMovieGroupId}, Title: "${cleanedBaseCatalogTitle}")`);
+        await indexShowStarted(seriesId, finalThreadStartedTime);
+        await indexShowForSearch(seriesId, cleanedSeriesTitle);
+        logger.info(`Created series data for ${seriesRecordKey} (ID: ${seriesId}, Title: "${cleanedSeriesTitle}")`);
     } else {
-        await redisClient.hset(movieKey, 'lastUpdated', now.toISOString());
-        logger.info(`Updated existing movie group data timestamp for ${movieKey}.`);
+        // The series keeps the name, year and poster of the thread that created it
+        await redisClient.hset(seriesRecordKey, 'lastUpdated', now.toISOString());
+        if (!isDownloadablePoster(existingSeriesData.posterUrl) && isDownloadablePoster(posterUrl)) {
+          await redisClient.hset(seriesRecordKey, 'posterUrl', posterUrl);
+        }
+        logger.info(`Updated existing series data timestamp for ${seriesRecordKey}.`);
     }
+    const detailFields = buildShowDetailFields(details, isNewSeries ? {} : existingSeriesData);
+    if (Object.keys(detailFields).length > 0) {
+      await redisClient.hmset(seriesRecordKey, detailFields);
+    }
+    await indexShow(seriesId, now);
+    const previousSeriesId = await redisClient.hget(threadKey(threadId), 'seriesId');
+    await redisClient.hset(threadKey(threadId), 'seriesId', seriesId);
+    await indexShowThread(seriesId, threadId, previousSeriesId);
+    await mapSeriesToExternalIds(seriesId, isNewSeries ? { baseName: baseShowName, year: yearNum } : existingSeriesData);
   } catch (error) {
-      logger.error(`Error saving movie group data for ${movieKey}:`, error);
+      logger.error(`Error saving series data for ${seriesRecordKey}:`, error);
       logger.logToRedisErrorQueue({
           timestamp: new Date().toISOString(),
           level: 'ERROR',
-          message: `Error saving movie group data for key: ${movieKey}`,
+          message: `Error saving series data for key: ${seriesRecordKey}`,
           error: error.message,
           url: originalUrl
       });
@@ -342,6 +520,7 @@ async function saveThreadData(data) {
         message: `Magnet URL without BTIH: ${magnet.url}`,
         url: originalUrl
       });
+      parseWarnings.push(`Magnet without an info hash skipped: ${magnet.name || magnet.url.slice(0, 100)}`);
       continue;
     }
 
@@ -349,24 +528,47 @@ async function saveThreadData(data) {
     let currentEpisodeNum = parsedMagnetMetadata.episodeStart || (parsedThreadTitleMetadata.episodeStart !== undefined ? (parsedThreadTitleMetadata.episodeStart + i) : 1);
     if (!parsedMagnetMetadata.episodeStart && !parsedThreadTitleMetadata.episodeStart && magnets.length > 1) {
         currentEpisodeNum = i + 1;
+        parseWarnings.push(`No episode number in "${magnet.name}"; numbered ${currentEpisodeNum} by its position`);
     }
     
     const streamName = `TamilShows - ${parsedMagnetMetadata.resolutions[0] || 'Unknown'}${parsedMagnetMetadata.qualityTags.length > 0 ? ' ' + parsedMagnetMetadata.qualityTags[0].toUpperCase() : ''}`; 
     const streamTitle = cleanStreamDetailsTitle(parsedMagnetMetadata); 
 
-    const streamId = `${stremioMovieGroupId}:s${seasonNum}e${currentEpisodeNum}:${normalizeTitle(parsedMagnetMetadata.resolutions[0] || 'unknown')}:${infoHash}`;
-    const streamDataKey = `stream:${streamId}`;
+    const episodeRecordKey = episodeKey(seriesId, seasonNum, currentEpisodeNum);
+    const streamDataKey = streamKey(seriesId, seasonNum, currentEpisodeNum, infoHash);
 
     logger.info(`Identified Stream Key: ${streamDataKey} (Stream Title: "${streamTitle}")`);
 
     try {
+        await redisClient.hmset(episodeRecordKey, {
+          seriesId: seriesId,
+          season: seasonNum.toString(),
+          episode: currentEpisodeNum.toString(),
+          lastUpdated: now.toISOString(),
+        });
+        // The earliest post or edit carrying any of the episode's magnets counts as its release
+        const releasedAt = magnetReleasedAt(magnet, previousVisitAt, now);
+        const storedFirstSeen = await redisClient.hget(episodeRecordKey, 'firstSeen');
+        if (storedFirstSeen === null || releasedAt < new Date(storedFirstSeen)) {
+          await redisClient.hset(episodeRecordKey, 'firstSeen', releasedAt.toISOString());
+        }
+        const episodeTitle = magnet.attachmentName && !(parsedMagnetMetadata.episodeEnd > currentEpisodeNum)
+          ? extractEpisodeTitle(magnet.attachmentName)
+          : null;
+        if (episodeTitle) {
+          await redisClient.hsetnx(episodeRecordKey, 'title', episodeTitle);
+        }
+        await indexEpisode(seriesId, episodeRecordKey);
+
         await redisClient.hmset(streamDataKey, {
-          parentMovieId: stremioMovieGroupId,
+          parentSeriesId: seriesId,
           infoHash: infoHash,
           sources: JSON.stringify(cachedBestTrackers),
           name: streamName, 
           title: streamTitle, 
           size: magnet.size || '', 
+          sizeBytes: magnet.sizeBytes ? magnet.sizeBytes.toString() : '',
+          fileName: magnet.fileName || '',
           resolution: magnet.resolution || '', 
           timestamp: now.toISOString(),
           threadUrl: originalUrl,
@@ -378,7 +580,9 @@ async function saveThreadData(data) {
           episodeNumber: currentEpisodeNum.toString(),
           seasonNumber: seasonNum.toString(),
         });
-        logger.info(`Saved stream data for ${streamDataKey} (Parent ID: ${stremioMovieGroupId}, Stream Title: "${streamTitle}")`);
+        await indexStream(seriesId, streamDataKey, seasonNum, currentEpisodeNum, now);
+        magnetsSaved.inc();
+        logger.info(`Saved stream data for ${streamDataKey} (Parent ID: ${seriesId}, Stream Title: "${streamTitle}")`);
     } catch (error) {
         logger.error(`Error saving stream data for ${streamDataKey}:`, error);
         logger.logToRedisErrorQueue({
@@ -391,17 +595,189 @@ async function saveThreadData(data) {
     }
   }
 
-  if (parsedThreadTitleMetadata.languages && parsedThreadTitleMetadata.languages.length > 0) {
-    const existingLanguagesString = await redisClient.hgetall(movieKey).then(data => data.languages);
-    const existingLanguages = existingLanguagesString ? JSON.parse(existingLanguagesString) : [];
-    const mergedLanguages = Array.from(new Set([...existingLanguages, ...parsedThreadTitleMetadata.languages]));
-    await redisClient.hset(movieKey, 'languages', JSON.stringify(mergedLanguages));
+  if (subtitleAttachments && subtitleAttachments.length > 0) {
+    // A subtitle file whose name has no episode number belongs to the thread's only episode, if it has one.
+    // parseTitle numbers names without an episode as episode 1, so the names are read again here.
+    const threadEpisodes = new Set(magnets.map(magnet => extractEpisodeNumbers(magnet.name).episode).filter(Boolean));
+    await saveSubtitleAttachments(seriesId, subtitleAttachments, {
+      season: seasonNum,
+      episode: threadEpisodes.size === 1 ? Array.from(threadEpisodes)[0] : extractEpisodeNumbers(title).episode
+    }, originalUrl);
+  }
+
+  const seriesData = await redisClient.hgetall(seriesRecordKey);
+  const mergedLanguages = Array.from(new Set([...parseStoredArray(seriesData.languages), ...(threadLanguages || [])]));
+  const mergedSeasons = Array.from(new Set([...parseStoredArray(seriesData.seasons), seasonNum])).sort((a,b) => a - b);
+
+  // Quality tiers and platforms feed the catalog genre filter
+  const magnetTiers = magnets
+    .map(magnet => qualityTier(magnet.resolution))
+    .filter(Boolean);
+  const magnetPlatforms = magnets.flatMap(magnet => (magnet.parsedMetadata && magnet.parsedMetadata.platforms) || []);
+  const mergedTiers = Array.from(new Set([...parseStoredArray(seriesData.qualityTiers), ...magnetTiers]));
+  const mergedPlatforms = Array.from(new Set([...parseStoredArray(seriesData.platforms), ...(threadPlatforms || []), ...magnetPlatforms, ...((details && details.platforms) || [])]));
+
+  const updatedFields = {
+    languages: JSON.stringify(mergedLanguages),
+    seasons: JSON.stringify(mergedSeasons),
+    qualityTiers: JSON.stringify(mergedTiers),
+    platforms: JSON.stringify(mergedPlatforms),
+  };
+  // Each season's thread may embed its own trailer; the first ones found stay first
+  const mergedTrailers = Array.from(new Set([...parseStoredArray(seriesData.trailers), ...(trailerIds || [])])).slice(0, MAX_SHOW_TRAILERS);
+  if (mergedTrailers.length > 0) {
+    updatedFields.trailers = JSON.stringify(mergedTrailers);
+  }
+  await redisClient.hmset(seriesRecordKey, updatedFields);
+  const genres = deriveShowGenres({ ...seriesData, ...updatedFields });
+  await indexShowLanguages(seriesId, mergedLanguages, now);
+  await indexShowGenres(seriesId, genres, now);
+  if (await isShowHidden(seriesId)) {
+    // The show is still updated, but an admin took it out of the catalogs; hiding it cleared the
+    // other labels, so only the ones indexed above need removing
+    await removeShowFromCatalogIndexes(seriesId, { languages: mergedLanguages, genres });
+  }
+
+  await redisClient.hset(threadKey(threadId), 'warnings', JSON.stringify(parseWarnings));
+  await indexThreadWarnings(threadId, parseWarnings.length > 0);
+}
+
+/**
+ * Processes one thread and saves its streams, whether or not it is due for a visit.
+ * @param {string} threadUrl The URL of the forum thread, on any forum mirror.
+ * @param {string} [processedAt] ISO timestamp to stamp the thread with; defaults to now.
+ * @returns {Promise<{threadId: string, title: string, seriesId: string|null, magnets: number}|null>}
+ *   What was saved, or null if the thread could not be processed.
+ */
+async function crawlThread(threadUrl, processedAt = new Date().toISOString()) {
+  // URLs queued or pasted before a domain switch still point at the old mirror
+  const liveUrl = toForumOrigin(threadUrl);
+  const processedData = await processThread(liveUrl);
+  if (!processedData) {
+    threadsProcessed.inc({ result: 'failed' });
+    return null;
+  }
+  await saveThreadData(processedData);
+  await markThreadProcessed(processedData.threadId, liveUrl, processedAt);
+  threadsProcessed.inc({ result: 'saved' });
+  return {
+    threadId: processedData.threadId,
+    title: processedData.title,
+    seriesId: await redisClient.hget(threadKey(processedData.threadId), 'seriesId'),
+    magnets: processedData.magnets.length
+  };
+}
+
+/**
+ * Moves a thread record to a new thread ID, with its revisit, warning and show index entries. If the
+ * thread already has a record under the new ID, that one is kept and the old one dropped.
+ * @param {string} oldThreadId
+ * @param {string} newThreadId
+ * @param {string} threadUrl The thread's URL on the live forum origin.
+ * @returns {Promise<void>}
+ */
+async function moveThreadRecord(oldThreadId, newThreadId, threadUrl) {
+  const [revisitAt, hasWarnings, seriesId, targetExists] = await Promise.all([
+    redisClient.zscore(IndexKeys.THREADS_BY_REVISIT, oldThreadId),
+    redisClient.sismember(IndexKeys.THREADS_WITH_WARNINGS, oldThreadId),
+    redisClient.hget(threadKey(oldThreadId), 'seriesId'),
+    redisClient.exists(threadKey(newThreadId))
+  ]);
+  const pipeline = redisClient.pipeline()
+    .zrem(IndexKeys.THREADS_BY_REVISIT, oldThreadId)
+    .srem(IndexKeys.THREADS_WITH_WARNINGS, oldThreadId);
+  if (seriesId) {
+    pipeline.srem(showThreadsIndexKey(seriesId), oldThreadId);
+  }
+  if (targetExists) {
+    pipeline.del(threadKey(oldThreadId));
+  } else {
+    pipeline.rename(threadKey(oldThreadId), threadKey(newThreadId));
+    pipeline.hset(threadKey(newThreadId), 'url', threadUrl);
+    if (revisitAt !== null) {
+      pipeline.zadd(IndexKeys.THREADS_BY_REVISIT, revisitAt, newThreadId);
+    }
+    if (hasWarnings) {
+      pipeline.sadd(IndexKeys.THREADS_WITH_WARNINGS, newThreadId);
+    }
+    if (seriesId) {
+      pipeline.sadd(showThreadsIndexKey(seriesId), newThreadId);
+    }
+  }
+  await pipeline.exec();
+}
+
+/**
+ * Moves every stored thread onto the live forum origin, so revisits fetch the live mirror. Threads
+ * stored under another ID than getUniqueThreadId gives now (older records were keyed by the whole
+ * URL, domain included) are moved to it, and series that name them as their source follow.
+ * @returns {Promise<{rebased: number, rekeyed: number}>} Threads whose URL changed, and those of
+ *   them that also changed ID.
+ */
+async function rebaseStoredThreads() {
+  const counts = { rebased: 0, rekeyed: 0 };
+  /** @type {Map<string, string>} Old thread ID -> new thread ID */
+  const movedIds = new Map();
+  await scanKeys(threadKey('*'), async (keys) => {
+    const records = await hgetallMany(keys);
+    for (let i = 0; i < keys.length; i++) {
+      const threadData = records[i];
+      if (!threadData || !threadData.url) {
+        continue;
+      }
+      const oldThreadId = keys[i].slice(RecordPrefixes.THREAD.length);
+      const threadUrl = toForumOrigin(threadData.url);
+      const newThreadId = getUniqueThreadId(threadUrl);
+      if (newThreadId !== oldThreadId) {
+        await moveThreadRecord(oldThreadId, newThreadId, threadUrl);
+        movedIds.set(oldThreadId, newThreadId);
+        counts.rekeyed++;
+      } else if (threadUrl !== threadData.url) {
+        await redisClient.hset(keys[i], 'url', threadUrl);
+      } else {
+        continue;
+      }
+      counts.rebased++;
+    }
+  });
+
+  if (movedIds.size > 0) {
+    await scanKeys(seriesKey('*'), async (keys) => {
+      const records = await hgetallMany(keys);
+      for (let i = 0; i < keys.length; i++) {
+        const newThreadId = records[i] && movedIds.get(records[i].associatedThreadId);
+        if (newThreadId) {
+          await redisClient.hset(keys[i], 'associatedThreadId', newThreadId);
+        }
+      }
+    });
   }
+  logger.info(`Moved ${counts.rebased} stored threads to ${getForumOrigin()} (${counts.rekeyed} re-keyed).`);
+  return counts;
+}
 
-  const existingSeasonsString = await redisClient.hgetall(movieKey).then(data => data.seasons);
-  const existingSeasons = existingSeasonsString ? JSON.parse(existingSeasonsString) : [];
-  const mergedSeasons = Array.from(new Set([...existingSeasons, seasonNum])).sort((a,b) => a - b);
-  await redisClient.hset(movieKey, 'seasons', JSON.stringify(mergedSeasons));
+/**
+ * Switches to the live forum mirror if the forum moved, and moves the stored threads along.
+ * @returns {Promise<void>}
+ */
+async function syncForumDomain() {
+  if (await checkForumDomain()) {
+    await rebaseStoredThreads();
+  }
+}
+
+/**
+ * Processes every known thread of a series again, e.g. after the parser was fixed.
+ * @param {string} stremioId The series' Stremio ID.
+ * @returns {Promise<Array<{url: string, result: object|null}>>} The crawlThread result of each thread.
+ */
+async function recrawlShow(stremioId) {
+  const results = [];
+  for (const { url } of await getThreadsForShow(stremioId)) {
+    results.push({ url, result: await crawlThread(url) });
+  }
+  logger.info(`Re-crawled ${results.length} threads of series ${stremioId}.`);
+  return results;
 }
 
 /**
@@ -410,6 +786,7 @@ async function saveThreadData(data) {
  */
 async function crawlNewPages() {
   logger.info('Starting new page crawl...');
+  await syncForumDomain();
   let hasMorePages = true;
   let pageCounter = 1;
 
@@ -426,55 +803,215 @@ async function crawlNewPages() {
 }
 
 /**
- * Periodically re-visits existing threads to check for updates.
+ * Periodically queues the existing threads that are due for a revisit, to check for updates.
  * @returns {Promise<void>}
  */
 async function revisitExistingThreads() {
   logger.info('Starting existing thread revisit...');
-  const threadKeys = await redisClient.keys('thread:*');
+  const dueThreadIds = await getThreadIdsDueForRevisit(Date.now());
+  const dueThreads = await hgetallMany(dueThreadIds.map(threadKey));
+
+  const threadsToRevisit = dueThreadIds
+    .map((threadId, index) => ({ threadId, url: dueThreads[index] && dueThreads[index].url }))
+    .filter(threadData => threadData.url);
 
-  const revisitThreshold = config.THREAD_REVISIT_HOURS * 60 * 60 * 1000;
-  const now = Date.now(); 
+  let queued = 0;
+  for (const threadData of threadsToRevisit) {
+    if (await enqueueThreadJob(threadData.threadId, threadData.url, JobPriority.REVISIT)) {
+      queued++;
+    }
+  }
+  logger.info(`Queued ${queued} of ${threadsToRevisit.length} threads due for a revisit.`);
+}
 
-  const threadsToRevisit = [];
+/**
+ * Runs one crawl job and completes it, or records the failure so the job is retried with backoff.
+ * The job queue is the only thing that retries threads: a thread that could not be fetched or
+ * parsed fails its job like one that threw. Once a retried thread goes through, its open errors
+ * are acknowledged.
+ * @param {import('./jobQueue.js').ThreadJob} job
+ * @returns {Promise<void>}
+ */
+async function runThreadJob(job) {
+  let errorMessage = null;
+  try {
+    if (!(await crawlThread(job.url))) {
+      errorMessage = 'Thread could not be fetched or processed';
+    }
+  } catch (error) {
+    logger.error(`Crawl job for thread ${job.url} failed:`, error);
+    errorMessage = error.message;
+  }
+  if (errorMessage) {
+    const outcome = await failThreadJob(job.id, errorMessage);
+    if (outcome && outcome.retryAt) {
+      logger.warn(`Crawl job for thread ${job.url} will be retried after ${outcome.retryAt}.`);
+    }
+    return;
+  }
+  if (!(await completeThreadJob(job.id))) {
+    logger.warn(`Crawl job for thread ${job.url} finished after its visibility timeout and was already queued again.`);
+  }
+  if (job.attempts > 0 || job.priority === JobPriority.RETRY) {
+    for (const url of new Set([job.url, toForumOrigin(job.url)])) {
+      await acknowledgeErrorsForUrl(url);
+    }
+  }
+}
 
-  for (const key of threadKeys) {
-    const threadData = await redisClient.hgetall(key);
-    if (threadData.timestamp) {
-      const lastProcessedTime = new Date(threadData.timestamp).getTime();
-      if (now - lastProcessedTime > revisitThreshold) {
-        threadsToRevisit.push(threadData.url);
-      }
-    } else {
-      if (threadData.url) {
-        threadsToRevisit.push(threadData.url);
+/**
+ * Takes jobs off the crawl job queue one at a time until the process exits. Idles while the queue is
+ * empty or the crawler is paused.
+ * @returns {Promise<void>}
+ */
+async function runThreadWorker() {
+  for (;;) {
+    let job = null;
+    try {
+      job = isPaused ? null : await reserveThreadJob();
+      if (job) {
+        await runThreadJob(job);
       }
+    } catch (error) {
+      logger.error('Error in crawl worker:', error);
+      logger.logToRedisErrorQueue({
+        timestamp: new Date().toISOString(),
+        level: 'ERROR',
+        message: 'Error in crawl worker',
+        error: error.message,
+        url: job ? job.url : undefined
+      });
+    }
+    if (!job) {
+      await new Promise(resolve => setTimeout(resolve, WORKER_IDLE_DELAY_MS));
     }
   }
+}
 
-  const processingPromises = [];
-  for (const threadUrl of threadsToRevisit) {
-    processingPromises.push(
-      (async () => {
-        const processedData = await processThread(threadUrl);
-        if (processedData) {
-          await saveThreadData(processedData);
-          const threadId = getUniqueThreadId(threadUrl);
-          await redisClient.hmset(`thread:${threadId}`, {
-            url: threadUrl,
-            timestamp: new Date().toISOString(),
-            status: 'processed'
-          });
-        }
-      })()
-    );
-    if (processingPromises.length >= config.MAX_CONCURRENCY) {
-      await Promise.all(processingPromises);
-      processingPromises.length = 0;
+/**
+ * Starts MAX_CONCURRENCY crawl workers, once.
+ * @returns {void}
+ */
+function startThreadWorkers() {
+  if (workersStarted) {
+    return;
+  }
+  workersStarted = true;
+  for (let i = 0; i < config.MAX_CONCURRENCY; i++) {
+    runThreadWorker();
+  }
+  logger.info(`Started ${config.MAX_CONCURRENCY} crawl workers.`);
+}
+
+const CRAWL_TASK_FUNCTIONS = {
+  [CrawlTasks.NEW_PAGES]: crawlNewPages,
+  [CrawlTasks.REVISIT]: revisitExistingThreads,
+  [CrawlTasks.TRACKERS]: fetchAndCacheBestTrackers,
+};
+
+/**
+ * Runs a crawl task and records the run, unless the task is already running.
+ * @param {CrawlTasks} taskName
+ * @param {string} [trigger='schedule'] What started the run, for the run history.
+ * @returns {Promise<boolean>} False if the task was already running and was not started again.
+ */
+async function runCrawlTask(taskName, trigger = 'schedule') {
+  if (runningTasks.has(taskName)) {
+    logger.info(`Crawl task ${taskName} is already running. Skipping.`);
+    return false;
+  }
+  runningTasks.add(taskName);
+  const run = { task: taskName, trigger, startedAt: new Date().toISOString(), finishedAt: null, error: null };
+  lastRuns[taskName] = run;
+  try {
+    await CRAWL_TASK_FUNCTIONS[taskName]();
+    return true;
+  } catch (error) {
+    run.error = error.message;
+    throw error;
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    runningTasks.delete(taskName);
+    try {
+      await redisClient.pipeline()
+        .lpush(CRAWL_RUNS_KEY, JSON.stringify(run))
+        .ltrim(CRAWL_RUNS_KEY, 0, MAX_CRAWL_RUNS - 1)
+        .exec();
+    } catch (historyError) {
+      logger.warn(`Could not record the ${taskName} crawl run: ${historyError.message}`);
     }
   }
-  await Promise.all(processingPromises);
-  logger.info(`Revisited ${threadsToRevisit.length} existing threads.`);
+}
+
+/**
+ * Returns the most recent finished crawl runs, newest first.
+ * @param {number} [limit=20]
+ * @returns {Promise<CrawlRun[]>}
+ */
+async function getRecentCrawlRuns(limit = 20) {
+  const entries = await redisClient.lrange(CRAWL_RUNS_KEY, 0, limit - 1);
+  return entries.map(entry => JSON.parse(entry));
+}
+
+/**
+ * Starts a crawl task in the background, for on-demand runs from the admin API.
+ * @param {CrawlTasks} taskName
+ * @returns {boolean} False if the task is already running.
+ */
+function triggerCrawlTask(taskName) {
+  if (runningTasks.has(taskName)) {
+    return false;
+  }
+  logger.info(`Crawl task ${taskName} triggered on demand.`);
+  runCrawlTask(taskName, 'admin').catch((error) => {
+    logger.error(`Error during on-demand crawl task ${taskName}:`, error);
+    logger.logToRedisErrorQueue({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      message: `Error during on-demand crawl task ${taskName}`,
+      error: error.message
+    });
+  });
+  return true;
+}
+
+/**
+ * Pauses or resumes the scheduled forum crawls (new pages, thread revisits and retries of failed
+ * threads) and the crawl workers; queued jobs wait until the crawler is resumed. Tracker updates and
+ * on-demand runs are not affected. The flag is kept in Redis, so the crawler stays paused across
+ * restarts.
+ * @param {boolean} paused
+ * @returns {Promise<void>}
+ */
+async function setCrawlerPaused(paused) {
+  if (paused) {
+    await redisClient.set(CRAWLER_PAUSED_KEY, '1');
+  } else {
+    await redisClient.del(CRAWLER_PAUSED_KEY);
+  }
+  isPaused = paused;
+  logger.info(`Scheduled crawls ${paused ? 'paused' : 'resumed'}.`);
+}
+
+/**
+ * Describes what the crawler is doing and when each task last ran.
+ * @returns {object}
+ */
+function getCrawlerState() {
+  return {
+    isCrawling,
+    isPaused,
+    currentPage,
+    runningTasks: Array.from(runningTasks),
+    lastRuns,
+    // When a forum listing page was last fetched, i.e. when the forum was last reachable
+    lastSuccessfulCrawlAt: lastPageCrawledAt ? new Date(lastPageCrawledAt).toISOString() : null,
+    forum: getForumDomainState(),
+    trackers: {
+      count: cachedBestTrackers.length,
+      lastUpdatedAt: lastTrackerUpdate ? new Date(lastTrackerUpdate).toISOString() : null
+    }
+  };
 }
 
 /**
@@ -496,16 +1033,39 @@ function startCrawler() {
             await redisClient.purgeRedis();
             logger.info('Redis purge completed.');
         }
+        isPaused = await redisClient.get(CRAWLER_PAUSED_KEY) === '1';
+        if (isPaused) {
+            logger.info('Scheduled crawls were paused by an admin and stay paused.');
+        }
+        const legacyErrors = await drainLegacyErrorQueue();
+        if (legacyErrors > 0) {
+            logger.info(`Moved ${legacyErrors} errors from the legacy error_queue list into the error stream.`);
+        }
+        if (await loadForumOrigin()) {
+            // First start with domain tracking, whose threads were keyed by their full URL, or FORUM_URL changed
+            logger.info('Moving stored threads onto the forum origin...');
+            await rebaseStoredThreads();
+        }
+        const interruptedJobs = await releaseActiveThreadJobs();
+        if (interruptedJobs > 0) {
+            logger.info(`Resuming ${interruptedJobs} crawl jobs interrupted by the last shutdown.`);
+        }
+        startThreadWorkers();
         logger.info('Starting initial fetch and cache of best trackers...');
-        await fetchAndCacheBestTrackers();
+        await runCrawlTask(CrawlTasks.TRACKERS, 'startup');
         logger.info('Initial fetch and cache of best trackers completed.');
 
+        if (isPaused) {
+            logger.info('Crawler is paused. Skipping initial crawls for new pages and revisits.');
+            return;
+        }
+
         logger.info('Starting initial new page crawl...');
-        await crawlNewPages();
+        await runCrawlTask(CrawlTasks.NEW_PAGES, 'startup');
         logger.info('Initial new page crawl completed.');
 
         logger.info('Starting initial revisit of existing threads...');
-        await revisitExistingThreads();
+        await runCrawlTask(CrawlTasks.REVISIT, 'startup');
         logger.info('Initial revisit of existing threads completed.');
 
     } catch (error) {
@@ -516,13 +1076,19 @@ function startCrawler() {
             message: 'Error during initial crawler startup',
             error: error.message
         });
+        // Work already queued still gets done
+        startThreadWorkers();
     }
   })();
 
   setInterval(async () => {
+    if (isPaused) {
+        logger.info('Crawler is paused. Skipping scheduled crawl for new pages.');
+        return;
+    }
     logger.info('Scheduled crawl for new pages triggered.');
     try {
-        await crawlNewPages();
+        await runCrawlTask(CrawlTasks.NEW_PAGES);
     } catch (error) {
         logger.error('Error during scheduled new page crawl:', error);
         logger.logToRedisErrorQueue({
@@ -535,9 +1101,13 @@ function startCrawler() {
   }, config.CRAWL_INTERVAL * 1000);
 
   setInterval(async () => {
+    if (isPaused) {
+        logger.info('Crawler is paused. Skipping scheduled revisit of existing threads.');
+        return;
+    }
     logger.info('Scheduled revisit for existing threads triggered.');
     try {
-        await revisitExistingThreads();
+        await runCrawlTask(CrawlTasks.REVISIT);
     } catch (error) {
         logger.error('Error during scheduled revisit of existing threads:', error);
         logger.logToRedisErrorQueue({
@@ -552,7 +1122,7 @@ function startCrawler() {
   setInterval(async () => {
     logger.info('Scheduled best trackers update triggered.');
     try {
-        await fetchAndCacheBestTrackers();
+        await runCrawlTask(CrawlTasks.TRACKERS);
     } catch (error) {
         logger.error('Error during scheduled best trackers update:', error);
         logger.logToRedisErrorQueue({
@@ -563,10 +1133,25 @@ function startCrawler() {
         });
     }
   }, config.TRACKER_UPDATE_INTERVAL_HOURS * 60 * 60 * 1000);
+
+  setInterval(async () => {
+    try {
+        await trimErrorQueue();
+    } catch (error) {
+        logger.warn(`Could not trim the error queue: ${error.message}`);
+    }
+  }, ERROR_QUEUE_TRIM_INTERVAL_MS);
 }
 
 module.exports = {
+  CrawlTasks,
   startCrawler,
+  triggerCrawlTask,
+  setCrawlerPaused,
+  getCrawlerState,
+  getRecentCrawlRuns,
+  crawlThread,
+  recrawlShow,
   getUniqueThreadId, // Export getUniqueThreadId for use in processor.js
   extractBtihFromMagnet // Export extractBtihFromMagnet as it's a shared utility
 };
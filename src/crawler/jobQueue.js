@@ -0,0 +1,335 @@
+const redisClient = require('../redis.js');
+const { logger } = require('../utils/logger.js');
+
+/**
+ * Durable queue of thread crawl jobs, worked through by the crawler's worker pool. A job is one
+ * forum thread, identified by its thread ID, so a thread is never queued twice:
+ *
+ *   pending  - waiting to run, ordered by priority, then by when it was queued
+ *   delayed  - failed, waiting out its backoff before it is pending again
+ *   active   - reserved by a worker until its visibility timeout; a job whose worker does not
+ *              finish in time is taken back and counts as a failed attempt
+ *   dead     - failed MAX_JOB_ATTEMPTS times; kept for inspection until an admin requeues it
+ *
+ * Everything lives in Redis, so queued work survives a restart.
+ */
+const JobQueueKeys = {
+  PENDING: 'jobs:threads:pending', // ZSET: job ID scored by priority * PRIORITY_SPAN + queued at (ms)
+  DELAYED: 'jobs:threads:delayed', // ZSET: job ID scored by when it may run again (ms)
+  ACTIVE: 'jobs:threads:active', // ZSET: job ID scored by the end of its visibility timeout (ms)
+  DEAD: 'jobs:threads:dead', // LIST: JSON DeadThreadJob records, newest first
+  JOB_PREFIX: 'jobs:threads:job:', // HASH: one per queued job, see ThreadJob
+};
+
+/**
+ * Job priorities; lower runs first.
+ * @enum {number}
+ */
+const JobPriority = {
+  NEW_THREAD: 0,
+  RETRY: 1,
+  REVISIT: 2,
+};
+
+// Larger than any timestamp in ms, so the priority always outweighs the queue time in a score
+const PRIORITY_SPAN = 1e13;
+const VISIBILITY_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_JOB_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const MAX_DEAD_JOBS = 500;
+
+/**
+ * @typedef {object} ThreadJob
+ * @property {string} id - The thread ID.
+ * @property {string} url - The thread URL.
+ * @property {number} priority - A JobPriority value.
+ * @property {number} attempts - Failed attempts so far.
+ * @property {string} enqueuedAt - ISO timestamp.
+ * @property {string} [lastError] - Error of the last failed attempt.
+ */
+
+/**
+ * @typedef {ThreadJob & {error: string, failedAt: string}} DeadThreadJob
+ */
+
+// Queues a job unless it is already queued; a pending job is moved up if queued with a higher priority.
+// Returns 1 if queued, 2 if moved up, 0 otherwise.
+redisClient.defineCommand('enqueueThreadJob', {
+  numberOfKeys: 4,
+  lua: `
+local pending, delayed, active, jobKey = KEYS[1], KEYS[2], KEYS[3], KEYS[4]
+local jobId, url, priority, now, enqueuedAt = ARGV[1], ARGV[2], tonumber(ARGV[3]), tonumber(ARGV[4]), ARGV[5]
+if redis.call('ZSCORE', active, jobId) or redis.call('ZSCORE', delayed, jobId) then
+  return 0
+end
+if redis.call('ZSCORE', pending, jobId) then
+  local queuedPriority = tonumber(redis.call('HGET', jobKey, 'priority'))
+  if queuedPriority and priority < queuedPriority then
+    redis.call('HSET', jobKey, 'priority', priority)
+    redis.call('ZADD', pending, string.format('%.0f', priority * ${PRIORITY_SPAN} + now), jobId)
+    return 2
+  end
+  return 0
+end
+redis.call('HSET', jobKey, 'id', jobId, 'url', url, 'priority', priority, 'attempts', 0, 'enqueuedAt', enqueuedAt)
+redis.call('ZADD', pending, string.format('%.0f', priority * ${PRIORITY_SPAN} + now), jobId)
+return 1`
+});
+
+// Makes delayed jobs that are due pending again, then moves the first pending job to active.
+// Returns its ID, or nil if nothing is pending.
+redisClient.defineCommand('reserveThreadJob', {
+  numberOfKeys: 3,
+  lua: `
+local pending, delayed, active = KEYS[1], KEYS[2], KEYS[3]
+local now, visibleAt, jobPrefix = tonumber(ARGV[1]), ARGV[2], ARGV[3]
+local due = redis.call('ZRANGEBYSCORE', delayed, '-inf', now, 'LIMIT', 0, 100)
+for _, jobId in ipairs(due) do
+  local priority = tonumber(redis.call('HGET', jobPrefix .. jobId, 'priority')) or 0
+  redis.call('ZREM', delayed, jobId)
+  redis.call('ZADD', pending, string.format('%.0f', priority * ${PRIORITY_SPAN} + now), jobId)
+end
+local next = redis.call('ZRANGE', pending, 0, 0)
+if #next == 0 then
+  return nil
+end
+redis.call('ZREM', pending, next[1])
+redis.call('ZADD', active, visibleAt, next[1])
+return next[1]`
+});
+
+// Finishes an active job. Returns 0 if the job was no longer active (its visibility timeout ran out).
+redisClient.defineCommand('completeThreadJob', {
+  numberOfKeys: 2,
+  lua: `
+if redis.call('ZREM', KEYS[1], ARGV[1]) == 0 then
+  return 0
+end
+redis.call('DEL', KEYS[2])
+return 1`
+});
+
+/**
+ * @param {string} jobId
+ * @returns {string}
+ */
+function jobKey(jobId) {
+  return `${JobQueueKeys.JOB_PREFIX}${jobId}`;
+}
+
+/**
+ * Converts a stored job hash.
+ * @param {object} jobData
+ * @returns {ThreadJob}
+ */
+function toThreadJob(jobData) {
+  return {
+    ...jobData,
+    priority: parseInt(jobData.priority, 10),
+    attempts: parseInt(jobData.attempts || '0', 10)
+  };
+}
+
+/**
+ * Queues a thread to be crawled by the worker pool. Does nothing if the thread is already
+ * queued, except that a pending job is moved up when queued again with a higher priority.
+ * @param {string} threadId
+ * @param {string} threadUrl
+ * @param {JobPriority} priority
+ * @returns {Promise<boolean>} True if the job was queued or moved up.
+ */
+async function enqueueThreadJob(threadId, threadUrl, priority) {
+  const now = Date.now();
+  const result = await redisClient.enqueueThreadJob(
+    JobQueueKeys.PENDING, JobQueueKeys.DELAYED, JobQueueKeys.ACTIVE, jobKey(threadId),
+    threadId, threadUrl, priority, now, new Date(now).toISOString()
+  );
+  return result > 0;
+}
+
+/**
+ * Queues a thread for another attempt now, e.g. on an admin's request. A job waiting out its
+ * backoff is made pending right away, keeping its attempts.
+ * @param {string} threadId
+ * @param {string} threadUrl
+ * @returns {Promise<boolean>} False if the thread is already pending or running.
+ */
+async function retryThreadJobNow(threadId, threadUrl) {
+  if (await redisClient.zrem(JobQueueKeys.DELAYED, threadId) === 1) {
+    await requeueJob(threadId);
+    return true;
+  }
+  return enqueueThreadJob(threadId, threadUrl, JobPriority.RETRY);
+}
+
+/**
+ * Moves a job back to pending, without counting an attempt.
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+async function requeueJob(jobId) {
+  const priority = parseInt(await redisClient.hget(jobKey(jobId), 'priority'), 10) || 0;
+  await redisClient.zadd(JobQueueKeys.PENDING, priority * PRIORITY_SPAN + Date.now(), jobId);
+}
+
+/**
+ * Records a failed attempt of an active job: it is retried after a backoff that doubles with each
+ * attempt, or dead-lettered after MAX_JOB_ATTEMPTS attempts.
+ * @param {string} jobId
+ * @param {string} errorMessage
+ * @returns {Promise<{retryAt: string|null, deadLettered: boolean}|null>} What became of the job, or
+ *   null if it was no longer active.
+ */
+async function failThreadJob(jobId, errorMessage) {
+  // Only the owner of the reservation gets past this
+  if (await redisClient.zrem(JobQueueKeys.ACTIVE, jobId) === 0) {
+    return null;
+  }
+  const attempts = await redisClient.hincrby(jobKey(jobId), 'attempts', 1);
+  if (attempts < MAX_JOB_ATTEMPTS) {
+    const retryAt = Date.now() + RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1);
+    await redisClient.pipeline()
+      .hset(jobKey(jobId), 'lastError', errorMessage)
+      .zadd(JobQueueKeys.DELAYED, retryAt, jobId)
+      .exec();
+    return { retryAt: new Date(retryAt).toISOString(), deadLettered: false };
+  }
+
+  const job = toThreadJob(await redisClient.hgetall(jobKey(jobId)));
+  const deadJob = { ...job, error: errorMessage, failedAt: new Date().toISOString() };
+  delete deadJob.lastError;
+  await redisClient.pipeline()
+    .lpush(JobQueueKeys.DEAD, JSON.stringify(deadJob))
+    .ltrim(JobQueueKeys.DEAD, 0, MAX_DEAD_JOBS - 1)
+    .del(jobKey(jobId))
+    .exec();
+  logger.error(`Giving up on crawl job for thread ${job.url} after ${attempts} attempts: ${errorMessage}`);
+  logger.logToRedisErrorQueue({
+    timestamp: deadJob.failedAt,
+    level: 'ERROR',
+    message: `Crawl job dead-lettered after ${attempts} attempts`,
+    error: errorMessage,
+    url: job.url
+  });
+  return { retryAt: null, deadLettered: true };
+}
+
+/**
+ * Takes back the active jobs whose visibility timeout ran out; each counts as a failed attempt.
+ * @returns {Promise<number>} How many jobs were taken back.
+ */
+async function reclaimExpiredThreadJobs() {
+  const expiredIds = await redisClient.zrangebyscore(JobQueueKeys.ACTIVE, '-inf', Date.now());
+  let reclaimed = 0;
+  for (const jobId of expiredIds) {
+    if (await failThreadJob(jobId, `Not finished within the ${VISIBILITY_TIMEOUT_MS / 1000} s visibility timeout`)) {
+      reclaimed++;
+    }
+  }
+  return reclaimed;
+}
+
+/**
+ * Reserves the next job for a worker. The worker must complete or fail it within the visibility
+ * timeout.
+ * @returns {Promise<ThreadJob|null>} The job, or null if nothing is pending.
+ */
+async function reserveThreadJob() {
+  await reclaimExpiredThreadJobs();
+  const now = Date.now();
+  const jobId = await redisClient.reserveThreadJob(
+    JobQueueKeys.PENDING, JobQueueKeys.DELAYED, JobQueueKeys.ACTIVE,
+    now, now + VISIBILITY_TIMEOUT_MS, JobQueueKeys.JOB_PREFIX
+  );
+  if (!jobId) {
+    return null;
+  }
+  const jobData = await redisClient.hgetall(jobKey(jobId));
+  if (!jobData || !jobData.url) {
+    logger.warn(`Dropping crawl job ${jobId} without a job record.`);
+    await redisClient.zrem(JobQueueKeys.ACTIVE, jobId);
+    return reserveThreadJob();
+  }
+  return toThreadJob(jobData);
+}
+
+/**
+ * Finishes a job that ran.
+ * @param {string} jobId
+ * @returns {Promise<boolean>} False if the job was no longer active because its visibility timeout
+ *   ran out; it is then queued to run again.
+ */
+async function completeThreadJob(jobId) {
+  return (await redisClient.completeThreadJob(JobQueueKeys.ACTIVE, jobKey(jobId), jobId)) === 1;
+}
+
+/**
+ * Puts the jobs that were active when the process stopped back in the queue, without counting an
+ * attempt. Only one crawler process works the queue, so at startup none of them is still running.
+ * @returns {Promise<number>} How many jobs were put back.
+ */
+async function releaseActiveThreadJobs() {
+  const activeIds = await redisClient.zrange(JobQueueKeys.ACTIVE, 0, -1);
+  for (const jobId of activeIds) {
+    if (await redisClient.zrem(JobQueueKeys.ACTIVE, jobId) === 1) {
+      await requeueJob(jobId);
+    }
+  }
+  return activeIds.length;
+}
+
+/**
+ * Counts the jobs in each state.
+ * @returns {Promise<{pending: number, delayed: number, active: number, dead: number}>}
+ */
+async function getThreadJobStats() {
+  const [[, pending], [, delayed], [, active], [, dead]] = await redisClient.pipeline()
+    .zcard(JobQueueKeys.PENDING)
+    .zcard(JobQueueKeys.DELAYED)
+    .zcard(JobQueueKeys.ACTIVE)
+    .llen(JobQueueKeys.DEAD)
+    .exec();
+  return { pending, delayed, active, dead };
+}
+
+/**
+ * Returns the most recently dead-lettered jobs, newest first.
+ * @param {number} [limit=50]
+ * @returns {Promise<DeadThreadJob[]>}
+ */
+async function getDeadThreadJobs(limit = 50) {
+  const entries = await redisClient.lrange(JobQueueKeys.DEAD, 0, limit - 1);
+  return entries.map(entry => JSON.parse(entry));
+}
+
+/**
+ * Queues every dead-lettered job again with a fresh set of attempts, e.g. once the cause was fixed.
+ * @returns {Promise<number>} How many jobs were queued.
+ */
+async function requeueDeadThreadJobs() {
+  const [[, entries]] = await redisClient.multi()
+    .lrange(JobQueueKeys.DEAD, 0, -1)
+    .del(JobQueueKeys.DEAD)
+    .exec();
+  let requeued = 0;
+  for (const deadJob of entries.map(entry => JSON.parse(entry))) {
+    if (await enqueueThreadJob(deadJob.id, deadJob.url, deadJob.priority)) {
+      requeued++;
+    }
+  }
+  return requeued;
+}
+
+module.exports = {
+  JobQueueKeys,
+  JobPriority,
+  enqueueThreadJob,
+  retryThreadJobNow,
+  reserveThreadJob,
+  completeThreadJob,
+  failThreadJob,
+  releaseActiveThreadJobs,
+  getThreadJobStats,
+  getDeadThreadJobs,
+  requeueDeadThreadJobs
+};
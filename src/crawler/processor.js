@@ -3,11 +3,12 @@ const cheerio = require('cheerio');
 // Import MagnetData and ThreadContent interfaces from engine.js (single source of truth)
 // Note: In JavaScript, interfaces are typically defined via JSDoc or separate type definition files.
 // For runtime, these are just objects.
-const { getUniqueThreadId } = require('./engine.js'); // Use .js extension for local files
 const createDOMPurify = require('dompurify');
 const { JSDOM } = require('jsdom');
-const { jaroWinkler } = require('js-levenshtein'); // Still named import for jaroWinkler
-const { parseTitle } = require('../parser/title.js'); // Use .js extension
+const { parseTitle, parseSizeToBytes } = require('../parser/title.js'); // Use .js extension
+const { parsePostDetails } = require('../parser/postDetails.js');
+const { isSubtitleAttachment } = require('../subtitles/index.js');
+const { recordFetchFailure } = require('../monitoring/metrics.js');
 const { logger } = require('../utils/logger.js'); // Use .js extension
 
 /**
@@ -33,6 +34,11 @@ const { logger } = require('../utils/logger.js'); // Use .js extension
  * @property {string} url
  * @property {string} name
  * @property {string} [size]
+ * @property {number} [sizeBytes] - Exact length from the magnet `xl` parameter, else the parsed size in bytes.
+ * @property {string} [fileName] - Original file name from the magnet `dn` parameter.
+ * @property {string} [attachmentName] - Name of the attachment link shown above the magnet, if any.
+ * @property {string} [postedAt] - ISO time of the forum post carrying the magnet.
+ * @property {string} [editedAt] - ISO time that post was last edited, if it was.
  * @property {string} [resolution]
  * @property {ParsedTitleMetadata} [parsedMetadata]
  */
@@ -46,6 +52,9 @@ const { logger } = require('../utils/logger.js'); // Use .js extension
  * @property {string} threadId
  * @property {string} originalUrl
  * @property {string} threadStartedTime
+ * @property {import('../parser/postDetails.js').ShowDetails} details - Show details from the first post.
+ * @property {string[]} trailerIds - YouTube video IDs embedded or linked in the first post.
+ * @property {import('../subtitles/index.js').SubtitleAttachment[]} subtitleAttachments - .srt/.zip attachments in any post.
  */
 
 
@@ -62,11 +71,14 @@ async function fetchHtmlForProcessing(url, retries = 3) {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/100.0.4896.127 Safari/537.36'
       },
       maxRedirects: 10, // Handle 302 redirects
-      validateStatus: (status) => status >= 200 && status < 400 // Accept 2xx and 3xx
+      validateStatus: (status) => status >= 200 && status < 400, // Accept 2xx and 3xx
+      // Every attempt together stays well within a crawl job's 5 minute visibility timeout
+      timeout: 15000
     });
     return response.data;
   } catch (error) {
     logger.error(`Error fetching thread URL ${url}:`, error);
+    recordFetchFailure(error);
     logger.logToRedisErrorQueue({
       timestamp: new Date().toISOString(),
       level: 'ERROR',
@@ -128,6 +140,107 @@ function parseDnFromMagnetUri(magnetUri) {
   return null;
 }
 
+/**
+ * Parses the 'xl' (exact length, in bytes) parameter from a magnet URI.
+ * @param {string} magnetUri The magnet URI.
+ * @returns {number|null} The length in bytes, or null if absent or invalid.
+ */
+function parseXlFromMagnetUri(magnetUri) {
+  try {
+    const xl = parseInt(new URL(magnetUri).searchParams.get('xl'), 10);
+    if (xl > 0) {
+      return xl;
+    }
+  } catch (error) {
+    logger.debug(`Error parsing 'xl' from magnet URI: ${magnetUri}`, error);
+  }
+  return null;
+}
+
+/**
+ * Extracts the sanitized plain text of the thread's first post, one paragraph or line per line.
+ * Links are dropped, since in these posts they are download and attachment links.
+ * @param {cheerio.CheerioAPI} $ The loaded thread page.
+ * @param {object} purify DOMPurify instance.
+ * @returns {string} The post text, or an empty string if the post was not found.
+ */
+function extractFirstPostText($, purify) {
+  const firstPost = $('div.ipsType_normal.ipsType_richText').first();
+  if (firstPost.length === 0) {
+    return '';
+  }
+  const cleanHtml = purify.sanitize(firstPost.html() || '', {
+    ALLOWED_TAGS: ['p', 'div', 'br', 'span', 'strong', 'b', 'em', 'i', 'u', 'a', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4'],
+    ALLOWED_ATTR: []
+  });
+  const $post = cheerio.load(cleanHtml);
+  $post('a').remove();
+  $post('br').replaceWith('\n');
+  $post('p, div, li, h1, h2, h3, h4').append('\n');
+  return $post.root().text();
+}
+
+const YOUTUBE_ID_REGEX = /(?:youtube(?:-nocookie)?\.com\/(?:embed\/|shorts\/|v\/|watch\?(?:[^"'\s]*&)?v=)|youtu\.be\/)([A-Za-z0-9_-]{11})(?![A-Za-z0-9_-])/g;
+const MAX_TRAILERS = 3;
+
+/**
+ * Extracts the YouTube video IDs the thread's first post embeds or links to, in post order.
+ * Embeds are read from iframe `src` and the `data-embed-src` IPS lazy-loads them with.
+ * @param {cheerio.CheerioAPI} $ The loaded thread page.
+ * @returns {string[]} Up to MAX_TRAILERS video IDs.
+ */
+function extractYouTubeIds($) {
+  const firstPost = $('div.ipsType_normal.ipsType_richText').first();
+  const ids = new Set();
+  firstPost.find('iframe, a, [data-embed-src]').each((_index, element) => {
+    const url = [$(element).attr('src'), $(element).attr('data-embed-src'), $(element).attr('href')].filter(Boolean).join(' ');
+    for (const match of url.matchAll(YOUTUBE_ID_REGEX)) {
+      ids.add(match[1]);
+    }
+  });
+  return Array.from(ids).slice(0, MAX_TRAILERS);
+}
+
+/**
+ * Collects the subtitle files (.srt, or .zip archives of them) attached anywhere in the thread.
+ * @param {cheerio.CheerioAPI} $ The loaded thread page.
+ * @param {string} threadUrl Used to resolve relative attachment links.
+ * @returns {import('../subtitles/index.js').SubtitleAttachment[]}
+ */
+function extractSubtitleAttachments($, threadUrl) {
+  const attachments = new Map();
+  $('a.ipsAttachLink, a.ipsAttachLink_block').each((_index, element) => {
+    const href = $(element).attr('href');
+    const fileName = ($(element).find('span.ipsAttachLink_title').text() || $(element).text()).trim();
+    if (href && isSubtitleAttachment(fileName)) {
+      try {
+        const url = new URL(href, threadUrl).toString();
+        attachments.set(url, { url, fileName });
+      } catch (error) {
+        logger.debug(`Ignoring subtitle attachment with invalid URL ${href} in ${threadUrl}`);
+      }
+    }
+  });
+  return Array.from(attachments.values());
+}
+
+/**
+ * Reads when the forum post containing an element was posted and last edited.
+ * Posts are <article> elements; the post time is the first <time> in the post header
+ * (`.ipsComment_meta`), and the "Edited <time> by ..." note sits in the post content.
+ * @param {cheerio.CheerioAPI} $ The loaded thread page.
+ * @param {cheerio.Element} element An element inside the post, e.g. a magnet link.
+ * @returns {{postedAt: string|undefined, editedAt: string|undefined}}
+ */
+function getPostTimes($, element) {
+  const post = $(element).closest('article');
+  const validTime = (datetime) => (datetime && !isNaN(new Date(datetime).getTime()) ? datetime : undefined);
+  return {
+    postedAt: validTime(post.find('.ipsComment_meta time').first().attr('datetime')),
+    editedAt: validTime(post.find('.ipsComment_content [data-excludequote] time, .ipsComment_edited time').last().attr('datetime'))
+  };
+}
+
 // NOTE: getUniqueThreadId is now imported from engine.js. It was previously in processor.js too.
 // This is to avoid duplication and ensure single source of truth for such utilities.
 
@@ -176,15 +289,15 @@ async function processThread(threadUrl) {
   let posterUrl = posterElement.attr('src') || '';
 
   // UPDATED: Robust poster URL fallback logic
-  const defaultPlaceholderSvg = `data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="200" height="300" viewBox="0 0 200 300"><rect width="200" height="300" fill="#101010"/><text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="20" fill="#E0E0E0">No Poster</text></svg>`;
   const knownBadPosterUrl = 'https://www.1tamilblasters.fi/applications/core/interface/js/spacer.png';
 
   if (!posterUrl || posterUrl === knownBadPosterUrl) {
     // Fallback: Check for meta og:image
     posterUrl = $('meta[property="og:image"]').attr('content') || '';
     if (!posterUrl || posterUrl === knownBadPosterUrl) {
-        logger.warn(`No specific or valid poster URL found for ${threadUrl}. Using data URI placeholder.`);
-        posterUrl = defaultPlaceholderSvg;
+        // Left empty; the poster proxy serves a generated title poster instead (see posters/titlePoster.js)
+        logger.warn(`No specific or valid poster URL found for ${threadUrl}. A title poster will be generated.`);
+        posterUrl = '';
     }
   }
 
@@ -200,7 +313,9 @@ async function processThread(threadUrl) {
   // Declare timestamp for when this thread was processed/last updated by the crawler
   const timestamp = new Date().toISOString();
 
-  // Generate a unique thread ID using the robust function from engine.js
+  // Generate a unique thread ID using the robust function from engine.js. engine.js requires this
+  // module, so it is looked up here: at load time its exports are incomplete if engine.js loaded first
+  const { getUniqueThreadId } = require('./engine.js');
   const threadId = getUniqueThreadId(threadUrl);
 
   // --- REVISED MAGNET EXTRACTION LOGIC ---
@@ -218,6 +333,7 @@ async function processThread(threadUrl) {
           if (prevAttachLink.length > 0) {
             descriptiveName = prevAttachLink.find('span.ipsAttachLink_title').text().trim();
           }
+          const attachmentName = descriptiveName || undefined;
 
           // Fallback to parsing 'dn' parameter from magnet URI if no descriptive title found
           if (!descriptiveName) {
@@ -238,6 +354,7 @@ async function processThread(threadUrl) {
           // Get resolution and size from the parsed metadata of the magnet itself
           const resolution = parsedMagnetMetadata.resolutions.length > 0 ? parsedMagnetMetadata.resolutions[0] : undefined;
           const size = parsedMagnetMetadata.sizes.length > 0 ? parsedMagnetMetadata.sizes[0] : undefined;
+          const sizeBytes = parseXlFromMagnetUri(magnetUrl) || parseSizeToBytes(size) || undefined;
           
           // Ensure a unique BTIH for the stream key
           const btih = extractBtihFromMagnet(magnetUrl);
@@ -247,6 +364,10 @@ async function processThread(threadUrl) {
                 url: magnetUrl,
                 name: descriptiveName, // Keep original descriptive name for debugging if needed
                 size: size,
+                sizeBytes: sizeBytes,
+                fileName: parseDnFromMagnetUri(magnetUrl) || undefined,
+                attachmentName: attachmentName,
+                ...getPostTimes($, magnetLinkElement),
                 resolution: resolution,
                 parsedMetadata: parsedMagnetMetadata // Store the full parsed metadata for this magnet
             });
@@ -271,6 +392,8 @@ async function processThread(threadUrl) {
   });
 
 
+  const details = parsePostDetails(extractFirstPostText($, purify));
+
   /** @type {ThreadContent} */
   const processedContent = {
     title: title,
@@ -279,7 +402,10 @@ async function processThread(threadUrl) {
     timestamp: timestamp, // Use the newly declared 'timestamp' for processing time
     threadId: threadId, // Ensure the correct unique ID is passed
     originalUrl: threadUrl,
-    threadStartedTime: threadStartedTime // Use the 'threadStartedTime' parsed from the forum
+    threadStartedTime: threadStartedTime, // Use the 'threadStartedTime' parsed from the forum
+    details: details,
+    trailerIds: extractYouTubeIds($),
+    subtitleAttachments: extractSubtitleAttachments($, threadUrl)
   };
 
   logger.info(`Processed thread ${threadUrl}: Title="${processedContent.title}", Magnets: ${processedContent.magnets.length}`);
@@ -291,6 +417,7 @@ module.exports = {
   validateMagnetUri,
   extractBtihFromMagnet,
   parseDnFromMagnetUri,
+  parseXlFromMagnetUri,
   // getUniqueThreadId is no longer exported from here; it's used directly from engine.js
   processThread
 };
@@ -0,0 +1,92 @@
+const redisClient = require('../redis.js');
+const { config } = require('../config.js');
+const { logger } = require('../utils/logger.js');
+const { PremiumizeProvider } = require('./premiumizeProvider.js');
+const { MockDebridProvider } = require('./mockProvider.js');
+
+/**
+ * Debrid providers users can pick on /configure, keyed by provider ID.
+ * The mock provider is only offered when DEBRID_MOCK_ENABLED is set.
+ * @type {Object<string, typeof import('./provider.js').DebridProvider>}
+ */
+const DEBRID_PROVIDERS = Object.fromEntries(
+  [PremiumizeProvider, ...(config.DEBRID_MOCK_ENABLED ? [MockDebridProvider] : [])]
+    .map(Provider => [Provider.id, Provider])
+);
+
+const AVAILABILITY_PREFIX = 'debrid:availability:';
+const AVAILABILITY_TTL_SECONDS = 10 * 60;
+
+/**
+ * Creates a provider instance for a user.
+ * @param {string} providerId One of the DEBRID_PROVIDERS keys.
+ * @param {string} apiKey The user's API key.
+ * @returns {import('./provider.js').DebridProvider|null} The provider, or null if the ID is unknown or the key is empty.
+ */
+function getDebridProvider(providerId, apiKey) {
+  const Provider = DEBRID_PROVIDERS[providerId];
+  if (!Provider || !apiKey) {
+    return null;
+  }
+  return new Provider(apiKey);
+}
+
+/**
+ * Looks up cache availability, answering from Redis where a recent check exists.
+ * Availability is a property of the torrent on the service, not of the account, so results are
+ * shared between users of the same provider.
+ * @param {import('./provider.js').DebridProvider} provider
+ * @param {string[]} infoHashes
+ * @returns {Promise<Map<string, boolean>>} Availability keyed by lowercase hash.
+ */
+async function checkAvailability(provider, infoHashes) {
+  const providerId = provider.constructor.id;
+  const hashes = Array.from(new Set(infoHashes.map(infoHash => infoHash.toLowerCase())));
+  const availability = new Map();
+  if (hashes.length === 0) {
+    return availability;
+  }
+
+  const stored = await redisClient.mget(hashes.map(hash => `${AVAILABILITY_PREFIX}${providerId}:${hash}`));
+  const unknownHashes = [];
+  hashes.forEach((hash, index) => {
+    if (stored[index] === null) {
+      unknownHashes.push(hash);
+    } else {
+      availability.set(hash, stored[index] === '1');
+    }
+  });
+
+  if (unknownHashes.length > 0) {
+    const checked = await provider.checkAvailability(unknownHashes);
+    const pipeline = redisClient.pipeline();
+    unknownHashes.forEach(hash => {
+      const isCached = checked.get(hash) === true;
+      availability.set(hash, isCached);
+      pipeline.set(`${AVAILABILITY_PREFIX}${providerId}:${hash}`, isCached ? '1' : '0', 'EX', AVAILABILITY_TTL_SECONDS);
+    });
+    await pipeline.exec();
+    logger.debug(`Checked ${unknownHashes.length} hashes on ${provider.constructor.displayName}.`);
+  }
+  return availability;
+}
+
+/**
+ * Builds the addon URL that resolves a stream through the user's debrid account on playback.
+ * @param {string} providerId
+ * @param {string} apiKey
+ * @param {string} infoHash
+ * @param {number} season
+ * @param {number} episode
+ * @returns {string}
+ */
+function buildResolveUrl(providerId, apiKey, infoHash, season, episode) {
+  return `${config.PUBLIC_URL}/debrid/${providerId}/${encodeURIComponent(apiKey)}/${infoHash.toLowerCase()}/${season}/${episode}`;
+}
+
+module.exports = {
+  DEBRID_PROVIDERS,
+  getDebridProvider,
+  checkAvailability,
+  buildResolveUrl
+};
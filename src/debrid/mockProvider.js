@@ -0,0 +1,41 @@
+const { DebridProvider } = require('./provider.js');
+
+/**
+ * Offline stand-in for a debrid service, for development and tests.
+ * A hash counts as cached when its first hex digit is 0-7, or once it has been resolved before
+ * (simulating a finished download). Links point at `mock-debrid.invalid` and are not playable.
+ */
+class MockDebridProvider extends DebridProvider {
+  static id = 'mock';
+  static displayName = 'Mock Debrid';
+  static shortName = 'MOCK';
+
+  /** Hashes "downloaded" by earlier resolveUrl calls, shared by every instance. */
+  static downloaded = new Set();
+
+  /**
+   * @param {string} infoHash
+   * @returns {boolean}
+   */
+  isCached(infoHash) {
+    const hash = infoHash.toLowerCase();
+    return /^[0-7]/.test(hash) || MockDebridProvider.downloaded.has(hash);
+  }
+
+  async checkAvailability(infoHashes) {
+    return new Map(infoHashes.map(infoHash => [infoHash.toLowerCase(), this.isCached(infoHash)]));
+  }
+
+  async resolveUrl(infoHash, target) {
+    const hash = infoHash.toLowerCase();
+    if (!this.isCached(hash)) {
+      MockDebridProvider.downloaded.add(hash);
+      return null;
+    }
+    const season = String(target.season).padStart(2, '0');
+    const episode = String(target.episode).padStart(2, '0');
+    return `https://mock-debrid.invalid/dl/${hash}/S${season}E${episode}.mkv`;
+  }
+}
+
+module.exports = { MockDebridProvider };
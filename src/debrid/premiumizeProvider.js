@@ -0,0 +1,64 @@
+const axios = require('axios');
+const { DebridProvider, pickEpisodeFile } = require('./provider.js');
+
+const API_BASE_URL = 'https://www.premiumize.me/api';
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Premiumize.me provider: `cache/check` for availability, `transfer/directdl` for links
+ * and `transfer/create` to start downloading uncached torrents.
+ */
+class PremiumizeProvider extends DebridProvider {
+  static id = 'premiumize';
+  static displayName = 'Premiumize';
+  static shortName = 'PM';
+
+  /**
+   * Calls an API endpoint and unwraps Premiumize's `{status, message}` envelope.
+   * @param {'get'|'post'} method
+   * @param {string} path Endpoint path, e.g. "/cache/check".
+   * @param {URLSearchParams} params Query (GET) or form (POST) parameters, without the API key.
+   * @returns {Promise<object>} The response body.
+   */
+  async request(method, path, params) {
+    params.set('apikey', this.apiKey);
+    const response = method === 'get'
+      ? await axios.get(`${API_BASE_URL}${path}`, { params, timeout: REQUEST_TIMEOUT_MS })
+      : await axios.post(`${API_BASE_URL}${path}`, params, { timeout: REQUEST_TIMEOUT_MS });
+    if (response.data.status !== 'success') {
+      throw new Error(`Premiumize ${path} failed: ${response.data.message || 'unknown error'}`);
+    }
+    return response.data;
+  }
+
+  async checkAvailability(infoHashes) {
+    if (infoHashes.length === 0) {
+      return new Map();
+    }
+    const params = new URLSearchParams();
+    infoHashes.forEach(infoHash => params.append('items[]', infoHash));
+    const data = await this.request('get', '/cache/check', params);
+    return new Map(infoHashes.map((infoHash, index) => [infoHash.toLowerCase(), data.response[index] === true]));
+  }
+
+  async resolveUrl(infoHash, target) {
+    const magnet = `magnet:?xt=urn:btih:${infoHash}`;
+    const [cached] = (await this.checkAvailability([infoHash])).values();
+    if (!cached) {
+      try {
+        await this.request('post', '/transfer/create', new URLSearchParams({ src: magnet }));
+      } catch (error) {
+        // Asking again while the transfer is still running is not an error for us
+        if (!/already/i.test(error.message)) {
+          throw error;
+        }
+      }
+      return null;
+    }
+    const data = await this.request('post', '/transfer/directdl', new URLSearchParams({ src: magnet }));
+    const file = pickEpisodeFile(data.content || [], target);
+    return file ? file.link : null;
+  }
+}
+
+module.exports = { PremiumizeProvider };
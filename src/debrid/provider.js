@@ -0,0 +1,76 @@
+/**
+ * Base class every debrid provider extends. A provider turns the torrent info hashes stored on
+ * `stream:` records into direct HTTP links on the user's debrid account.
+ * Subclasses override the async methods; the base implementations throw.
+ */
+class DebridProvider {
+  /**
+   * @param {string} apiKey The user's API key for the service, taken from their addon config.
+   */
+  constructor(apiKey) {
+    /** @type {string} */
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Short lowercase ID used in config values and resolve URLs, e.g. "premiumize".
+   * @type {string}
+   */
+  static id = '';
+
+  /**
+   * Display name shown on the configure page and in stream names, e.g. "Premiumize".
+   * @type {string}
+   */
+  static displayName = '';
+
+  /**
+   * Short tag prefixed to stream names, e.g. "PM".
+   * @type {string}
+   */
+  static shortName = '';
+
+  /**
+   * Checks which torrents are already cached on the service.
+   * @param {string[]} infoHashes Lowercase or uppercase BTIH hashes.
+   * @returns {Promise<Map<string, boolean>>} Availability keyed by lowercase hash.
+   */
+  async checkAvailability(infoHashes) {
+    throw new Error(`${this.constructor.name} does not implement checkAvailability`);
+  }
+
+  /**
+   * Resolves a torrent to a direct link for one episode. When the torrent is not cached,
+   * the provider should queue it for download and resolve to null.
+   * @param {string} infoHash The torrent's BTIH hash.
+   * @param {{season: number, episode: number}} target The episode to pick from a multi-file torrent.
+   * @returns {Promise<string|null>} The direct link, or null while the torrent is downloading.
+   */
+  async resolveUrl(infoHash, target) {
+    throw new Error(`${this.constructor.name} does not implement resolveUrl`);
+  }
+}
+
+const VIDEO_FILE_REGEX = /\.(?:mkv|mp4|avi|mov|webm|m4v)$/i;
+
+/**
+ * Picks the file to play from a torrent's file list: the video whose name carries the requested
+ * episode marker (S01E02 / EP02), else the largest video file.
+ * @param {Array<{path: string, size: number}>} files The torrent's files.
+ * @param {{season: number, episode: number}} target
+ * @returns {{path: string, size: number}|null}
+ */
+function pickEpisodeFile(files, target) {
+  const videos = files.filter(file => VIDEO_FILE_REGEX.test(file.path));
+  if (videos.length === 0) {
+    return null;
+  }
+  const episodeRegex = new RegExp(`(?:S0*${target.season}\\s*E(?:P)?0*${target.episode}|\\bEP?\\s*0*${target.episode})(?!\\d)`, 'i');
+  const episodeFile = videos.find(file => episodeRegex.test(file.path.split('/').pop()));
+  return episodeFile || videos.reduce((largest, file) => (file.size > largest.size ? file : largest));
+}
+
+module.exports = {
+  DebridProvider,
+  pickEpisodeFile
+};
@@ -0,0 +1,46 @@
+const express = require('express');
+const { logger } = require('../utils/logger.js');
+const { getDebridProvider } = require('./index.js');
+
+/**
+ * Routes the player hits when it starts a debrid stream (see buildResolveUrl).
+ * Cached torrents redirect to the provider's direct link; uncached ones are queued for download
+ * on the user's account and answered with 404 until the download finishes.
+ * @returns {express.Router}
+ */
+function createDebridRouter() {
+  const router = express.Router();
+
+  router.get('/debrid/:providerId/:apiKey/:infoHash([a-fA-F0-9]{40})/:season(\\d+)/:episode(\\d+)', async (req, res) => {
+    const { providerId, apiKey, infoHash } = req.params;
+    const target = { season: parseInt(req.params.season, 10), episode: parseInt(req.params.episode, 10) };
+    const provider = getDebridProvider(providerId, apiKey);
+    if (!provider) {
+      res.status(404).send('Unknown debrid provider');
+      return;
+    }
+
+    try {
+      const url = await provider.resolveUrl(infoHash, target);
+      if (url) {
+        res.redirect(302, url);
+      } else {
+        res.status(404).send(`Not cached yet. The download has been started on ${provider.constructor.displayName}; try again once it finishes.`);
+      }
+    } catch (error) {
+      logger.error(`Error resolving ${infoHash} on ${providerId}:`, error);
+      logger.logToRedisErrorQueue({
+        timestamp: new Date().toISOString(),
+        level: 'ERROR',
+        message: `Error resolving debrid stream ${infoHash} on ${providerId}`,
+        error: error.message,
+        url: req.path.replace(encodeURIComponent(apiKey), '<apiKey>')
+      });
+      res.status(502).send('Debrid provider error');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDebridRouter };
@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const { config } = require('../config.js');
+const redisClient = require('../redis.js');
+
+/**
+ * Redis keys of the error queue. Every reported error is appended to a capped stream, and
+ * repeats of the same error (same level, type and URL) are folded into one group with a count.
+ * Groups stay open until an admin acknowledges them; a new occurrence reopens them.
+ */
+const ErrorQueueKeys = {
+  STREAM: 'errors:stream', // STREAM: every reported error, fields: group, entry (JSON)
+  GROUP_PREFIX: 'errors:group:', // HASH: one per group, see ErrorGroup
+  GROUPS: 'errors:groups', // ZSET: every group ID, scored by the last occurrence (ms)
+  OPEN_GROUPS: 'errors:groups:open', // ZSET: unacknowledged group IDs, scored by the last occurrence (ms)
+  LEGACY_LIST: 'error_queue', // LIST: JSON ErrorLogs pushed by older versions, newest first; drained at startup
+};
+
+const LEGACY_DRAIN_BATCH_SIZE = 500;
+
+/**
+ * @typedef {object} ErrorLog
+ * @property {string} timestamp - ISO timestamp of the error.
+ * @property {string} level - Log level of the error.
+ * @property {string} message - Description of the error.
+ * @property {any} [error] - The original error message.
+ * @property {string} [url] - URL context of the error.
+ */
+
+/**
+ * @typedef {object} ErrorGroup
+ * @property {string} id - Fingerprint of level, type and URL.
+ * @property {string} level
+ * @property {string} type - The message with URLs, hashes and numbers replaced by placeholders.
+ * @property {string} url - URL context shared by the occurrences, or "".
+ * @property {string} message - Message of the latest occurrence.
+ * @property {string} error - Error of the latest occurrence.
+ * @property {number} count - Occurrences since the group was first seen.
+ * @property {string} firstSeen - ISO timestamp.
+ * @property {string} lastSeen - ISO timestamp.
+ * @property {string|null} acknowledgedAt - ISO timestamp, or null while the group is open.
+ * @property {boolean} retryable - Whether the URL is a forum thread the crawler can try again.
+ */
+
+/**
+ * Tells whether a URL is a forum topic, i.e. something crawlThread can process.
+ * @param {string} [url]
+ * @returns {boolean}
+ */
+function isThreadUrl(url) {
+  return Boolean(url) && url.includes('/forums/topic/');
+}
+
+/**
+ * Reduces an error message to its type, so the same failure on different pages or episodes reads
+ * the same, e.g. "Failed to fetch thread URL: <url>".
+ * @param {string} message
+ * @returns {string}
+ */
+function errorType(message) {
+  return String(message || '')
+    .replace(/https?:\/\/\S+/g, '<url>')
+    .replace(/\b[a-f0-9]{32,40}\b/gi, '<hash>')
+    .replace(/\d+/g, '<n>')
+    .trim();
+}
+
+/**
+ * @param {string} groupId
+ * @returns {string}
+ */
+function errorGroupKey(groupId) {
+  return `${ErrorQueueKeys.GROUP_PREFIX}${groupId}`;
+}
+
+/**
+ * Appends an error to the stream and counts it in its group.
+ * @param {ErrorLog} errorLog
+ * @returns {Promise<string>} The ID of the group the error was counted in.
+ */
+async function recordError(errorLog) {
+  const level = errorLog.level || 'ERROR';
+  const type = errorType(errorLog.message);
+  const url = errorLog.url || '';
+  const groupId = crypto.createHash('sha1').update(`${level}\n${type}\n${url}`).digest('hex').slice(0, 16);
+  const groupKey = errorGroupKey(groupId);
+  const now = Date.now();
+  const seenAt = errorLog.timestamp || new Date(now).toISOString();
+
+  await redisClient.pipeline()
+    .xadd(ErrorQueueKeys.STREAM, 'MAXLEN', '~', config.ERROR_QUEUE_MAX_ENTRIES, '*', 'group', groupId, 'entry', JSON.stringify(errorLog))
+    .hsetnx(groupKey, 'firstSeen', seenAt)
+    .hmset(groupKey, {
+      id: groupId,
+      level,
+      type,
+      url,
+      message: errorLog.message || '',
+      error: errorLog.error === undefined ? '' : String(errorLog.error),
+      lastSeen: seenAt
+    })
+    .hincrby(groupKey, 'count', 1)
+    // A new occurrence reopens an acknowledged group
+    .hdel(groupKey, 'acknowledgedAt')
+    .zadd(ErrorQueueKeys.GROUPS, now, groupId)
+    .zadd(ErrorQueueKeys.OPEN_GROUPS, now, groupId)
+    .exec();
+  return groupId;
+}
+
+/**
+ * Converts a stored group hash.
+ * @param {object} groupData
+ * @returns {ErrorGroup}
+ */
+function toErrorGroup(groupData) {
+  return {
+    id: groupData.id,
+    level: groupData.level,
+    type: groupData.type,
+    url: groupData.url || '',
+    message: groupData.message || '',
+    error: groupData.error || '',
+    count: parseInt(groupData.count || '0', 10),
+    firstSeen: groupData.firstSeen,
+    lastSeen: groupData.lastSeen,
+    acknowledgedAt: groupData.acknowledgedAt || null,
+    retryable: isThreadUrl(groupData.url)
+  };
+}
+
+/**
+ * Lists error groups, most recently seen first.
+ * @param {object} [options]
+ * @param {boolean} [options.includeAcknowledged=false] List acknowledged groups too.
+ * @param {number} [options.limit=50]
+ * @returns {Promise<ErrorGroup[]>}
+ */
+async function listErrorGroups({ includeAcknowledged = false, limit = 50 } = {}) {
+  const indexKey = includeAcknowledged ? ErrorQueueKeys.GROUPS : ErrorQueueKeys.OPEN_GROUPS;
+  const groupIds = await redisClient.zrevrange(indexKey, 0, limit - 1);
+  const pipeline = redisClient.pipeline();
+  groupIds.forEach(groupId => pipeline.hgetall(errorGroupKey(groupId)));
+  const results = groupIds.length > 0 ? await pipeline.exec() : [];
+  return results
+    .map(([error, groupData]) => (!error && groupData && groupData.id ? toErrorGroup(groupData) : null))
+    .filter(Boolean);
+}
+
+/**
+ * Reads one error group.
+ * @param {string} groupId
+ * @returns {Promise<ErrorGroup|null>}
+ */
+async function getErrorGroup(groupId) {
+  const groupData = await redisClient.hgetall(errorGroupKey(groupId));
+  return groupData && groupData.id ? toErrorGroup(groupData) : null;
+}
+
+/**
+ * Reads the latest raw errors from the stream, newest first.
+ * @param {number} [limit=50]
+ * @returns {Promise<Array<ErrorLog & {id: string, group: string}>>}
+ */
+async function getRecentErrors(limit = 50) {
+  const entries = await redisClient.xrevrange(ErrorQueueKeys.STREAM, '+', '-', 'COUNT', limit);
+  return entries.map(([id, fields]) => {
+    const values = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      values[fields[i]] = fields[i + 1];
+    }
+    let errorLog;
+    try {
+      errorLog = JSON.parse(values.entry);
+    } catch (error) {
+      errorLog = { message: values.entry };
+    }
+    return { id, group: values.group, ...errorLog };
+  });
+}
+
+/**
+ * Acknowledges error groups, taking them off the open list until they happen again.
+ * @param {string[]} groupIds
+ * @returns {Promise<number>} How many of them were open.
+ */
+async function acknowledgeErrorGroups(groupIds) {
+  if (groupIds.length === 0) {
+    return 0;
+  }
+  const removePipeline = redisClient.pipeline();
+  groupIds.forEach(groupId => removePipeline.zrem(ErrorQueueKeys.OPEN_GROUPS, groupId));
+  const removed = await removePipeline.exec();
+  const acknowledgedIds = groupIds.filter((groupId, index) => removed[index][1] === 1);
+  if (acknowledgedIds.length > 0) {
+    const acknowledgedAt = new Date().toISOString();
+    const pipeline = redisClient.pipeline();
+    acknowledgedIds.forEach(groupId => pipeline.hset(errorGroupKey(groupId), 'acknowledgedAt', acknowledgedAt));
+    await pipeline.exec();
+  }
+  return acknowledgedIds.length;
+}
+
+/**
+ * Acknowledges the open error groups about a URL, e.g. once a failed thread was fetched after all.
+ * @param {string} url
+ * @returns {Promise<number>} How many groups were acknowledged.
+ */
+async function acknowledgeErrorsForUrl(url) {
+  const groupIds = await redisClient.zrange(ErrorQueueKeys.OPEN_GROUPS, 0, -1);
+  const pipeline = redisClient.pipeline();
+  groupIds.forEach(groupId => pipeline.hget(errorGroupKey(groupId), 'url'));
+  const urls = groupIds.length > 0 ? await pipeline.exec() : [];
+  return acknowledgeErrorGroups(groupIds.filter((groupId, index) => urls[index][1] === url));
+}
+
+/**
+ * Counts the errors kept in the stream and the open groups.
+ * @returns {Promise<{entries: number, openGroups: number}>}
+ */
+async function getErrorQueueStats() {
+  const [[, entries], [, openGroups]] = await redisClient.pipeline()
+    .xlen(ErrorQueueKeys.STREAM)
+    .zcard(ErrorQueueKeys.OPEN_GROUPS)
+    .exec();
+  return { entries, openGroups };
+}
+
+/**
+ * Drops errors older than ERROR_QUEUE_RETENTION_DAYS: stream entries, and groups that were not
+ * seen since. The stream is also capped at ERROR_QUEUE_MAX_ENTRIES on every write.
+ * @returns {Promise<number>} How many groups were dropped.
+ */
+async function trimErrorQueue() {
+  const cutoff = Date.now() - config.ERROR_QUEUE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  await redisClient.xtrim(ErrorQueueKeys.STREAM, 'MINID', '~', `${cutoff}-0`);
+  const staleGroupIds = await redisClient.zrangebyscore(ErrorQueueKeys.GROUPS, '-inf', cutoff);
+  if (staleGroupIds.length > 0) {
+    const pipeline = redisClient.pipeline();
+    staleGroupIds.forEach((groupId) => {
+      pipeline.del(errorGroupKey(groupId));
+      pipeline.zrem(ErrorQueueKeys.GROUPS, groupId);
+      pipeline.zrem(ErrorQueueKeys.OPEN_GROUPS, groupId);
+    });
+    await pipeline.exec();
+  }
+  return staleGroupIds.length;
+}
+
+/**
+ * Moves the errors older versions pushed onto the unbounded `error_queue` list into the stream,
+ * oldest first, and removes the list. Errors past ERROR_QUEUE_RETENTION_DAYS are dropped rather
+ * than moved. The list is trimmed batch by batch, so an interrupted drain resumes where it stopped.
+ * @returns {Promise<number>} How many errors were moved.
+ */
+async function drainLegacyErrorQueue() {
+  const cutoff = Date.now() - config.ERROR_QUEUE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  let moved = 0;
+  for (;;) {
+    // The oldest entries sit at the tail
+    const entries = await redisClient.lrange(ErrorQueueKeys.LEGACY_LIST, -LEGACY_DRAIN_BATCH_SIZE, -1);
+    if (entries.length === 0) {
+      return moved;
+    }
+    for (const entry of entries.reverse()) {
+      let errorLog;
+      try {
+        errorLog = JSON.parse(entry);
+      } catch (error) {
+        errorLog = { level: 'ERROR', message: entry };
+      }
+      if (!errorLog || typeof errorLog !== 'object' || Date.parse(errorLog.timestamp) < cutoff) {
+        continue;
+      }
+      await recordError(errorLog);
+      moved++;
+    }
+    if (entries.length < LEGACY_DRAIN_BATCH_SIZE) {
+      await redisClient.del(ErrorQueueKeys.LEGACY_LIST);
+      return moved;
+    }
+    await redisClient.ltrim(ErrorQueueKeys.LEGACY_LIST, 0, -(entries.length + 1));
+  }
+}
+
+module.exports = {
+  ErrorQueueKeys,
+  isThreadUrl,
+  errorType,
+  recordError,
+  listErrorGroups,
+  getErrorGroup,
+  getRecentErrors,
+  acknowledgeErrorGroups,
+  acknowledgeErrorsForUrl,
+  getErrorQueueStats,
+  trimErrorQueue,
+  drainLegacyErrorQueue
+};
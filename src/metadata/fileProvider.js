@@ -0,0 +1,81 @@
+const fs = require('fs');
+const { logger } = require('../utils/logger.js');
+const { phoneticKey } = require('../parser/transliteration.js');
+const { MetadataProvider } = require('./provider.js');
+
+/**
+ * How far apart the thread's year and the listed year may be. Threads are often posted under
+ * the year a later season aired, or the year the crawl found them.
+ */
+const YEAR_TOLERANCE = 1;
+
+/**
+ * Offline provider backed by a JSON file of known shows, so mappings can be maintained by hand
+ * without any API access. The file holds an array of entries:
+ *
+ *   [{ "name": "Suzhal", "aliases": ["Suzhal The Vortex"], "year": 2022, "imdbId": "tt15097216", "tmdbId": 154521 }]
+ *
+ * Names are compared by their phonetic key, so romanization variants ("Kadhal" / "Kaadhal") match.
+ */
+class FileMetadataProvider extends MetadataProvider {
+  static id = 'file';
+  static displayName = 'Local ID file';
+
+  /**
+   * @param {string} filePath Path of the JSON file.
+   */
+  constructor(filePath) {
+    super();
+    /** @type {string} */
+    this.filePath = filePath;
+    /** @type {Promise<Array<object>>|null} */
+    this.entriesPromise = null;
+  }
+
+  /**
+   * Reads the file once; a missing file counts as an empty list.
+   * @returns {Promise<Array<object>>}
+   */
+  loadEntries() {
+    if (!this.entriesPromise) {
+      this.entriesPromise = fs.promises.readFile(this.filePath, 'utf8')
+        .then(text => {
+          const entries = JSON.parse(text);
+          if (!Array.isArray(entries)) {
+            throw new Error('expected an array of shows');
+          }
+          logger.info(`Loaded ${entries.length} shows from metadata file ${this.filePath}.`);
+          return entries.filter(entry => entry && entry.name && /^tt\d+$/.test(entry.imdbId));
+        })
+        .catch(error => {
+          if (error.code === 'ENOENT') {
+            logger.info(`Metadata file ${this.filePath} not found; no shows will be mapped.`);
+          } else {
+            logger.error(`Error reading metadata file ${this.filePath}:`, error);
+          }
+          return [];
+        });
+    }
+    return this.entriesPromise;
+  }
+
+  async findShow(name, year) {
+    const key = phoneticKey(name);
+    if (!key) {
+      return null;
+    }
+    const candidates = (await this.loadEntries()).filter(entry =>
+      [entry.name, ...(entry.aliases || [])].some(entryName => phoneticKey(entryName) === key)
+      && (!year || !entry.year || Math.abs(entry.year - year) <= YEAR_TOLERANCE)
+    );
+    if (candidates.length === 0) {
+      return null;
+    }
+    // Remakes share a name, so prefer the entry closest to the thread's year
+    const yearDistance = entry => (year && entry.year ? Math.abs(entry.year - year) : YEAR_TOLERANCE);
+    const best = candidates.reduce((closest, entry) => (yearDistance(entry) < yearDistance(closest) ? entry : closest));
+    return { imdbId: best.imdbId, tmdbId: parseInt(best.tmdbId, 10) || null };
+  }
+}
+
+module.exports = { FileMetadataProvider };
@@ -0,0 +1,102 @@
+const redisClient = require('../redis.js');
+const { config } = require('../config.js');
+const { logger } = require('../utils/logger.js');
+const { phoneticKey } = require('../parser/transliteration.js');
+const { indexExternalId } = require('../store/indexes.js');
+const { seriesKey } = require('../store/schema.js');
+const { FileMetadataProvider } = require('./fileProvider.js');
+
+/**
+ * Metadata providers selectable with METADATA_PROVIDER, keyed by provider ID.
+ * @type {Object<string, typeof import('./provider.js').MetadataProvider>}
+ */
+const METADATA_PROVIDERS = {
+  [FileMetadataProvider.id]: FileMetadataProvider,
+};
+
+const LOOKUP_PREFIX = 'metadata:lookup:';
+const FOUND_TTL_SECONDS = 30 * 24 * 60 * 60;
+// Misses are retried sooner, so shows added to the provider later still get mapped
+const NOT_FOUND_TTL_SECONDS = 24 * 60 * 60;
+
+/** @type {import('./provider.js').MetadataProvider|null|undefined} */
+let metadataProvider;
+
+/**
+ * Returns the configured provider, created on first use.
+ * @returns {import('./provider.js').MetadataProvider|null} The provider, or null if mapping is turned off.
+ */
+function getMetadataProvider() {
+  if (metadataProvider === undefined) {
+    const Provider = METADATA_PROVIDERS[config.METADATA_PROVIDER];
+    if (!Provider && config.METADATA_PROVIDER) {
+      logger.warn(`Unknown METADATA_PROVIDER "${config.METADATA_PROVIDER}"; shows will not be mapped to external IDs.`);
+    }
+    metadataProvider = Provider ? new Provider(config.METADATA_FILE) : null;
+  }
+  return metadataProvider;
+}
+
+/**
+ * Looks up a show's external IDs, answering from Redis where an earlier lookup is still cached.
+ * @param {string} name The parsed base show name.
+ * @param {number|null} year
+ * @returns {Promise<import('./provider.js').ExternalIds|null>}
+ */
+async function lookupExternalIds(name, year) {
+  const provider = getMetadataProvider();
+  if (!provider) {
+    return null;
+  }
+  const cacheKey = `${LOOKUP_PREFIX}${provider.constructor.id}:${phoneticKey(name)}:${year || ''}`;
+  const cached = await redisClient.get(cacheKey);
+  if (cached !== null) {
+    return JSON.parse(cached);
+  }
+
+  const externalIds = await provider.findShow(name, year);
+  await redisClient.set(cacheKey, JSON.stringify(externalIds), 'EX', externalIds ? FOUND_TTL_SECONDS : NOT_FOUND_TTL_SECONDS);
+  logger.debug(`${provider.constructor.displayName} lookup for "${name}" (${year}): ${externalIds ? externalIds.imdbId : 'not found'}`);
+  return externalIds;
+}
+
+/**
+ * Maps a series to its external IDs if it is not mapped yet, storing them on the `series:` hash
+ * and in the IMDb ID index. Lookup failures are logged and leave the series unmapped.
+ * @param {string} stremioId The series' Stremio ID.
+ * @param {object} seriesData The `series:` hash (at least baseName or name, and year).
+ * @returns {Promise<string|null>} The series' IMDb ID, or null if it could not be mapped.
+ */
+async function mapSeriesToExternalIds(stremioId, seriesData) {
+  if (seriesData.imdbId) {
+    return seriesData.imdbId;
+  }
+  const name = seriesData.baseName || seriesData.name;
+  try {
+    const externalIds = await lookupExternalIds(name, parseInt(seriesData.year, 10) || null);
+    if (!externalIds) {
+      return null;
+    }
+    await redisClient.hset(seriesKey(stremioId), 'imdbId', externalIds.imdbId, 'tmdbId', externalIds.tmdbId ? externalIds.tmdbId.toString() : '');
+    await indexExternalId(stremioId, externalIds.imdbId);
+    logger.info(`Mapped series ${stremioId} ("${name}") to ${externalIds.imdbId}.`);
+    return externalIds.imdbId;
+  } catch (error) {
+    logger.error(`Error looking up external IDs for series ${stremioId}:`, error);
+    logger.logToRedisErrorQueue({
+      timestamp: new Date().toISOString(),
+      level: 'ERROR',
+      message: `Error looking up external IDs for series: ${stremioId}`,
+      error: error.message,
+      url: seriesKey(stremioId)
+    });
+    return null;
+  }
+}
+
+module.exports = {
+  METADATA_PROVIDERS,
+  getMetadataProvider,
+  lookupExternalIds,
+  mapSeriesToExternalIds
+};
@@ -0,0 +1,36 @@
+/**
+ * @typedef {object} ExternalIds
+ * @property {string} imdbId - e.g. "tt1234567", the ID Cinemeta and most Stremio catalogs use.
+ * @property {number|null} tmdbId - The TMDB TV ID, when known.
+ */
+
+/**
+ * Base class every metadata provider extends. A provider maps a show name parsed from a forum
+ * thread to the show's IDs in external databases, so requests for the real IMDb ID reach our streams.
+ * Subclasses override findShow; the base implementation throws.
+ */
+class MetadataProvider {
+  /**
+   * Short lowercase ID used in config values and cache keys, e.g. "file".
+   * @type {string}
+   */
+  static id = '';
+
+  /**
+   * Name shown in logs, e.g. "Local ID file".
+   * @type {string}
+   */
+  static displayName = '';
+
+  /**
+   * Looks up a show by name and year.
+   * @param {string} name The parsed base show name, without year or season.
+   * @param {number|null} year The year the show (or the season we saw first) aired.
+   * @returns {Promise<ExternalIds|null>} The show's IDs, or null if the provider does not know it.
+   */
+  async findShow(name, year) {
+    throw new Error(`${this.constructor.name} does not implement findShow`);
+  }
+}
+
+module.exports = { MetadataProvider };
@@ -0,0 +1,121 @@
+const client = require('prom-client');
+const { logger } = require('../utils/logger.js');
+const { getErrorQueueStats } = require('../errors/queue.js');
+const { getThreadJobStats } = require('../crawler/jobQueue.js');
+
+/**
+ * Prometheus registry served on /metrics. Besides the crawler and handler metrics below it
+ * carries prom-client's default Node.js process metrics.
+ */
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'tamilshows_' });
+
+const pagesCrawled = new client.Counter({
+  name: 'tamilshows_pages_crawled_total',
+  help: 'Forum listing pages fetched by the crawler.',
+  registers: [registry],
+});
+
+const threadsProcessed = new client.Counter({
+  name: 'tamilshows_threads_processed_total',
+  help: 'Forum threads processed, by result ("saved" or "failed").',
+  labelNames: ['result'],
+  registers: [registry],
+});
+
+const magnetsSaved = new client.Counter({
+  name: 'tamilshows_magnets_saved_total',
+  help: 'Magnet links saved as stream records.',
+  registers: [registry],
+});
+
+const fetchFailures = new client.Counter({
+  name: 'tamilshows_fetch_failures_total',
+  help: 'Failed forum fetch attempts, by HTTP status code or network error code.',
+  labelNames: ['status'],
+  registers: [registry],
+});
+
+const handlerDuration = new client.Histogram({
+  name: 'tamilshows_handler_duration_seconds',
+  help: 'Addon handler latency by resource; the _count series is the number of requests.',
+  labelNames: ['resource'],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+/**
+ * Registers a gauge that is read from the error queue's counts on each scrape.
+ * @param {string} name
+ * @param {string} help
+ * @param {string} stat The getErrorQueueStats field to report.
+ * @returns {void}
+ */
+function errorQueueGauge(name, help, stat) {
+  new client.Gauge({
+    name,
+    help,
+    registers: [registry],
+    async collect() {
+      try {
+        this.set((await getErrorQueueStats())[stat]);
+      } catch (error) {
+        logger.warn(`Could not read the error queue for ${name}: ${error.message}`);
+      }
+    },
+  });
+}
+
+errorQueueGauge('tamilshows_error_queue_depth', 'Errors kept in the Redis error stream.', 'entries');
+errorQueueGauge('tamilshows_error_groups_open', 'Error groups (same error on the same URL) not yet acknowledged.', 'openGroups');
+
+new client.Gauge({
+  name: 'tamilshows_crawl_jobs',
+  help: 'Thread crawl jobs by state ("pending", "delayed", "active" or "dead").',
+  labelNames: ['state'],
+  registers: [registry],
+  async collect() {
+    try {
+      for (const [state, count] of Object.entries(await getThreadJobStats())) {
+        this.set({ state }, count);
+      }
+    } catch (error) {
+      logger.warn(`Could not read the crawl job queue: ${error.message}`);
+    }
+  },
+});
+
+/**
+ * Records a failed fetch of a forum page or thread.
+ * @param {Error} error The axios error.
+ * @returns {void}
+ */
+function recordFetchFailure(error) {
+  const status = error.response ? String(error.response.status) : (error.code || 'network');
+  fetchFailures.inc({ status });
+}
+
+/**
+ * Runs an addon handler and records its latency under its resource.
+ * @template T
+ * @param {string} resource e.g. "catalog", "meta", "stream".
+ * @param {function(): Promise<T>} handler
+ * @returns {Promise<T>}
+ */
+async function timeHandler(resource, handler) {
+  const stopTimer = handlerDuration.startTimer({ resource });
+  try {
+    return await handler();
+  } finally {
+    stopTimer();
+  }
+}
+
+module.exports = {
+  registry,
+  pagesCrawled,
+  threadsProcessed,
+  magnetsSaved,
+  recordFetchFailure,
+  timeHandler
+};
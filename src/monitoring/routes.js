@@ -0,0 +1,89 @@
+const express = require('express');
+const redisClient = require('../redis.js');
+const { config } = require('../config.js');
+const { logger } = require('../utils/logger.js');
+const { getCrawlerState } = require('../crawler/engine.js');
+const { registry } = require('./metrics.js');
+
+const REDIS_PING_TIMEOUT_MS = 2000;
+// Until the first page is crawled, the crawl age counts from startup
+const startedAt = Date.now();
+
+/**
+ * Pings Redis, failing if it does not answer in time.
+ * @returns {Promise<void>}
+ */
+async function pingRedis() {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${REDIS_PING_TIMEOUT_MS} ms`)), REDIS_PING_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([redisClient.ping(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Checks whether the service can do its job: Redis answers, and the forum was crawled recently
+ * (unless an admin paused the schedule).
+ * @returns {Promise<{ready: boolean, checks: object}>}
+ */
+async function checkReadiness() {
+  const checks = {};
+  try {
+    await pingRedis();
+    checks.redis = { ok: true };
+  } catch (error) {
+    checks.redis = { ok: false, error: error.message };
+  }
+
+  const crawler = getCrawlerState();
+  const lastCrawlAt = crawler.lastSuccessfulCrawlAt ? new Date(crawler.lastSuccessfulCrawlAt).getTime() : startedAt;
+  const crawlAgeSeconds = Math.round((Date.now() - lastCrawlAt) / 1000);
+  checks.crawl = {
+    ok: crawler.isPaused || crawlAgeSeconds <= config.HEALTH_MAX_CRAWL_AGE_SECONDS,
+    lastSuccessfulCrawlAt: crawler.lastSuccessfulCrawlAt,
+    ageSeconds: crawlAgeSeconds,
+    maxAgeSeconds: config.HEALTH_MAX_CRAWL_AGE_SECONDS,
+    paused: crawler.isPaused
+  };
+
+  return { ready: Object.values(checks).every(check => check.ok), checks };
+}
+
+/**
+ * Monitoring routes: /health (liveness: the process answers), /ready (readiness, see
+ * checkReadiness) and /metrics (Prometheus text format).
+ * @returns {express.Router}
+ */
+function createHealthRouter() {
+  const router = express.Router();
+
+  router.get('/health', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  router.get('/ready', async (req, res) => {
+    const { ready, checks } = await checkReadiness();
+    if (!ready) {
+      logger.warn(`Readiness check failed: ${JSON.stringify(checks)}`);
+    }
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+  });
+
+  router.get('/metrics', async (req, res) => {
+    try {
+      res.set('Content-Type', registry.contentType);
+      res.send(await registry.metrics());
+    } catch (error) {
+      logger.error('Error collecting metrics:', error);
+      res.status(500).send('Metrics unavailable');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
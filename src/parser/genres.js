@@ -0,0 +1,161 @@
+/**
+ * Derives the filter labels ("genres") a show can be browsed by: audio languages,
+ * quality tiers, source platforms and release year. These back the catalog `genre` extra.
+ */
+
+const { parseSizeToBytes } = require('./title.js');
+
+/**
+ * Display names for the language codes produced by parseTitle.
+ * @type {Object<string, string>}
+ */
+const LANGUAGE_NAMES = {
+  ta: 'Tamil',
+  te: 'Telugu',
+  ml: 'Malayalam',
+  hi: 'Hindi',
+  kn: 'Kannada',
+  en: 'English',
+  ko: 'Korean',
+  zh: 'Chinese',
+  ja: 'Japanese',
+  pt: 'Portuguese',
+};
+
+/**
+ * Quality tiers, best first.
+ * @type {string[]}
+ */
+const QUALITY_TIERS = ['4K', '1080p', '720p', 'SD'];
+
+/**
+ * Source platforms in the order they are offered as filter options.
+ * Values match the names parseTitle reports in `platforms`.
+ * @type {string[]}
+ */
+const PLATFORM_NAMES = ['Aha', 'Zee5', 'Hotstar', 'SonyLIV', 'Netflix', 'Prime Video', 'Sun NXT', 'JioCinema', 'MX Player'];
+
+// Years outside this range are misparsed titles or dates, not release years
+const MIN_SHOW_YEAR = 1950;
+// How many of the newest years are offered as filter options
+const MAX_YEAR_OPTIONS = 10;
+
+/**
+ * Maps a parsed resolution string to its quality tier.
+ * @param {string} resolution e.g. "1080p", "4K", "480p"
+ * @returns {string|null} The tier, or null for resolution-less tags like "HD"/"HQ".
+ */
+function qualityTier(resolution) {
+  if (!resolution) return null;
+  const normalized = resolution.toLowerCase();
+  if (normalized === '4k' || normalized === '2160p') return '4K';
+  const lines = parseInt(normalized, 10);
+  if (isNaN(lines)) return null;
+  if (lines >= 2160) return '4K';
+  if (lines >= 1080) return '1080p';
+  if (lines >= 720) return '720p';
+  return 'SD';
+}
+
+/**
+ * Safely parses a JSON array stored on a Redis hash.
+ * @param {string} [value] The stored JSON string.
+ * @returns {any[]}
+ */
+function parseStoredArray(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Reads a stream record's size in bytes: the stored byte count, else the parsed size text.
+ * @param {object} streamData The `stream:` hash.
+ * @returns {number|null}
+ */
+function streamSizeBytes(streamData) {
+  return parseInt(streamData.sizeBytes, 10) || parseSizeToBytes(streamData.size);
+}
+
+/**
+ * Checks that a parsed year can be a release year: from 1950 up to next year.
+ * @param {number} year
+ * @returns {boolean}
+ */
+function isPlausibleYear(year) {
+  return Number.isInteger(year) && year >= MIN_SHOW_YEAR && year <= new Date().getFullYear() + 1;
+}
+
+/**
+ * Works out a show's year: the stored parsed year, else the year in its catalog name,
+ * else the year its thread was started. Implausible years are skipped.
+ * @param {object} seriesData The `series:` hash.
+ * @returns {number|null}
+ */
+function showYear(seriesData) {
+  const storedYear = parseInt(seriesData.year, 10);
+  if (isPlausibleYear(storedYear)) return storedYear;
+  const nameYear = (seriesData.name || '').match(/\((\d{4})\)/);
+  if (nameYear && isPlausibleYear(parseInt(nameYear[1], 10))) return parseInt(nameYear[1], 10);
+  const startedYear = new Date(seriesData.threadStartedTime).getFullYear();
+  return isPlausibleYear(startedYear) ? startedYear : null;
+}
+
+/**
+ * Derives every genre label for a show from its stored `series:` hash.
+ * @param {object} seriesData The `series:` hash.
+ * @returns {string[]} Genre labels, e.g. ["Tamil", "1080p", "Zee5", "2024"].
+ */
+function deriveShowGenres(seriesData) {
+  const genres = new Set();
+  parseStoredArray(seriesData.languages)
+    .map(code => LANGUAGE_NAMES[code])
+    .filter(Boolean)
+    .forEach(name => genres.add(name));
+  parseStoredArray(seriesData.qualityTiers)
+    .filter(tier => QUALITY_TIERS.includes(tier))
+    .forEach(tier => genres.add(tier));
+  parseStoredArray(seriesData.platforms)
+    .filter(platform => PLATFORM_NAMES.includes(platform))
+    .forEach(platform => genres.add(platform));
+  const year = showYear(seriesData);
+  if (year) {
+    genres.add(year.toString());
+  }
+  return Array.from(genres);
+}
+
+/**
+ * Orders genre labels for the manifest: languages, then quality tiers, then platforms,
+ * then the newest years (at most MAX_YEAR_OPTIONS).
+ * @param {string[]} genres Genre labels found in the index.
+ * @returns {string[]}
+ */
+function sortGenreOptions(genres) {
+  const available = new Set(genres);
+  const languages = Object.values(LANGUAGE_NAMES).filter(name => available.has(name));
+  const tiers = QUALITY_TIERS.filter(tier => available.has(tier));
+  const platforms = PLATFORM_NAMES.filter(platform => available.has(platform));
+  const years = genres
+    .filter(genre => /^\d{4}$/.test(genre) && isPlausibleYear(parseInt(genre, 10)))
+    .sort((a, b) => b.localeCompare(a))
+    .slice(0, MAX_YEAR_OPTIONS);
+  return [...languages, ...tiers, ...platforms, ...years];
+}
+
+module.exports = {
+  LANGUAGE_NAMES,
+  QUALITY_TIERS,
+  PLATFORM_NAMES,
+  qualityTier,
+  isPlausibleYear,
+  parseStoredArray,
+  streamSizeBytes,
+  showYear,
+  deriveShowGenres,
+  sortGenreOptions
+};
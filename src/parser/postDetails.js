@@ -0,0 +1,152 @@
+/**
+ * Show details from the rich text of a thread's first post.
+ *
+ * Uploaders describe the show above the download links in loosely labelled lines
+ * ("Starring : A, B", "Director - C", "Genre: Crime / Thriller"), usually followed or preceded
+ * by a synopsis paragraph. The post text is parsed line by line; anything not recognized is ignored.
+ */
+
+const { extractPlatforms } = require('./title.js');
+
+/**
+ * @typedef {object} ShowDetails
+ * @property {string|null} synopsis
+ * @property {string[]} cast
+ * @property {string[]} director
+ * @property {string[]} genres - As written in the post, e.g. ["Crime", "Thriller"].
+ * @property {string|null} runtime - e.g. "25-30 Min"
+ * @property {string[]} platforms - Platform names as reported by parseTitle, e.g. ["Zee5"].
+ */
+
+/**
+ * Line labels for each detail, matched against the text before the separator.
+ * @type {Object<string, RegExp>}
+ */
+const DETAIL_LABELS = {
+  synopsis: /^(?:synopsis|story\s*line|story|plot|summary)$/i,
+  cast: /^(?:starring|star\s*cast|cast|stars)$/i,
+  director: /^(?:directed\s*by|director|direction)$/i,
+  genres: /^genres?$/i,
+  runtime: /^(?:run\s*time|duration|episode\s*(?:duration|length))$/i,
+  platform: /^(?:platform|ott|ott\s*platform|streaming\s*on|released\s*on|original\s*network)$/i,
+};
+
+const LABEL_LINE_REGEX = /^([a-z][a-z ]{1,24}?)\s*[:：\-–—]+\s*(.*)$/i;
+// "Directed by X" is often written without a separator
+const DIRECTED_BY_REGEX = /^directed\s+by\s+(.+)$/i;
+// Platform mentioned inside a sentence, e.g. "Now streaming on Zee5"
+const INLINE_PLATFORM_REGEX = /\b(?:streaming|now|exclusively|only|premieres?|premiering|released)\s+on\s+([^.\n]+)/i;
+// Lines that are release details rather than prose
+const RELEASE_LINE_REGEX = /\.(?:mkv|mp4|avi)\b|magnet|torrent|\b\d+(?:\.\d+)?\s*[GM]B\b|\b(?:480|720|1080|2160)p\b/i;
+const LIST_SEPARATOR_REGEX = /\s*(?:,|\/|\||&|\band\b)\s*/i;
+
+const MIN_SYNOPSIS_LENGTH = 80;
+const MAX_SYNOPSIS_LENGTH = 1000;
+const MAX_LIST_ITEMS = 12;
+const MAX_RUNTIME_LENGTH = 40;
+
+/**
+ * Splits a labelled value into a list, e.g. "Bharath, Vani Bhojan & Vivek" into three names.
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitList(value) {
+  const items = value
+    .split(LIST_SEPARATOR_REGEX)
+    .map(item => item.replace(/[.\s]+$/, '').trim())
+    .filter(item => item.length > 1);
+  return Array.from(new Set(items)).slice(0, MAX_LIST_ITEMS);
+}
+
+/**
+ * Matches a line against the detail labels.
+ * @param {string} line A trimmed line without leading decoration.
+ * @returns {{detail: string, value: string}|null}
+ */
+function matchLabelledLine(line) {
+  const directedBy = line.match(DIRECTED_BY_REGEX);
+  if (directedBy) {
+    return { detail: 'director', value: directedBy[1].trim() };
+  }
+  const match = line.match(LABEL_LINE_REGEX);
+  if (!match) {
+    return null;
+  }
+  const label = match[1].trim();
+  const detail = Object.keys(DETAIL_LABELS).find(name => DETAIL_LABELS[name].test(label));
+  return detail ? { detail, value: match[2].trim() } : null;
+}
+
+/**
+ * Checks whether a line reads like part of a synopsis rather than a release detail.
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isProseLine(line) {
+  return !RELEASE_LINE_REGEX.test(line) && /[a-z]{3,}\s+[a-z]{2,}/i.test(line);
+}
+
+/**
+ * Parses the show details out of a post's plain text.
+ * @param {string} postText The post text, one paragraph or labelled detail per line.
+ * @returns {ShowDetails}
+ */
+function parsePostDetails(postText) {
+  /** @type {ShowDetails} */
+  const details = { synopsis: null, cast: [], director: [], genres: [], runtime: null, platforms: [] };
+  const lines = (postText || '')
+    .split('\n')
+    // Strip leading bullets, stars and emoji uploaders decorate labels with
+    .map(line => line.replace(/^[^\p{L}\p{N}]+/u, '').replace(/\s+/g, ' ').trim());
+
+  let synopsisLines = null;
+  let fallbackSynopsis = null;
+  for (const line of lines) {
+    const labelled = line ? matchLabelledLine(line) : null;
+    if (synopsisLines) {
+      // A labelled synopsis runs until the next blank line or label
+      if (line && !labelled && isProseLine(line)) {
+        synopsisLines.push(line);
+        continue;
+      }
+      if (synopsisLines.length > 0 || labelled) {
+        details.synopsis = details.synopsis || synopsisLines.join(' ');
+        synopsisLines = null;
+      }
+    }
+    if (!labelled) {
+      if (!fallbackSynopsis && line.length >= MIN_SYNOPSIS_LENGTH && isProseLine(line)) {
+        fallbackSynopsis = line;
+      }
+      continue;
+    }
+
+    const { detail, value } = labelled;
+    if (detail === 'synopsis') {
+      synopsisLines = value ? [value] : [];
+    } else if (detail === 'runtime') {
+      details.runtime = details.runtime || value.slice(0, MAX_RUNTIME_LENGTH) || null;
+    } else if (detail === 'platform') {
+      details.platforms.push(...extractPlatforms(value));
+    } else if (details[detail].length === 0) {
+      details[detail] = splitList(value);
+    }
+  }
+  if (synopsisLines && synopsisLines.length > 0) {
+    details.synopsis = details.synopsis || synopsisLines.join(' ');
+  }
+  details.synopsis = (details.synopsis || fallbackSynopsis || '').slice(0, MAX_SYNOPSIS_LENGTH) || null;
+
+  if (details.platforms.length === 0) {
+    const inlinePlatform = (postText || '').match(INLINE_PLATFORM_REGEX);
+    if (inlinePlatform) {
+      details.platforms.push(...extractPlatforms(inlinePlatform[1]));
+    }
+  }
+  details.platforms = Array.from(new Set(details.platforms));
+  return details;
+}
+
+module.exports = {
+  parsePostDetails
+};
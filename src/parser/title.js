@@ -16,24 +16,29 @@ const { logger } = require('../utils/logger.js'); // Ensure .js extension
  * @property {string[]} audioCodecs - e.g., ["AAC", "DD5.1|AC3", "DTS"]
  * @property {string[]} sizes - e.g., ["1.2GB", "600MB"]
  * @property {boolean} [hasESub] - True if English subtitles are indicated.
+ * @property {string[]} platforms - Source streaming platforms, e.g., ["Zee5", "SonyLIV"]
  * @property {string} originalTitle - The original raw title string.
  */
 
 // --- Regex Patterns ---
 const REGEX_YEAR = /\(?(\d{4})\)?/ig;
-const REGEX_SEASON = /(?:S(\d+)(?:-\s*S?(\d+))?|Season\s*(\d+)(?:-\s*Season\s*(\d+))?|s(\d+)(?:-s(\d+))?|season\s*(\d+)(?:-(\d+))?|complete series|season\s*pack|full\s*season)/ig;
-const REGEX_EPISODE = /(?:E(?:P)?(\d+)(?:-(\d+))?|Episode(?:s)?\s*(\d+)(?:-(\d+))?|e(\d+)(?:-e(\d+))?|ep(\d+)(?:-ep(\d+))?)/ig;
+const REGEX_SEASON = /(?:S(\d+)(?:-\s*S?(\d+))?|Season\s*(\d+)(?:-\s*Season\s*(\d+))?|s(\d+)(?:-s(\d+))?|season\s*(\d+)(?:-(\d+))?|\bcomplete(?:\s*series)?\b|season\s*pack|full\s*season)/ig;
+// "EP05", "EP (01-08)", "Episodes 1 - 4", "E05", "S01E01-E02"; a range end must not be a resolution or size ("E05 - 1080p", "E01 - 2GB")
+const REGEX_EPISODE = /(?:\b|(?<=\d))(?:(?:Episodes?|EP)\s*\(?\s*(\d{1,4})(?:\s*-\s*(?:EP?\s*)?(\d{1,4})(?![\d.p]|\s*[KMGT]?B\b))?\s*\)?|E(\d{1,4})(?:\s*-\s*E?(\d{1,4})(?![\d.p]|\s*[KMGT]?B\b))?)(?!\d)/ig;
 const REGEX_RESOLUTION = /(\d{3,4}p|4K|HD|HQ)/ig;
 const REGEX_LANGUAGES = /(?:\[\s*(?:(?:Tamil|Telugu|Kannada|Hindi|Eng|Malayalam|Korean|Chinese|Por|Multi|Tel|ML|Kn|Jap|Kor)\s*(?:[+\s-]\s*(?:Tamil|Telugu|Kannada|Hindi|Eng|Malayalam|Korean|Chinese|Por|Multi|Tel|ML|Kn|Jap|Kor))*)\s*\]|(?:tam|tel|kan|hin|eng|mal|kor|chi|por|jap|ml|kn)\b|Tamil|Telugu|Kannada|Hindi|Eng|Malayalam|Korean|Chinese|Portugu\s*ese|Jap|Kor)\b/ig;
 const REGEX_CODECS = /(x264|x265|HEVC|AVC|VP9)/ig;
 const REGEX_AUDIO_CODECS = /(AAC|DD5\.1|AC3|DTS|Opus|MP3|\b5\.1\b|\b5\s1\b)/ig;
-const REGEX_QUALITY_TAGS = /(?:HQ\s*HDRip|WEB-DL|HDRip|BluRay|HDTV|WEBRip|BDRip|DVDRip|UNTOUCHED|HDR|DDP|WEB|RIP|BR|HQRip|HDRip)/ig;
+const REGEX_QUALITY_TAGS = /(?:\bPre-?DVD(?:Rip)?\b|\bHD-?CAM\b|\bCAM(?:Rip)?\b|\bHD-?TS\b|\bTELESYNC\b|HQ\s*HDRip|WEB-DL|HDRip|BluRay|HDTV|WEBRip|BDRip|DVDRip|UNTOUCHED|HDR|DDP|WEB|RIP|BR|HQRip|HDRip)/ig;
 const REGEX_SIZE = /(\d+\.?\d*\s*[KMGT]?B)/ig;
 const REGEX_SUBTITLE = /(ESub|Subtitles?)/ig;
+const REGEX_EPISODE_MARKER = /(?:\bS\d+\s*|\b)(?:Episode|EP|E)\s*\(?\d+(?:\s*-\s*(?:EP?)?\s*\d+)?\)?/i;
+const REGEX_PLATFORM = /\b(aha|zee\s*5|(?:disney\s*\+?\s*|jio\s*)?hotstar|sony\s*liv|netflix|nf|amzn|amazon\s*prime|prime\s*video|sun\s*nxt|jio\s*cinema|mx\s*player)\b/ig;
 const REGEX_FILE_EXTENSION = /\.(mkv|mp4|avi|mov|flv|wmv|webm|m4v)\b/ig;
 const REGEX_WEBSITE_DOMAIN = /\b(www\.[a-zA-Z0-9-]+\.(?:[a-z]{2,}|[a-z]{2,}(?:\.[a-z]{2,})+))\b/gi;
 const REGEX_RELEASE_GROUP = /(?:\[\w+\]|\(\w+\))$/;
-const REGEX_JUNK_CHARACTERS = /\s+(?:[A-Z]|\d|\bEP\b|\bS\b|\bE\b|[\+\.])/ig;
+// Stray single characters and markers left standing alone once the patterns above are stripped
+const REGEX_JUNK_CHARACTERS = /(?<=^|\s)(?:[A-Z]|\d|EP|S|E|[+.&])(?=\s|$)/ig;
 
 // --- Language Map ---
 const LANGUAGE_MAP = {
@@ -52,6 +57,19 @@ const LANGUAGE_MAP = {
   'kn': 'kn',
 };
 
+// --- Platform Map (keys are lowercase with whitespace, '+' removed) ---
+const PLATFORM_MAP = {
+  'aha': 'Aha',
+  'zee5': 'Zee5',
+  'hotstar': 'Hotstar', 'disneyhotstar': 'Hotstar', 'jiohotstar': 'Hotstar',
+  'sonyliv': 'SonyLIV',
+  'netflix': 'Netflix', 'nf': 'Netflix',
+  'amzn': 'Prime Video', 'amazonprime': 'Prime Video', 'primevideo': 'Prime Video',
+  'sunnxt': 'Sun NXT',
+  'jiocinema': 'JioCinema',
+  'mxplayer': 'MX Player',
+};
+
 /**
  * Normalizes a string for fuzzy matching and ID generation.
  * @param {string} text The input string to normalize.
@@ -127,36 +145,10 @@ function extractEpisodes(text) {
     resetRegex(REGEX_EPISODE);
     let match;
     while ((match = REGEX_EPISODE.exec(text)) !== null) {
-        let start = null;
-        let end = null;
-        if (match[1] && match[2]) {
-            start = parseInt(match[1], 10);
-            end = parseInt(match[2], 10);
-        } else if (match[1]) {
-            start = parseInt(match[1], 10);
-            end = start;
-        } else if (match[3] && match[4]) {
-            start = parseInt(match[3], 10);
-            end = parseInt(match[4], 10);
-        } else if (match[3]) {
-            start = parseInt(match[3], 10);
-            end = start;
-        } else if (match[5] && match[6]) {
-            start = parseInt(match[5], 10);
-            end = parseInt(match[6], 10);
-        } else if (match[5]) {
-            start = parseInt(match[5], 10);
-            end = start;
-        } else if (match[7] && match[8]) {
-            start = parseInt(match[7], 10);
-            end = parseInt(match[8], 10);
-        } else if (match[7]) {
-            start = parseInt(match[7], 10);
-            end = start;
-        }
-        if (start !== null) {
-            episodes.push({ start, end });
-        }
+        const start = parseInt(match[1] || match[3], 10);
+        const end = parseInt(match[2] || match[4], 10);
+        // A range that runs backwards is not one, e.g. "EP05-02"
+        episodes.push({ start, end: end >= start ? end : start });
     }
     return episodes.sort((a, b) => a.start - b.start);
 }
@@ -277,6 +269,34 @@ function extractSizes(text) {
     return Array.from(sizes);
 }
 
+/**
+ * Converts a size string as extracted by extractSizes to bytes.
+ * @param {string} sizeText e.g. "1.2GB", "600 MB"
+ * @returns {number|null} The size in bytes, or null if the text is not a size.
+ */
+function parseSizeToBytes(sizeText) {
+    const match = (sizeText || '').match(/^(\d+\.?\d*)\s*([KMGT]?)B$/i);
+    if (!match) return null;
+    const exponent = ['', 'K', 'M', 'G', 'T'].indexOf(match[2].toUpperCase());
+    return Math.round(parseFloat(match[1]) * Math.pow(1024, exponent));
+}
+
+/**
+ * Extracts and normalizes source streaming platforms from a string.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractPlatforms(text) {
+    const platforms = new Set();
+    resetRegex(REGEX_PLATFORM);
+    let match;
+    while ((match = REGEX_PLATFORM.exec(text)) !== null) {
+        const platform = PLATFORM_MAP[match[1].toLowerCase().replace(/[\s+]/g, '')];
+        if (platform) platforms.add(platform);
+    }
+    return Array.from(platforms);
+}
+
 /**
  * Extracts subtitle presence.
  * @param {string} text
@@ -305,6 +325,7 @@ function parseTitle(titleString) {
     audioCodecs: [],
     sizes: [],
     hasESub: false,
+    platforms: [],
   };
 
   let tempTitle = titleString;
@@ -323,6 +344,7 @@ function parseTitle(titleString) {
     REGEX_EPISODE,
     REGEX_SEASON,
     REGEX_YEAR,
+    REGEX_PLATFORM,
     /TamilShow\s*-\s*(?:\d{3,4}p|4K|Unknown Res)\s*-\s*/gi,
     /[\(\[]\s*(?:[A-Z0-9\s.-]+)\s*[\)\]]/g,
     REGEX_JUNK_CHARACTERS,
@@ -348,6 +370,7 @@ function parseTitle(titleString) {
   metadata.qualityTags = extractQualityTags(tempTitle);
   metadata.sizes = extractSizes(tempTitle);
   metadata.hasESub = extractHasESub(tempTitle);
+  metadata.platforms = extractPlatforms(tempTitle);
 
   for (const pattern of strippingPatterns) {
     resetRegex(pattern);
@@ -406,18 +429,53 @@ function fuzzyMatch(title1, title2, threshold = 0.85) {
 }
 
 /**
- * Cleans a title to be used as the primary catalog entry for a series-season "movie".
+ * Cleans a title to be used as the primary catalog entry for a series.
  * @param {string} rawBaseShowName The core base show name (from parseTitle.baseShowName).
- * @param {number} year The year of the series/season.
- * @param {number} season The season number.
- * @returns {string} The heavily cleaned series-season title for the catalog.
+ * @param {number} year The year the series started.
+ * @param {number} [season] The season number; when given, an " S01" style suffix is appended.
+ * @returns {string} The heavily cleaned series title for the catalog, e.g. "Name (2024)".
  */
 function cleanBaseTitleForCatalog(rawBaseShowName, year, season) {
   if (!rawBaseShowName) return '';
-  let cleaned = rawBaseShowName;
-  const formattedSeason = season.toString().padStart(2, '0');
-  cleaned = `${cleaned} (${year}) S${formattedSeason}`.replace(/\s+/g, ' ').trim();
-  return cleaned;
+  let cleaned = `${rawBaseShowName} (${year})`;
+  if (season !== undefined) {
+    cleaned += ` S${season.toString().padStart(2, '0')}`;
+  }
+  return cleaned.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Reads the season and episode numbers a name actually carries. Unlike parseTitle, it does not
+ * fall back to season 1 episode 1 when the name has no episode number.
+ * @param {string} name e.g. a subtitle file name.
+ * @returns {{season: number|null, episode: number|null}}
+ */
+function extractEpisodeNumbers(name) {
+    const episodes = extractEpisodes(name || '');
+    return {
+        season: extractSeasons(name || '')[0] || null,
+        episode: episodes.length > 0 ? episodes[0].start : null
+    };
+}
+
+/**
+ * Extracts an episode's own title from an attachment name, e.g. "The Fire" from
+ * "Suzhal (2022) S01 EP03 - The Fire - 1080p WEB-DL.mkv". The title is the text after the episode
+ * marker, up to the first bracket or release detail (quality, resolution, language, size...).
+ * @param {string} attachmentName The attachment (file) name shown in the post.
+ * @returns {string|null} The episode title, or null if the name carries none.
+ */
+function extractEpisodeTitle(attachmentName) {
+    const name = (attachmentName || '').replace(/\.(?:mkv|mp4|avi)$/i, '').replace(/[._]+/g, ' ');
+    const marker = name.match(REGEX_EPISODE_MARKER);
+    if (!marker) return null;
+    let rest = name.slice(marker.index + marker[0].length);
+    const releaseDetailRegexes = [/[\[(]/, REGEX_YEAR, REGEX_RESOLUTION, REGEX_QUALITY_TAGS, REGEX_LANGUAGES, REGEX_CODECS, REGEX_AUDIO_CODECS, REGEX_SIZE, REGEX_SUBTITLE];
+    // search() ignores lastIndex, so the global patterns need no reset here
+    const cutAt = Math.min(...releaseDetailRegexes.map(regex => rest.search(regex)).filter(index => index >= 0));
+    if (Number.isFinite(cutAt)) rest = rest.slice(0, cutAt);
+    const episodeTitle = rest.replace(/^[\s\-–:|]+|[\s\-–:|]+$/g, '').replace(/\s+/g, ' ');
+    return /\p{L}{2,}/u.test(episodeTitle) && episodeTitle.length >= 3 ? episodeTitle : null;
 }
 
 /**
@@ -470,6 +528,12 @@ function cleanStreamDetailsTitle(metadata) {
 module.exports = {
   normalizeTitle,
   parseTitle,
+  extractLanguages,
+  LANGUAGE_MAP,
+  extractPlatforms,
+  parseSizeToBytes,
+  extractEpisodeTitle,
+  extractEpisodeNumbers,
   fuzzyMatch,
   cleanBaseTitleForCatalog, 
   cleanStreamDetailsTitle 
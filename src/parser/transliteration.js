@@ -0,0 +1,74 @@
+/**
+ * Phonetic normalization for romanized Indian-language titles.
+ *
+ * Forum uploaders romanize the same Tamil word in several ways ("Kadhal"/"Kaadhal",
+ * "Suzhal"/"Sulal", "Thalaivar"/"Thalaivaa"). Reducing each word to a phonetic key lets the
+ * search index and the show-grouping key treat those spellings as the same word.
+ */
+
+/**
+ * @typedef {object} PhoneticRule
+ * @property {string} name - Short description of the variant the rule folds.
+ * @property {RegExp} pattern - Pattern applied to a single lowercase word.
+ * @property {string} replacement - Replacement string (may reference capture groups).
+ */
+
+/**
+ * Variant rules applied in order to every lowercase alphabetic word.
+ * Order matters: digraphs are folded before repeated letters are collapsed, and word-final
+ * rules run last. Extend this table when new spelling variants show up in thread titles.
+ * @type {PhoneticRule[]}
+ */
+const PHONETIC_RULES = [
+  { name: 'retroflex zh as l', pattern: /zh/g, replacement: 'l' },
+  { name: 'dental th/dh as d', pattern: /[td]h/g, replacement: 'd' },
+  { name: 'aspirated consonants', pattern: /([bgkp])h/g, replacement: '$1' },
+  { name: 'sh as s', pattern: /sh/g, replacement: 's' },
+  { name: 'w as v', pattern: /w/g, replacement: 'v' },
+  { name: 'ee as i', pattern: /ee/g, replacement: 'i' },
+  { name: 'oo as u', pattern: /oo/g, replacement: 'u' },
+  { name: 'doubled letters', pattern: /([a-z])\1+/g, replacement: '$1' },
+  { name: 'word-final ar as a', pattern: /([^aeiou])ar$/, replacement: '$1a' },
+  { name: 'word-final h', pattern: /([aeiou])h$/, replacement: '$1' },
+];
+
+/**
+ * Reduces a single word to its phonetic form.
+ * Words containing digits (years, season markers) are returned unchanged.
+ * @param {string} word A single word.
+ * @returns {string} The phonetic form of the word.
+ */
+function phoneticWord(word) {
+  let folded = word.toLowerCase();
+  if (!/^[a-z]+$/.test(folded)) {
+    return folded;
+  }
+  for (const rule of PHONETIC_RULES) {
+    rule.pattern.lastIndex = 0;
+    folded = folded.replace(rule.pattern, rule.replacement);
+  }
+  return folded;
+}
+
+/**
+ * Builds a phonetic key for a title: lowercase, punctuation removed and every word folded
+ * through PHONETIC_RULES, joined with hyphens.
+ * @param {string} text The title text.
+ * @returns {string} The phonetic key, or an empty string for empty input.
+ */
+function phoneticKey(text) {
+  if (!text) return '';
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(phoneticWord)
+    .join('-');
+}
+
+module.exports = {
+  PHONETIC_RULES,
+  phoneticWord,
+  phoneticKey
+};
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const sharp = require('sharp');
+const redisClient = require('../redis.js');
+const { config } = require('../config.js');
+const { logger } = require('../utils/logger.js');
+const { buildTitlePosterSvg } = require('./titlePoster.js');
+
+/**
+ * Image sizes served by the poster proxy, keyed by the variant name used in its URLs.
+ * Posters keep Stremio's 2:3 shape; backgrounds are cropped to 16:9 from the same image.
+ * @type {Object<string, {width: number, height: number}>}
+ */
+const POSTER_VARIANTS = {
+  poster: { width: 400, height: 600 },
+  background: { width: 1280, height: 720 },
+};
+
+const ORIGINAL_PREFIX = 'poster:original:'; // STRING per series: the downloaded image bytes, kept without expiry
+const SOURCE_PREFIX = 'poster:source:'; // STRING per series: the posterUrl the original was downloaded from
+const VARIANT_PREFIX = 'poster:variant:'; // STRING per series and variant: the resized JPEG
+const FAILED_PREFIX = 'poster:failed:'; // STRING per series: set while a failed download is not retried
+const TITLE_PREFIX = 'poster:title:'; // STRING per series and rendering: the generated title poster; `<key>:source` holds the hash of its SVG
+const TITLE_RENDERINGS = [...Object.keys(POSTER_VARIANTS), 'png'];
+const VARIANT_TTL_SECONDS = 7 * 24 * 60 * 60; // Variants are cheap to regenerate from the original
+const FAILED_RETRY_SECONDS = 60 * 60;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_POSTER_BYTES = 10 * 1024 * 1024;
+const JPEG_QUALITY = 80;
+
+/** In-flight downloads keyed by series ID, so concurrent requests share one download. */
+const pendingDownloads = new Map();
+
+/**
+ * Addresses a posterUrl must not reach: posterUrls come from forum posts, so without this anyone
+ * who can post could make the server fetch from its own network.
+ */
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Builds the proxy URL Stremio should load a series' poster or background from.
+ * @param {string} stremioId The series' Stremio ID.
+ * @param {string} variant One of the POSTER_VARIANTS keys.
+ * @returns {string}
+ */
+function buildPosterUrl(stremioId, variant) {
+  return `${config.PUBLIC_URL}/poster/${encodeURIComponent(stremioId)}/${variant}.jpg`;
+}
+
+/**
+ * Tells whether a stored posterUrl points at real artwork. Older threads without a poster
+ * stored an inline "No Poster" SVG data URI, which counts as no poster.
+ * @param {string} [posterUrl]
+ * @returns {boolean}
+ */
+function isDownloadablePoster(posterUrl) {
+  return Boolean(posterUrl) && /^https?:\/\//i.test(posterUrl);
+}
+
+/**
+ * Tells whether an IP address is private, loopback, link-local or otherwise not on the internet.
+ * @param {string} address An IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+function isNonPublicAddress(address) {
+  const mappedIpv4 = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mappedIpv4) {
+    return NON_PUBLIC_ADDRESSES.check(mappedIpv4[1], 'ipv4');
+  }
+  return NON_PUBLIC_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Rejects a host given as a non-public IP address. Host names are checked when they are resolved.
+ * @param {string} hostname
+ * @returns {void}
+ */
+function assertPublicHost(hostname) {
+  const address = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(address) && isNonPublicAddress(address)) {
+    throw new Error(`Refusing to fetch a poster from non-public address ${address}`);
+  }
+}
+
+/**
+ * DNS lookup for poster downloads that refuses host names resolving to non-public addresses.
+ * Used for every connection, redirects included, so a name cannot be re-pointed after a check.
+ * @param {string} hostname
+ * @returns {Promise<{address: string, family: number}>}
+ */
+async function lookupPublicAddress(hostname) {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => isNonPublicAddress(address));
+  if (blocked) {
+    throw new Error(`Refusing to fetch a poster from ${hostname}: it resolves to non-public address ${blocked.address}`);
+  }
+  return addresses[0];
+}
+
+/**
+ * Downloads the image bytes behind a posterUrl, from public addresses only.
+ * @param {string} posterUrl
+ * @returns {Promise<Buffer>}
+ */
+async function fetchPosterBytes(posterUrl) {
+  assertPublicHost(new URL(posterUrl).hostname);
+  const response = await axios.get(posterUrl, {
+    responseType: 'arraybuffer',
+    timeout: FETCH_TIMEOUT_MS,
+    maxContentLength: MAX_POSTER_BYTES,
+    lookup: lookupPublicAddress,
+    // IP hosts skip the lookup, so redirects to them are checked here
+    beforeRedirect: (options) => assertPublicHost(options.hostname),
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/100.0.4896.127 Safari/537.36'
+    }
+  });
+  return Buffer.from(response.data);
+}
+
+/**
+ * Returns the original poster image for a series, downloading it when the series' posterUrl has
+ * changed since the last download. If the origin cannot be reached, the copy downloaded earlier
+ * keeps being served.
+ * @param {string} stremioId The series' Stremio ID.
+ * @param {string} posterUrl The series' current posterUrl.
+ * @returns {Promise<Buffer|null>} The image bytes, or null if no copy was ever downloaded.
+ */
+async function getOriginalPoster(stremioId, posterUrl) {
+  const [cachedSource, cachedImage] = await Promise.all([
+    redisClient.get(`${SOURCE_PREFIX}${stremioId}`),
+    redisClient.getBuffer(`${ORIGINAL_PREFIX}${stremioId}`)
+  ]);
+  if (cachedImage && (cachedSource === posterUrl || !posterUrl)) {
+    return cachedImage;
+  }
+  if (!posterUrl || await redisClient.exists(`${FAILED_PREFIX}${stremioId}`)) {
+    return cachedImage;
+  }
+
+  if (!pendingDownloads.has(stremioId)) {
+    pendingDownloads.set(stremioId, (async () => {
+      try {
+        const image = await fetchPosterBytes(posterUrl);
+        // Reject HTML error pages and other non-images before they replace a good copy
+        await sharp(image).metadata();
+        await redisClient.pipeline()
+          .set(`${ORIGINAL_PREFIX}${stremioId}`, image)
+          .set(`${SOURCE_PREFIX}${stremioId}`, posterUrl)
+          .del(...Object.keys(POSTER_VARIANTS).map(variant => `${VARIANT_PREFIX}${stremioId}:${variant}`))
+          .exec();
+        logger.debug(`Cached poster for ${stremioId} from ${posterUrl.slice(0, 100)}`);
+        return image;
+      } catch (error) {
+        logger.warn(`Could not download poster for ${stremioId} from ${posterUrl.slice(0, 100)}: ${error.message}`);
+        await redisClient.set(`${FAILED_PREFIX}${stremioId}`, '1', 'EX', FAILED_RETRY_SECONDS);
+        return null;
+      } finally {
+        pendingDownloads.delete(stremioId);
+      }
+    })());
+  }
+  return (await pendingDownloads.get(stremioId)) || cachedImage;
+}
+
+/**
+ * Returns a rendering of a series' generated title poster, cached until the poster's SVG changes,
+ * e.g. when the series is renamed.
+ * @param {object} seriesData The `series:` hash.
+ * @param {string} rendering One of TITLE_RENDERINGS.
+ * @param {function(Buffer): Promise<Buffer>} render Renders the SVG.
+ * @returns {Promise<Buffer>}
+ */
+async function getRenderedTitlePoster(seriesData, rendering, render) {
+  const svg = buildTitlePosterSvg(seriesData);
+  const svgHash = crypto.createHash('sha1').update(svg).digest('hex');
+  const imageKey = `${TITLE_PREFIX}${seriesData.stremioId}:${rendering}`;
+  const [cachedHash, cachedImage] = await Promise.all([
+    redisClient.get(`${imageKey}:source`),
+    redisClient.getBuffer(imageKey)
+  ]);
+  if (cachedImage && cachedHash === svgHash) {
+    return cachedImage;
+  }
+  const image = await render(Buffer.from(svg));
+  await redisClient.pipeline()
+    .set(imageKey, image, 'EX', VARIANT_TTL_SECONDS)
+    .set(`${imageKey}:source`, svgHash, 'EX', VARIANT_TTL_SECONDS)
+    .exec();
+  return image;
+}
+
+/**
+ * Returns a series' generated title poster as a PNG.
+ * @param {object} seriesData The `series:` hash.
+ * @returns {Promise<Buffer>}
+ */
+async function getTitlePosterPng(seriesData) {
+  return getRenderedTitlePoster(seriesData, 'png', svg => sharp(svg).png().toBuffer());
+}
+
+/**
+ * Returns a resized JPEG of a series' poster, rendering a generated title poster when the series
+ * has no artwork or its artwork was never downloaded.
+ * @param {object} seriesData The `series:` hash.
+ * @param {string} variant One of the POSTER_VARIANTS keys.
+ * @returns {Promise<Buffer>}
+ */
+async function getPosterVariant(seriesData, variant) {
+  const stremioId = seriesData.stremioId;
+  const posterUrl = isDownloadablePoster(seriesData.posterUrl) ? seriesData.posterUrl : '';
+  const variantKey = `${VARIANT_PREFIX}${stremioId}:${variant}`;
+  const cachedVariant = await redisClient.getBuffer(variantKey);
+  if (cachedVariant && (await redisClient.get(`${SOURCE_PREFIX}${stremioId}`)) === posterUrl) {
+    return cachedVariant;
+  }
+
+  const original = await getOriginalPoster(stremioId, posterUrl);
+  const { width, height } = POSTER_VARIANTS[variant];
+  if (!original) {
+    // The generated poster is letterboxed so its text stays whole
+    return getRenderedTitlePoster(seriesData, variant, svg => sharp(svg)
+      .resize(width, height, { fit: 'contain', background: '#101010' })
+      .flatten({ background: '#101010' })
+      .jpeg({ quality: JPEG_QUALITY })
+      .toBuffer());
+  }
+  // Artwork is cropped to fill the frame
+  const resized = await sharp(original)
+    .resize(width, height, { fit: 'cover', position: 'attention' })
+    .flatten({ background: '#101010' })
+    .jpeg({ quality: JPEG_QUALITY })
+    .toBuffer();
+  await redisClient.set(variantKey, resized, 'EX', VARIANT_TTL_SECONDS);
+  return resized;
+}
+
+/**
+ * Drops every cached image of a series, e.g. when the series is deleted.
+ * @param {string} stremioId The series' Stremio ID.
+ * @returns {Promise<void>}
+ */
+async function clearPosterCache(stremioId) {
+  await redisClient.del(
+    `${ORIGINAL_PREFIX}${stremioId}`,
+    `${SOURCE_PREFIX}${stremioId}`,
+    `${FAILED_PREFIX}${stremioId}`,
+    ...Object.keys(POSTER_VARIANTS).map(variant => `${VARIANT_PREFIX}${stremioId}:${variant}`),
+    ...TITLE_RENDERINGS.flatMap(rendering => [`${TITLE_PREFIX}${stremioId}:${rendering}`, `${TITLE_PREFIX}${stremioId}:${rendering}:source`])
+  );
+}
+
+module.exports = {
+  POSTER_VARIANTS,
+  buildPosterUrl,
+  isDownloadablePoster,
+  getOriginalPoster,
+  getPosterVariant,
+  getTitlePosterPng,
+  clearPosterCache
+};
@@ -0,0 +1,63 @@
+const express = require('express');
+const redisClient = require('../redis.js');
+const { logger } = require('../utils/logger.js');
+const { seriesKey } = require('../store/schema.js');
+const { POSTER_VARIANTS, getPosterVariant, getTitlePosterPng } = require('./cache.js');
+const { buildTitlePosterSvg } = require('./titlePoster.js');
+
+const BROWSER_CACHE_SECONDS = 24 * 60 * 60;
+
+/**
+ * Routes serving cached, resized series artwork (see buildPosterUrl), so clients never load
+ * images from the forum's rotating CDN hosts directly, and the generated title poster of each series.
+ * @returns {express.Router}
+ */
+function createPosterRouter() {
+  const router = express.Router();
+
+  router.get('/poster/:stremioId/:variant.:format(jpg|svg|png)', async (req, res) => {
+    const { stremioId, variant, format } = req.params;
+    // Artwork variants are JPEGs; the title poster is served as SVG or PNG
+    const isTitlePoster = variant === 'title';
+    const isKnownVariant = isTitlePoster
+      ? format !== 'jpg'
+      : format === 'jpg' && Object.prototype.hasOwnProperty.call(POSTER_VARIANTS, variant);
+    if (!isKnownVariant) {
+      res.status(404).send('Unknown poster variant');
+      return;
+    }
+
+    try {
+      const seriesData = await redisClient.hgetall(seriesKey(stremioId));
+      if (!seriesData || !seriesData.stremioId) {
+        res.status(404).send('Unknown series');
+        return;
+      }
+      res.set('Cache-Control', `public, max-age=${BROWSER_CACHE_SECONDS}`);
+      if (isTitlePoster && format === 'svg') {
+        res.set('Content-Type', 'image/svg+xml');
+        res.send(buildTitlePosterSvg(seriesData));
+      } else if (isTitlePoster) {
+        res.set('Content-Type', 'image/png');
+        res.send(await getTitlePosterPng(seriesData));
+      } else {
+        res.set('Content-Type', 'image/jpeg');
+        res.send(await getPosterVariant(seriesData, variant));
+      }
+    } catch (error) {
+      logger.error(`Error serving ${variant} for ${stremioId}:`, error);
+      logger.logToRedisErrorQueue({
+        timestamp: new Date().toISOString(),
+        level: 'ERROR',
+        message: `Error serving poster ${variant} for series: ${stremioId}`,
+        error: error.message,
+        url: req.path
+      });
+      res.status(500).send('Poster unavailable');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPosterRouter };
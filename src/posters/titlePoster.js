@@ -0,0 +1,135 @@
+const { LANGUAGE_NAMES, parseStoredArray } = require('../parser/genres.js');
+
+const WIDTH = 400;
+const HEIGHT = 600;
+const TITLE_LINE_CHARS = 12;
+const MAX_TITLE_LINES = 5;
+
+/**
+ * Escapes text for use inside SVG markup.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[char]);
+}
+
+/**
+ * Converts an HSL colour to hex, since not every SVG renderer accepts hsl().
+ * @param {number} hue 0-360
+ * @param {number} saturation 0-1
+ * @param {number} lightness 0-1
+ * @returns {string} e.g. "#2a4b7c"
+ */
+function hslToHex(hue, saturation, lightness) {
+  const chroma = saturation * Math.min(lightness, 1 - lightness);
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    const value = lightness - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+/**
+ * Derives a stable hue from a show ID, so each show keeps its colour between requests.
+ * @param {string} stremioId
+ * @returns {number} 0-359
+ */
+function hueForId(stremioId) {
+  let hash = 0;
+  for (const char of stremioId) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  return hash % 360;
+}
+
+/**
+ * Greedily wraps a title into lines of about TITLE_LINE_CHARS characters.
+ * Titles that still do not fit get an ellipsis on the last line.
+ * @param {string} title
+ * @returns {string[]}
+ */
+function wrapTitle(title) {
+  const lines = [];
+  for (const word of title.split(/\s+/).filter(Boolean)) {
+    const current = lines[lines.length - 1];
+    if (current !== undefined && (current + ' ' + word).length <= TITLE_LINE_CHARS) {
+      lines[lines.length - 1] = `${current} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+  if (lines.length > MAX_TITLE_LINES) {
+    lines.length = MAX_TITLE_LINES;
+    lines[MAX_TITLE_LINES - 1] += '…';
+  }
+  return lines;
+}
+
+/**
+ * Describes a show's seasons for the badge, e.g. "SEASON 2" or "SEASONS 1-3".
+ * @param {number[]} seasons
+ * @returns {string|null}
+ */
+function seasonBadgeText(seasons) {
+  if (seasons.length === 0) {
+    return null;
+  }
+  const sorted = [...seasons].sort((a, b) => a - b);
+  return sorted.length === 1 ? `SEASON ${sorted[0]}` : `SEASONS ${sorted[0]}-${sorted[sorted.length - 1]}`;
+}
+
+/**
+ * Renders a 2:3 poster for a show that has no artwork: its title on a colour derived from its ID,
+ * with its language tags, a season badge and its year.
+ * @param {object} seriesData The `series:` hash.
+ * @returns {string} SVG markup.
+ */
+function buildTitlePosterSvg(seriesData) {
+  const hue = hueForId(seriesData.stremioId || seriesData.name || '');
+  const topColour = hslToHex(hue, 0.45, 0.32);
+  const bottomColour = hslToHex((hue + 30) % 360, 0.5, 0.12);
+  const accentColour = hslToHex(hue, 0.7, 0.72);
+
+  const title = (seriesData.baseName || (seriesData.name || '').replace(/\s*\(\d{4}\)\s*$/, '') || 'Untitled').toUpperCase();
+  const titleLines = wrapTitle(title);
+  const longestLine = Math.max(...titleLines.map(line => line.length));
+  const fontSize = Math.min(48, Math.floor((WIDTH - 60) / (longestLine * 0.62)));
+  const lineHeight = Math.round(fontSize * 1.15);
+  const titleTop = HEIGHT * 0.45 - ((titleLines.length - 1) * lineHeight) / 2;
+  const titleText = titleLines
+    .map((line, index) => `<text x="${WIDTH / 2}" y="${titleTop + index * lineHeight}" font-size="${fontSize}" font-weight="bold" text-anchor="middle" fill="#ffffff">${escapeXml(line)}</text>`)
+    .join('');
+
+  const languages = parseStoredArray(seriesData.languages).map(code => (LANGUAGE_NAMES[code] || code).toUpperCase()).slice(0, 3);
+  const tagWidth = 100;
+  const tagsLeft = (WIDTH - (languages.length * tagWidth + (languages.length - 1) * 10)) / 2;
+  const languageTags = languages
+    .map((language, index) => {
+      const x = tagsLeft + index * (tagWidth + 10);
+      return `<rect x="${x}" y="36" width="${tagWidth}" height="30" rx="15" fill="none" stroke="${accentColour}" stroke-width="2"/>`
+        + `<text x="${x + tagWidth / 2}" y="57" font-size="15" text-anchor="middle" fill="${accentColour}">${escapeXml(language)}</text>`;
+    })
+    .join('');
+
+  const badgeText = seasonBadgeText(parseStoredArray(seriesData.seasons));
+  const seasonBadge = badgeText
+    ? `<rect x="${WIDTH / 2 - 90}" y="${HEIGHT - 150}" width="180" height="40" rx="6" fill="${accentColour}"/>`
+      + `<text x="${WIDTH / 2}" y="${HEIGHT - 123}" font-size="20" font-weight="bold" text-anchor="middle" fill="${bottomColour}">${escapeXml(badgeText)}</text>`
+    : '';
+  const yearText = seriesData.year
+    ? `<text x="${WIDTH / 2}" y="${HEIGHT - 60}" font-size="26" text-anchor="middle" fill="#ffffff" fill-opacity="0.8">${escapeXml(seriesData.year)}</text>`
+    : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="DejaVu Sans, Arial, sans-serif">`
+    + `<defs><linearGradient id="bg" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="${topColour}"/><stop offset="1" stop-color="${bottomColour}"/></linearGradient></defs>`
+    + `<rect width="${WIDTH}" height="${HEIGHT}" fill="url(#bg)"/>`
+    + `<rect x="20" y="20" width="${WIDTH - 40}" height="${HEIGHT - 40}" fill="none" stroke="${accentColour}" stroke-opacity="0.35" stroke-width="2"/>`
+    + languageTags + titleText + seasonBadge + yearText
+    + '</svg>';
+}
+
+module.exports = {
+  buildTitlePosterSvg
+};
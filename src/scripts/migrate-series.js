@@ -0,0 +1,21 @@
+const redisClient = require('../redis.js');
+const { logger } = require('../utils/logger.js');
+const { migrateToSeries } = require('../store/migrateSeries.js');
+
+/**
+ * One-off command that converts the legacy per-season `movie:` records and their
+ * `stream:` records to `series:`/`episode:`/`stream:` records and rebuilds the indexes.
+ * Usage: npm run migrate-series
+ */
+(async () => {
+  let exitCode = 0;
+  try {
+    await migrateToSeries();
+  } catch (error) {
+    logger.error('Failed to migrate shows to series records:', error);
+    exitCode = 1;
+  } finally {
+    await redisClient.quit();
+  }
+  process.exit(exitCode);
+})();
@@ -0,0 +1,23 @@
+const redisClient = require('../redis.js');
+const { logger } = require('../utils/logger.js');
+const { rebuildIndexes } = require('../store/indexes.js');
+
+/**
+ * One-off command that rebuilds the Redis secondary indexes from existing
+ * `series:`, `episode:`, `stream:` and `thread:` hashes. With --revisit-threads, every thread
+ * is also made due for a revisit, which corrects the episode release dates (`firstSeen`) stored
+ * before they were taken from the forum posts.
+ * Usage: npm run rebuild-indexes [-- --revisit-threads]
+ */
+(async () => {
+  let exitCode = 0;
+  try {
+    await rebuildIndexes({ revisitThreads: process.argv.includes('--revisit-threads') });
+  } catch (error) {
+    logger.error('Failed to rebuild Redis indexes:', error);
+    exitCode = 1;
+  } finally {
+    await redisClient.quit();
+  }
+  process.exit(exitCode);
+})();
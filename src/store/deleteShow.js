@@ -0,0 +1,106 @@
+const redisClient = require('../redis.js');
+const { logger } = require('../utils/logger.js');
+const { RecordPrefixes, seriesKey, threadKey } = require('./schema.js');
+const {
+  IndexKeys,
+  buildShowGroupKey,
+  releaseShowGroup,
+  getEpisodeKeysForShow,
+  getStreamKeysForShow,
+  getThreadIdsForShow,
+  showThreadsIndexKey,
+  removeShowFromCatalogIndexes,
+  hgetallMany,
+  scanKeys
+} = require('./indexes.js');
+const { clearPosterCache } = require('../posters/cache.js');
+const { forgetSubtitleSources } = require('../subtitles/index.js');
+
+/**
+ * Finds the forum threads whose streams were saved on a series.
+ * @param {string} stremioId The series' Stremio ID.
+ * @returns {Promise<Array<{threadId: string, url: string}>>}
+ */
+async function getThreadsForShow(stremioId) {
+  const threadIds = await getThreadIdsForShow(stremioId);
+  const records = await hgetallMany(threadIds.map(threadId => threadKey(threadId)));
+  // The set may still name threads that were deleted or moved to another series since
+  return threadIds
+    .map((threadId, index) => ({ threadId, threadData: records[index] }))
+    .filter(({ threadData }) => threadData && threadData.seriesId === stremioId && threadData.url)
+    .map(({ threadId, threadData }) => ({ threadId, url: threadData.url }));
+}
+
+/**
+ * Deletes a series with its episodes, streams, subtitles and threads, and removes it from every index.
+ * Its threads are forgotten too, so the series only comes back if one of them is discovered again
+ * on a crawled forum page.
+ * @param {string} stremioId The series' Stremio ID.
+ * @returns {Promise<{episodes: number, streams: number, subtitles: number, threads: string[]}|null>}
+ *   What was deleted, with the URLs of the deleted threads, or null if there is no such series.
+ */
+async function deleteShow(stremioId) {
+  const seriesData = await redisClient.hgetall(seriesKey(stremioId));
+  if (!seriesData || !seriesData.stremioId) {
+    return null;
+  }
+
+  const [episodeKeys, streamKeys, threads] = await Promise.all([
+    getEpisodeKeysForShow(stremioId),
+    getStreamKeysForShow(stremioId),
+    getThreadsForShow(stremioId)
+  ]);
+  const subtitleKeys = [];
+  await scanKeys(`${RecordPrefixes.SUBTITLE}${stremioId}:*`, async (keys) => {
+    subtitleKeys.push(...keys);
+  });
+  const subtitleSources = (await hgetallMany(subtitleKeys)).filter(Boolean).map(subtitleData => subtitleData.sourceUrl).filter(Boolean);
+
+  // Found by pattern, so sets of episodes the series no longer lists are dropped as well
+  const perEpisodeIndexKeys = [];
+  for (const prefix of [IndexKeys.EPISODE_STREAMS_PREFIX, IndexKeys.EPISODE_SUBTITLES_PREFIX]) {
+    await scanKeys(`${prefix}${stremioId}:*`, async (keys) => {
+      perEpisodeIndexKeys.push(...keys);
+    });
+  }
+
+  const pipeline = redisClient.pipeline();
+  [...episodeKeys, ...streamKeys, ...subtitleKeys, ...perEpisodeIndexKeys].forEach(key => pipeline.del(key));
+  threads.forEach(({ threadId }) => {
+    pipeline.del(threadKey(threadId));
+    pipeline.zrem(IndexKeys.THREADS_BY_REVISIT, threadId);
+    pipeline.srem(IndexKeys.THREADS_WITH_WARNINGS, threadId);
+  });
+  pipeline.del(
+    seriesKey(stremioId),
+    `${IndexKeys.EPISODES_PREFIX}${stremioId}`,
+    `${IndexKeys.STREAMS_PREFIX}${stremioId}`,
+    showThreadsIndexKey(stremioId)
+  );
+  pipeline.srem(IndexKeys.HIDDEN_SHOWS, stremioId);
+  await pipeline.exec();
+  await removeShowFromCatalogIndexes(stremioId);
+
+  if (seriesData.baseName) {
+    await releaseShowGroup(buildShowGroupKey(seriesData.baseName), stremioId);
+  }
+  // Only release the IMDb mapping if it still points at this series
+  if (seriesData.imdbId && await redisClient.hget(IndexKeys.SHOWS_BY_IMDB_ID, seriesData.imdbId) === stremioId) {
+    await redisClient.hdel(IndexKeys.SHOWS_BY_IMDB_ID, seriesData.imdbId);
+  }
+  await clearPosterCache(stremioId);
+  await forgetSubtitleSources(subtitleSources);
+
+  logger.info(`Deleted series ${stremioId}: ${episodeKeys.length} episodes, ${streamKeys.length} streams, ${subtitleKeys.length} subtitles, ${threads.length} threads.`);
+  return {
+    episodes: episodeKeys.length,
+    streams: streamKeys.length,
+    subtitles: subtitleKeys.length,
+    threads: threads.map(({ url }) => url)
+  };
+}
+
+module.exports = {
+  getThreadsForShow,
+  deleteShow
+};
@@ -0,0 +1,780 @@
+const redisClient = require('../redis.js');
+const { config } = require('../config.js');
+const { logger } = require('../utils/logger.js');
+const { SearchKeys, indexShowForSearch, removeShowFromSearch } = require('./searchIndex.js');
+const { phoneticKey } = require('../parser/transliteration.js');
+const { deriveShowGenres, parseStoredArray, showYear } = require('../parser/genres.js');
+const { RecordPrefixes, episodeKey, seriesKey, threadKey } = require('./schema.js');
+
+/**
+ * Secondary index keys maintained alongside the primary `series:`, `episode:`, `stream:` and
+ * `thread:` hashes (see schema.js).
+ * Handlers and the crawler read through these instead of scanning the keyspace with KEYS.
+ * @enum {string}
+ */
+const IndexKeys = {
+  SHOWS_BY_UPDATED: 'index:shows', // ZSET: stremioId scored by lastUpdated (ms)
+  SHOWS_BY_EPISODE_ADDED: 'index:shows:episodes', // ZSET: stremioId scored by when its newest stream was first saved (ms)
+  SHOWS_BY_STARTED: 'index:shows:started', // ZSET: stremioId scored by threadStartedTime (ms)
+  LANGUAGE_PREFIX: 'index:lang:', // ZSET per language code: stremioId scored by lastUpdated (ms)
+  GENRE_PREFIX: 'index:genre:', // ZSET per genre label: stremioId scored by lastUpdated (ms)
+  GENRES: 'index:genres', // SET: every genre label that has at least one show
+  INTERSECTION_PREFIX: 'tmp:intersect:', // Short-lived ZSETs holding a show index filtered by genre
+  STREAMS_PREFIX: 'index:streams:', // SET per show: stream hash keys
+  EPISODES_PREFIX: 'index:episodes:', // SET per show: episode hash keys
+  EPISODE_STREAMS_PREFIX: 'index:episode:', // SET per show episode: stream hash keys of its quality variants
+  EPISODE_SUBTITLES_PREFIX: 'index:subtitles:', // SET per show episode: subtitle hash keys
+  SHOW_THREADS_PREFIX: 'index:showthreads:', // SET per show: threadIds whose streams were saved on it
+  THREADS_BY_REVISIT: 'index:threads:revisit', // ZSET: threadId scored by next revisit time (ms)
+  SHOW_GROUP_PREFIX: 'index:showgroups:', // HASH per phonetic grouping key: stremioId -> year of the show's first season
+  SHOWS_BY_IMDB_ID: 'index:imdb', // HASH: external IMDb ID -> stremioId of the series mapped to it
+  HIDDEN_SHOWS: 'index:shows:hidden', // SET: stremioIds an admin hid from the catalogs and search; not derived, so rebuilds keep it
+  THREADS_WITH_WARNINGS: 'index:threads:warnings', // SET: threadIds whose last visit recorded parse warnings
+};
+
+// Show groups used to be a STRING naming a single owner, whatever its year
+const LEGACY_SHOW_GROUP_PREFIX = 'index:showgroup:';
+// How many years a thread's year may differ from a show's and still be the same season run
+const SHOW_YEAR_TOLERANCE = 1;
+
+const SCAN_BATCH_SIZE = 500;
+const INTERSECTION_TTL_SECONDS = 60;
+
+/**
+ * Builds the key of the per-show stream set.
+ * @param {string} stremioId The show's Stremio ID.
+ * @returns {string}
+ */
+function streamsIndexKey(stremioId) {
+  return `${IndexKeys.STREAMS_PREFIX}${stremioId}`;
+}
+
+/**
+ * Builds the key of the per-show episode set.
+ * @param {string} stremioId The show's Stremio ID.
+ * @returns {string}
+ */
+function episodesIndexKey(stremioId) {
+  return `${IndexKeys.EPISODES_PREFIX}${stremioId}`;
+}
+
+/**
+ * Builds the key of the per-episode stream set.
+ * @param {string} stremioId The show's Stremio ID.
+ * @param {number|string} season The season number.
+ * @param {number|string} episode The episode number.
+ * @returns {string}
+ */
+function episodeStreamsIndexKey(stremioId, season, episode) {
+  return `${IndexKeys.EPISODE_STREAMS_PREFIX}${stremioId}:${season}:${episode}`;
+}
+
+/**
+ * Builds the key of the per-episode subtitle set.
+ * @param {string} stremioId The show's Stremio ID.
+ * @param {number|string} season The season number.
+ * @param {number|string} episode The episode number.
+ * @returns {string}
+ */
+function episodeSubtitlesIndexKey(stremioId, season, episode) {
+  return `${IndexKeys.EPISODE_SUBTITLES_PREFIX}${stremioId}:${season}:${episode}`;
+}
+
+/**
+ * Builds the key of the per-show thread set.
+ * @param {string} stremioId The show's Stremio ID.
+ * @returns {string}
+ */
+function showThreadsIndexKey(stremioId) {
+  return `${IndexKeys.SHOW_THREADS_PREFIX}${stremioId}`;
+}
+
+/**
+ * Builds the key of the per-language show index.
+ * @param {string} languageCode Language code as produced by parseTitle (e.g. 'ta').
+ * @returns {string}
+ */
+function languageIndexKey(languageCode) {
+  return `${IndexKeys.LANGUAGE_PREFIX}${languageCode}`;
+}
+
+/**
+ * Builds the key of the per-genre show index.
+ * @param {string} genre Genre label (e.g. 'Malayalam', '1080p', '2024').
+ * @returns {string}
+ */
+function genreIndexKey(genre) {
+  return `${IndexKeys.GENRE_PREFIX}${genre}`;
+}
+
+/**
+ * Records a show in the lastUpdated index.
+ * @param {string} stremioId The show's Stremio ID.
+ * @param {Date|string|number} lastUpdated When the show was last updated.
+ * @returns {Promise<void>}
+ */
+async function indexShow(stremioId, lastUpdated) {
+  const score = new Date(lastUpdated).getTime() || 0;
+  await redisClient.zadd(IndexKeys.SHOWS_BY_UPDATED, score, stremioId);
+}
+
+/**
+ * Records when a show's thread was started. Only the first value is kept.
+ * @param {string} stremioId The show's Stremio ID.
+ * @param {Date|string|number} startedAt The thread start time.
+ * @returns {Promise<void>}
+ */
+async function indexShowStarted(stremioId, startedAt) {
+  const score = new Date(startedAt).getTime() || 0;
+  await redisClient.zadd(IndexKeys.SHOWS_BY_STARTED, 'NX', score, stremioId);
+}
+
+/**
+ * Records a show under each of its audio languages.
+ * @param {string} stremioId The show's Stremio ID.
+ * @param {string[]} languageCodes Language codes stored on the show.
+ * @param {Date|string|number} lastUpdated When the show was last updated.
+ * @returns {Promise<void>}
+ */
+async function indexShowLanguages(stremioId, languageCodes, lastUpdated) {
+  const score = new Date(lastUpdated).getTime() || 0;
+  for (const languageCode of languageCodes) {
+    await redisClient.zadd(languageIndexKey(languageCode), score, stremioId);
+  }
+}
+
+/**
+ * Records a show under each of its genre labels and registers the labels as filter options.
+ * @param {string} stremioId The show's Stremio ID.
+ * @param {string[]} genres Genre labels derived for the show.
+ * @param {Date|string|number} lastUpdated When the show was last updated.
+ * @returns {Promise<void>}
+ */
+async function indexShowGenres(stremioId, genres, lastUpdated) {
+  if (genres.length === 0) {
+    return;
+  }
+  const score = new Date(lastUpdated).getTime() || 0;
+  for (const genre of genres) {
+    await redisClient.zadd(genreIndexKey(genre), score, stremioId);
+  }
+  await redisClient.sadd(IndexKeys.GENRES, ...genres);
+}
+
+/**
+ * Returns every genre label that has been indexed.
+ * @returns {Promise<string[]>}
+ */
+async function getIndexedGenres() {
+  return redisClient.smembers(IndexKeys.GENRES);
+}
+
+/**
+ * Narrows a show index to the shows carrying a genre, keeping the original index's scores.
+ * The result is stored in a short-lived key that can be paged like any other show index.
+ * @param {string} indexKey The show index to filter.
+ * @param {string} genre The genre label to keep.
+ * @returns {Promise<string>} Key of the filtered sorted set.
+ */
+async function filterShowIndexByGenre(indexKey, genre) {
+  const destination = `${IndexKeys.INTERSECTION_PREFIX}${indexKey}|${genre}`;
+  await redisClient.zinterstore(destination, 2, indexKey, genreIndexKey(genre), 'WEIGHTS', 1, 0);
+  await redisClient.expire(destination, INTERSECTION_TTL_SECONDS);
+  return destination;
+}
+
+/**
+ * Narrows a show index to the shows carrying any of several audio languages, keeping the
+ * original index's scores. Like filterShowIndexByGenre, the result is a short-lived key.
+ * @param {string} indexKey The show index to filter.
+ * @param {string[]} languageCodes Language codes to keep; a show needs only one of them.
+ * @returns {Promise<string>} Key of the filtered sorted set.
+ */
+async function filterShowIndexByLanguages(indexKey, languageCodes) {
+  const destination = `${IndexKeys.INTERSECTION_PREFIX}${indexKey}|lang:${languageCodes.join(',')}`;
+  const unionKey = `${destination}|any`;
+  const languageKeys = languageCodes.map(languageIndexKey);
+  await redisClient.zunionstore(unionKey, languageKeys.length, ...languageKeys);
+  await redisClient.zinterstore(destination, 2, indexKey, unionKey, 'WEIGHTS', 1, 0);
+  await redisClient.expire(unionKey, INTERSECTION_TTL_SECONDS);
+  await redisClient.expire(destination, INTERSECTION_TTL_SECONDS);
+  return destination;
+}
+
+/**
+ * Attaches a stream hash key to its parent show and episode.
+ * The first time a stream is attached, the show is bumped in the recently-added-episodes index.
+ * @param {string} stremioId The parent show's Stremio ID.
+ * @param {string} streamKey The full `stream:` hash key.
+ * @param {number|string} season The stream's season number.
+ * @param {number|string} episode The stream's episode number.
+ * @param {Date|string|number} [addedAt=Date.now()] When the stream was saved.
+ * @returns {Promise<boolean>} True if the stream was not indexed before.
+ */
+async function indexStream(stremioId, streamKey, season, episode, addedAt = Date.now()) {
+  await redisClient.sadd(episodeStreamsIndexKey(stremioId, season, episode), streamKey);
+  const added = await redisClient.sadd(streamsIndexKey(stremioId), streamKey);
+  if (added > 0) {
+    await redisClient.zadd(IndexKeys.SHOWS_BY_EPISODE_ADDED, new Date(addedAt).getTime() || 0, stremioId);
+  }
+  return added > 0;
+}
+
+/**
+ * Attaches an episode hash key to its parent show.
+ * @param {string} stremioId The parent show's Stremio ID.
+ * @param {string} episodeRecordKey The full `episode:` hash key.
+ * @returns {Promise<void>}
+ */
+async function indexEpisode(stremioId, episodeRecordKey) {
+  await redisClient.sadd(episodesIndexKey(stremioId), episodeRecordKey);
+}
+
+/**
+ * Adds a subtitle record to its episode's subtitle set.
+ * @param {string} stremioId The show's Stremio ID.
+ * @param {number|string} season The season number.
+ * @param {number|string} episode The episode number.
+ * @param {string} subtitleRecordKey The `subtitle:` hash key.
+ * @returns {Promise<void>}
+ */
+async function indexSubtitle(stremioId, season, episode, subtitleRecordKey) {
+  await redisClient.sadd(episodeSubtitlesIndexKey(stremioId, season, episode), subtitleRecordKey);
+}
+
+/**
+ * Attaches a thread to the show its streams were saved on, and detaches it from the show it was
+ * saved on before, if that was another one.
+ * @param {string} stremioId The show's Stremio ID.
+ * @param {string} threadId The unique thread ID.
+ * @param {string|null} [previousStremioId] The show the thread was saved on before.
+ * @returns {Promise<void>}
+ */
+async function indexShowThread(stremioId, threadId, previousStremioId = null) {
+  if (previousStremioId && previousStremioId !== stremioId) {
+    await redisClient.srem(showThreadsIndexKey(previousStremioId), threadId);
+  }
+  await redisClient.sadd(showThreadsIndexKey(stremioId), threadId);
+}
+
+/**
+ * Schedules a thread for its next revisit.
+ * @param {string} threadId The unique thread ID.
+ * @param {Date|string|number} processedAt When the thread was last processed.
+ * @returns {Promise<void>}
+ */
+async function scheduleThreadRevisit(threadId, processedAt) {
+  const processedTime = new Date(processedAt).getTime() || 0;
+  const nextRevisit = processedTime + config.THREAD_REVISIT_HOURS * 60 * 60 * 1000;
+  await redisClient.zadd(IndexKeys.THREADS_BY_REVISIT, nextRevisit, threadId);
+}
+
+/**
+ * Builds the grouping key that decides which series records a thread may belong to.
+ * The show name is reduced to its phonetic key so romanization variants of one title
+ * ("Kadhal" / "Kaadhal") land in the same group. The year is left out: a later season is
+ * usually posted under the year it aired, so resolveShowGroupId checks it instead.
+ * @param {string} baseShowName The parsed base show name.
+ * @returns {string}
+ */
+function buildShowGroupKey(baseShowName) {
+  return phoneticKey(baseShowName);
+}
+
+/**
+ * Converts a group stored as a single-owner STRING to the per-year HASH, taking the owner's year
+ * from its series record.
+ * @param {string} groupKey Key from buildShowGroupKey.
+ * @returns {Promise<object>} The group's members, as resolveShowGroupId reads them.
+ */
+async function adoptLegacyShowGroup(groupKey) {
+  const legacyKey = `${LEGACY_SHOW_GROUP_PREFIX}${groupKey}`;
+  const ownerId = await redisClient.get(legacyKey);
+  if (!ownerId) {
+    return {};
+  }
+  const ownerYear = showYear(await redisClient.hgetall(seriesKey(ownerId)));
+  await redisClient.pipeline()
+    .hsetnx(`${IndexKeys.SHOW_GROUP_PREFIX}${groupKey}`, ownerId, ownerYear || '')
+    .del(legacyKey)
+    .exec();
+  return { [ownerId]: String(ownerYear || '') };
+}
+
+/**
+ * Resolves the Stremio ID of the show a thread belongs to among the shows of its group. A thread
+ * joins a show whose first season aired within a year of it, or, for a later season, the newest
+ * show that started before it. Otherwise it is a different show with a similar name, and
+ * `candidateId` joins the group as a show of its own.
+ * @param {string} groupKey Key from buildShowGroupKey.
+ * @param {string} candidateId The ID to use when the thread belongs to no show of the group.
+ * @param {number|null} year The thread's year.
+ * @param {number} [season=1] The thread's season.
+ * @returns {Promise<string>} The ID of the show the thread belongs to.
+ */
+async function resolveShowGroupId(groupKey, candidateId, year, season = 1) {
+  const key = `${IndexKeys.SHOW_GROUP_PREFIX}${groupKey}`;
+  let members = await redisClient.hgetall(key);
+  if (!members || Object.keys(members).length === 0) {
+    members = await adoptLegacyShowGroup(groupKey);
+  }
+  const shows = Object.entries(members).map(([stremioId, showStartYear]) => ({ stremioId, year: parseInt(showStartYear, 10) || null }));
+  const distance = show => (show.year && year ? Math.abs(show.year - year) : 0);
+  const sameShow = shows
+    .filter(show => distance(show) <= SHOW_YEAR_TOLERANCE)
+    .sort((a, b) => distance(a) - distance(b))[0];
+  if (sameShow) {
+    return sameShow.stremioId;
+  }
+  if (season > 1) {
+    const earlierShow = shows
+      .filter(show => show.year < year)
+      .sort((a, b) => b.year - a.year)[0];
+    if (earlierShow) {
+      return earlierShow.stremioId;
+    }
+  }
+  await redisClient.hsetnx(key, candidateId, year || '');
+  return candidateId;
+}
+
+/**
+ * Takes a show out of its show group, e.g. when it is deleted.
+ * @param {string} groupKey Key from buildShowGroupKey.
+ * @param {string} stremioId The show's Stremio ID.
+ * @returns {Promise<void>}
+ */
+async function releaseShowGroup(groupKey, stremioId) {
+  const legacyKey = `${LEGACY_SHOW_GROUP_PREFIX}${groupKey}`;
+  if (await redisClient.get(legacyKey) === stremioId) {
+    await redisClient.del(legacyKey);
+  }
+  await redisClient.hdel(`${IndexKeys.SHOW_GROUP_PREFIX}${groupKey}`, stremioId);
+}
+
+/**
+ * Records which series an external IMDb ID maps to, so requests for the real ID find our streams.
+ * @param {string} stremioId The series' Stremio ID.
+ * @param {string} imdbId e.g. "tt1234567".
+ * @returns {Promise<void>}
+ */
+async function indexExternalId(stremioId, imdbId) {
+  await redisClient.hset(IndexKeys.SHOWS_BY_IMDB_ID, imdbId, stremioId);
+}
+
+/**
+ * Looks up the series mapped to an external IMDb ID.
+ * @param {string} imdbId e.g. "tt1234567".
+ * @returns {Promise<string|null>} The series' Stremio ID, or null if no series is mapped to it.
+ */
+async function getShowIdForExternalId(imdbId) {
+  return redisClient.hget(IndexKeys.SHOWS_BY_IMDB_ID, imdbId);
+}
+
+/**
+ * Records whether a thread's last visit produced parse warnings.
+ * @param {string} threadId The unique thread ID.
+ * @param {boolean} hasWarnings
+ * @returns {Promise<void>}
+ */
+async function indexThreadWarnings(threadId, hasWarnings) {
+  if (hasWarnings) {
+    await redisClient.sadd(IndexKeys.THREADS_WITH_WARNINGS, threadId);
+  } else {
+    await redisClient.srem(IndexKeys.THREADS_WITH_WARNINGS, threadId);
+  }
+}
+
+/**
+ * Returns the IDs of threads whose last visit produced parse warnings.
+ * @returns {Promise<string[]>}
+ */
+async function getThreadIdsWithWarnings() {
+  return redisClient.smembers(IndexKeys.THREADS_WITH_WARNINGS);
+}
+
+/**
+ * Adds a series to the show, language, genre and search indexes from its `series:` hash,
+ * and claims its show group and IMDb mapping.
+ * @param {object} seriesData The `series:` hash.
+ * @returns {Promise<void>}
+ */
+async function indexSeriesRecord(seriesData) {
+  const lastUpdated = seriesData.lastUpdated || seriesData.threadStartedTime || 0;
+  await indexShow(seriesData.stremioId, lastUpdated);
+  await indexShowStarted(seriesData.stremioId, seriesData.threadStartedTime || lastUpdated);
+  await indexShowLanguages(seriesData.stremioId, parseStoredArray(seriesData.languages), lastUpdated);
+  await indexShowForSearch(seriesData.stremioId, seriesData.name);
+  await indexShowGenres(seriesData.stremioId, deriveShowGenres(seriesData), lastUpdated);
+  if (seriesData.baseName) {
+    await resolveShowGroupId(buildShowGroupKey(seriesData.baseName), seriesData.stremioId, showYear(seriesData));
+  }
+  if (seriesData.imdbId) {
+    await indexExternalId(seriesData.stremioId, seriesData.imdbId);
+  }
+}
+
+/**
+ * Removes a show from every index the catalogs and search read, leaving its records and
+ * per-show indexes in place.
+ * @param {string} stremioId The show's Stremio ID.
+ * @param {{languages: string[], genres: string[]}} [labels] The only language codes and genre
+ *   labels the show can be listed under, e.g. the ones a save just indexed it under. Without them
+ *   every language and genre index is scanned.
+ * @returns {Promise<void>}
+ */
+async function removeShowFromCatalogIndexes(stremioId, labels) {
+  const pipeline = redisClient.pipeline();
+  [IndexKeys.SHOWS_BY_UPDATED, IndexKeys.SHOWS_BY_STARTED, IndexKeys.SHOWS_BY_EPISODE_ADDED]
+    .forEach(indexKey => pipeline.zrem(indexKey, stremioId));
+  if (labels) {
+    labels.languages.forEach(languageCode => pipeline.zrem(languageIndexKey(languageCode), stremioId));
+    labels.genres.forEach(genre => pipeline.zrem(genreIndexKey(genre), stremioId));
+  }
+  await pipeline.exec();
+  if (labels) {
+    await removeShowFromSearch(stremioId);
+    return;
+  }
+  // Matched by pattern, so labels the show no longer lists are cleared as well
+  for (const prefix of [IndexKeys.LANGUAGE_PREFIX, IndexKeys.GENRE_PREFIX]) {
+    await scanKeys(`${prefix}*`, async (keys) => {
+      const labelPipeline = redisClient.pipeline();
+      keys.forEach(key => labelPipeline.zrem(key, stremioId));
+      await labelPipeline.exec();
+    });
+  }
+  await removeShowFromSearch(stremioId);
+}
+
+/**
+ * Tells whether an admin hid a show.
+ * @param {string} stremioId The show's Stremio ID.
+ * @returns {Promise<boolean>}
+ */
+async function isShowHidden(stremioId) {
+  return (await redisClient.sismember(IndexKeys.HIDDEN_SHOWS, stremioId)) === 1;
+}
+
+/**
+ * Hides a show from the catalogs and search. Its meta and streams keep being served, so it still
+ * plays from users' libraries, and crawls keep updating it without listing it again.
+ * @param {string} stremioId The show's Stremio ID.
+ * @returns {Promise<void>}
+ */
+async function hideShow(stremioId) {
+  await redisClient.sadd(IndexKeys.HIDDEN_SHOWS, stremioId);
+  await removeShowFromCatalogIndexes(stremioId);
+}
+
+/**
+ * Lists a hidden show in the catalogs and search again.
+ * @param {object} seriesData The show's `series:` hash.
+ * @returns {Promise<void>}
+ */
+async function unhideShow(seriesData) {
+  await redisClient.srem(IndexKeys.HIDDEN_SHOWS, seriesData.stremioId);
+  await indexSeriesRecord(seriesData);
+  const streamRecords = await hgetallMany(await getStreamKeysForShow(seriesData.stremioId));
+  const newestSavedAt = Math.max(0, ...streamRecords.filter(Boolean).map(streamData => new Date(streamData.timestamp || 0).getTime() || 0));
+  if (newestSavedAt > 0) {
+    await redisClient.zadd(IndexKeys.SHOWS_BY_EPISODE_ADDED, newestSavedAt, seriesData.stremioId);
+  }
+}
+
+/**
+ * Returns the IDs of hidden shows.
+ * @returns {Promise<string[]>}
+ */
+async function getHiddenShowIds() {
+  return redisClient.smembers(IndexKeys.HIDDEN_SHOWS);
+}
+
+/**
+ * Counts the streams of several shows in a single round trip.
+ * @param {string[]} stremioIds
+ * @returns {Promise<number[]>} Stream counts, aligned with `stremioIds`.
+ */
+async function countStreamsForShows(stremioIds) {
+  if (stremioIds.length === 0) {
+    return [];
+  }
+  const pipeline = redisClient.pipeline();
+  stremioIds.forEach(stremioId => pipeline.scard(streamsIndexKey(stremioId)));
+  const results = await pipeline.exec();
+  return results.map(([error, count]) => (error ? 0 : count));
+}
+
+/**
+ * Counts the shows in a show index.
+ * @param {string} [indexKey=IndexKeys.SHOWS_BY_UPDATED] The sorted set to count.
+ * @param {number} [minScore] Only count shows scored at or above this value.
+ * @returns {Promise<number>}
+ */
+async function countShows(indexKey = IndexKeys.SHOWS_BY_UPDATED, minScore) {
+  if (minScore === undefined) {
+    return redisClient.zcard(indexKey);
+  }
+  return redisClient.zcount(indexKey, minScore, '+inf');
+}
+
+/**
+ * Returns show IDs from a show index, highest score (newest) first.
+ * @param {number} [offset=0] Number of shows to skip.
+ * @param {number} [limit=-1] Maximum number of shows to return, or -1 for all.
+ * @param {string} [indexKey=IndexKeys.SHOWS_BY_UPDATED] The sorted set to read.
+ * @param {number} [minScore] Only return shows scored at or above this value.
+ * @returns {Promise<string[]>}
+ */
+async function getShowIdsByRecency(offset = 0, limit = -1, indexKey = IndexKeys.SHOWS_BY_UPDATED, minScore) {
+  if (minScore === undefined) {
+    const stop = limit < 0 ? -1 : offset + limit - 1;
+    return redisClient.zrevrange(indexKey, offset, stop);
+  }
+  return redisClient.zrevrangebyscore(indexKey, '+inf', minScore, 'LIMIT', offset, limit);
+}
+
+/**
+ * Returns every stream hash key attached to a show.
+ * @param {string} stremioId The show's Stremio ID.
+ * @returns {Promise<string[]>}
+ */
+async function getStreamKeysForShow(stremioId) {
+  return redisClient.smembers(streamsIndexKey(stremioId));
+}
+
+/**
+ * Returns every episode hash key attached to a show.
+ * @param {string} stremioId The show's Stremio ID.
+ * @returns {Promise<string[]>}
+ */
+async function getEpisodeKeysForShow(stremioId) {
+  return redisClient.smembers(episodesIndexKey(stremioId));
+}
+
+/**
+ * Returns the stream hash keys of every quality variant of one episode.
+ * @param {string} stremioId The show's Stremio ID.
+ * @param {number|string} season The season number.
+ * @param {number|string} episode The episode number.
+ * @returns {Promise<string[]>}
+ */
+async function getStreamKeysForEpisode(stremioId, season, episode) {
+  return redisClient.smembers(episodeStreamsIndexKey(stremioId, season, episode));
+}
+
+/**
+ * Returns the subtitle hash keys of one episode.
+ * @param {string} stremioId The show's Stremio ID.
+ * @param {number} season The season number.
+ * @param {number} episode The episode number.
+ * @returns {Promise<string[]>}
+ */
+async function getSubtitleKeysForEpisode(stremioId, season, episode) {
+  return redisClient.smembers(episodeSubtitlesIndexKey(stremioId, season, episode));
+}
+
+/**
+ * Returns the IDs of the threads whose streams were saved on a show.
+ * @param {string} stremioId The show's Stremio ID.
+ * @returns {Promise<string[]>}
+ */
+async function getThreadIdsForShow(stremioId) {
+  return redisClient.smembers(showThreadsIndexKey(stremioId));
+}
+
+/**
+ * Returns the IDs of threads whose revisit time has passed.
+ * @param {number} [now=Date.now()] Reference time in milliseconds.
+ * @returns {Promise<string[]>}
+ */
+async function getThreadIdsDueForRevisit(now = Date.now()) {
+  return redisClient.zrangebyscore(IndexKeys.THREADS_BY_REVISIT, '-inf', now);
+}
+
+/**
+ * Fetches several hashes in a single round trip.
+ * Missing or failed keys come back as null so callers can keep positions aligned with `keys`.
+ * @param {string[]} keys The hash keys to fetch.
+ * @returns {Promise<Array<object|null>>}
+ */
+async function hgetallMany(keys) {
+  if (keys.length === 0) {
+    return [];
+  }
+  const pipeline = redisClient.pipeline();
+  keys.forEach(key => pipeline.hgetall(key));
+  const results = await pipeline.exec();
+  return results.map(([error, data], index) => {
+    if (error) {
+      logger.warn(`Failed to read hash ${keys[index]}:`, error.message);
+      return null;
+    }
+    return data && Object.keys(data).length > 0 ? data : null;
+  });
+}
+
+/**
+ * Iterates the keyspace with SCAN, invoking a callback per batch of matching keys.
+ * @param {string} pattern The MATCH pattern.
+ * @param {function(string[]): Promise<void>} onBatch Callback for each batch.
+ * @returns {Promise<void>}
+ */
+async function scanKeys(pattern, onBatch) {
+  let cursor = '0';
+  do {
+    const [nextCursor, keys] = await redisClient.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_BATCH_SIZE);
+    cursor = nextCursor;
+    if (keys.length > 0) {
+      await onBatch(keys);
+    }
+  } while (cursor !== '0');
+}
+
+/**
+ * Rebuilds all secondary indexes, including the search index, from the primary hashes.
+ * Intended as a one-off for data written before the indexes existed; safe to re-run.
+ * @param {object} [options]
+ * @param {boolean} [options.revisitThreads=false] Make every thread due for a revisit now, e.g. so
+ *   the crawler re-dates episodes whose `firstSeen` was set to the crawl time instead of the post time.
+ * @returns {Promise<{shows: number, streams: number, threads: number}>} Counts of indexed records.
+ */
+async function rebuildIndexes({ revisitThreads = false } = {}) {
+  const counts = { shows: 0, streams: 0, threads: 0 };
+
+  logger.info('Rebuilding show and search indexes...');
+  await redisClient.del(IndexKeys.SHOWS_BY_UPDATED, IndexKeys.SHOWS_BY_STARTED, IndexKeys.SHOWS_BY_EPISODE_ADDED, IndexKeys.GENRES, IndexKeys.SHOWS_BY_IMDB_ID, SearchKeys.VOCABULARY);
+  const derivedPatterns = [IndexKeys.LANGUAGE_PREFIX, IndexKeys.GENRE_PREFIX, IndexKeys.SHOW_GROUP_PREFIX, LEGACY_SHOW_GROUP_PREFIX, SearchKeys.TOKEN_PREFIX, SearchKeys.SHOW_PREFIX];
+  for (const pattern of derivedPatterns.map(prefix => `${prefix}*`)) {
+    await scanKeys(pattern, async (keys) => {
+      await redisClient.del(...keys);
+    });
+  }
+  await scanKeys(`${RecordPrefixes.SERIES}*`, async (keys) => {
+    const records = await hgetallMany(keys);
+    for (const seriesData of records) {
+      if (seriesData && seriesData.stremioId) {
+        await indexSeriesRecord(seriesData);
+        counts.shows++;
+      }
+    }
+  });
+
+  logger.info('Rebuilding per-show episode and stream indexes...');
+  const newestStreamByShow = new Map();
+  for (const pattern of [`${IndexKeys.EPISODES_PREFIX}*`, `${IndexKeys.STREAMS_PREFIX}*`, `${IndexKeys.EPISODE_STREAMS_PREFIX}*`, `${IndexKeys.EPISODE_SUBTITLES_PREFIX}*`]) {
+    await scanKeys(pattern, async (keys) => {
+      await redisClient.del(...keys);
+    });
+  }
+  await scanKeys(`${RecordPrefixes.EPISODE}*`, async (keys) => {
+    const records = await hgetallMany(keys);
+    for (let i = 0; i < keys.length; i++) {
+      if (records[i] && records[i].seriesId) {
+        await indexEpisode(records[i].seriesId, keys[i]);
+      }
+    }
+  });
+  await scanKeys(`${RecordPrefixes.STREAM}*`, async (keys) => {
+    const records = await hgetallMany(keys);
+    for (let i = 0; i < keys.length; i++) {
+      const streamData = records[i];
+      if (streamData && streamData.parentSeriesId) {
+        const seriesId = streamData.parentSeriesId;
+        const season = streamData.seasonNumber || 1;
+        const episode = streamData.episodeNumber || 1;
+        await indexStream(seriesId, keys[i], season, episode);
+        // Streams always belong to an episode record, even if that record was lost
+        await indexEpisode(seriesId, episodeKey(seriesId, season, episode));
+        const savedAt = new Date(streamData.timestamp || 0).getTime() || 0;
+        newestStreamByShow.set(seriesId, Math.max(newestStreamByShow.get(seriesId) || 0, savedAt));
+        counts.streams++;
+      }
+    }
+  });
+  await scanKeys(`${RecordPrefixes.SUBTITLE}*`, async (keys) => {
+    const records = await hgetallMany(keys);
+    for (let i = 0; i < keys.length; i++) {
+      if (records[i] && records[i].seriesId) {
+        await indexSubtitle(records[i].seriesId, records[i].season, records[i].episode, keys[i]);
+      }
+    }
+  });
+  // indexStream stamps the rebuild time, so restore each show's newest original stream save time
+  for (const [stremioId, savedAt] of newestStreamByShow) {
+    await redisClient.zadd(IndexKeys.SHOWS_BY_EPISODE_ADDED, savedAt, stremioId);
+  }
+
+  // Hidden shows were indexed like any other above; take them out of the catalogs again
+  for (const stremioId of await getHiddenShowIds()) {
+    await removeShowFromCatalogIndexes(stremioId);
+  }
+
+  logger.info('Rebuilding thread revisit, warning and show indexes...');
+  await redisClient.del(IndexKeys.THREADS_BY_REVISIT, IndexKeys.THREADS_WITH_WARNINGS);
+  await scanKeys(`${IndexKeys.SHOW_THREADS_PREFIX}*`, async (keys) => {
+    await redisClient.del(...keys);
+  });
+  await scanKeys(threadKey('*'), async (keys) => {
+    const records = await hgetallMany(keys);
+    for (let i = 0; i < keys.length; i++) {
+      if (records[i]) {
+        const threadId = keys[i].slice(RecordPrefixes.THREAD.length);
+        // Threads that were never stamped are scheduled immediately
+        await scheduleThreadRevisit(threadId, revisitThreads ? 0 : records[i].timestamp || 0);
+        await indexThreadWarnings(threadId, parseStoredArray(records[i].warnings).length > 0);
+        if (records[i].seriesId) {
+          await indexShowThread(records[i].seriesId, threadId);
+        }
+        counts.threads++;
+      }
+    }
+  });
+
+  logger.info(`Index rebuild complete: ${counts.shows} shows, ${counts.streams} streams, ${counts.threads} threads.`);
+  return counts;
+}
+
+module.exports = {
+  IndexKeys,
+  languageIndexKey,
+  genreIndexKey,
+  showThreadsIndexKey,
+  indexShow,
+  indexShowStarted,
+  indexShowLanguages,
+  indexShowGenres,
+  getIndexedGenres,
+  filterShowIndexByGenre,
+  filterShowIndexByLanguages,
+  indexStream,
+  indexEpisode,
+  indexSubtitle,
+  indexShowThread,
+  scheduleThreadRevisit,
+  indexThreadWarnings,
+  getThreadIdsWithWarnings,
+  indexSeriesRecord,
+  removeShowFromCatalogIndexes,
+  isShowHidden,
+  hideShow,
+  unhideShow,
+  getHiddenShowIds,
+  countStreamsForShows,
+  buildShowGroupKey,
+  resolveShowGroupId,
+  releaseShowGroup,
+  indexExternalId,
+  getShowIdForExternalId,
+  countShows,
+  getShowIdsByRecency,
+  getStreamKeysForShow,
+  getEpisodeKeysForShow,
+  getStreamKeysForEpisode,
+  getSubtitleKeysForEpisode,
+  getThreadIdsForShow,
+  getThreadIdsDueForRevisit,
+  hgetallMany,
+  scanKeys,
+  rebuildIndexes
+};
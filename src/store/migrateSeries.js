@@ -0,0 +1,188 @@
+const redisClient = require('../redis.js');
+const { logger } = require('../utils/logger.js');
+const { isPlausibleYear, parseStoredArray } = require('../parser/genres.js');
+const { normalizeTitle, cleanBaseTitleForCatalog } = require('../parser/title.js');
+const { seriesKey, episodeKey, streamKey, threadKey } = require('./schema.js');
+const { buildShowGroupKey, resolveShowGroupId, hgetallMany, scanKeys, rebuildIndexes } = require('./indexes.js');
+
+const LEGACY_SHOW_PREFIX = 'movie:';
+// Legacy show-season records were titled "Name (Year) S01"
+const LEGACY_TITLE_REGEX = /^(.*) \((\d{4})\) S(\d+)$/;
+
+/**
+ * Splits a legacy `movie:` record title back into its parts.
+ * @param {object} movieData The legacy `movie:` hash.
+ * @returns {{baseName: string, year: number, season: number}}
+ */
+function parseLegacyTitle(movieData) {
+  const title = movieData.originalTitle || '';
+  const match = title.match(LEGACY_TITLE_REGEX);
+  const startedYear = new Date(movieData.threadStartedTime).getFullYear();
+  if (match) {
+    const titleYear = parseInt(match[2], 10);
+    return { baseName: match[1], year: isPlausibleYear(titleYear) ? titleYear : startedYear, season: parseInt(match[3], 10) };
+  }
+  const storedYear = parseInt(movieData.year, 10);
+  const year = isPlausibleYear(storedYear) ? storedYear : startedYear;
+  const season = parseStoredArray(movieData.seasons)[0] || 1;
+  return { baseName: title, year: year, season: season };
+}
+
+/**
+ * Merges the legacy show-season records of one show into its series record.
+ * The lowest season supplies the series name, year, poster and source thread.
+ * @param {string} seriesId The show's Stremio ID, from resolveShowGroupId.
+ * @param {Array<{movieData: object, baseName: string, year: number, season: number}>} seasons The show's records.
+ * @returns {object} The `series:` hash to write.
+ */
+function mergeLegacySeasons(seriesId, seasons) {
+  seasons.sort((a, b) => a.season - b.season);
+  const first = seasons[0];
+  const union = field => Array.from(new Set(seasons.flatMap(({ movieData }) => parseStoredArray(movieData[field]))));
+  const times = field => seasons
+    .map(({ movieData }) => new Date(movieData[field]).getTime())
+    .filter(time => !isNaN(time));
+  const name = cleanBaseTitleForCatalog(first.baseName, first.year);
+  const posterSource = seasons.find(({ movieData }) => movieData.posterUrl);
+
+  return {
+    name: name,
+    baseName: first.baseName,
+    posterUrl: posterSource ? posterSource.movieData.posterUrl : '',
+    stremioId: seriesId,
+    lastUpdated: new Date(Math.max(...times('lastUpdated'), 0)).toISOString(),
+    associatedThreadId: first.movieData.associatedThreadId || '',
+    threadStartedTime: new Date(Math.min(...times('threadStartedTime'), Date.now())).toISOString(),
+    languages: JSON.stringify(union('languages')),
+    seasons: JSON.stringify(Array.from(new Set([...union('seasons'), ...seasons.map(({ season }) => season)])).sort((a, b) => a - b)),
+    qualityTiers: JSON.stringify(union('qualityTiers')),
+    platforms: JSON.stringify(union('platforms')),
+    year: first.year.toString(),
+  };
+}
+
+/**
+ * Converts the legacy per-season `movie:` records and their `stream:` records to the
+ * series → episode → stream schema, then rebuilds every secondary index.
+ * Safe to re-run: records already in the new schema are left alone.
+ * @returns {Promise<{series: number, episodes: number, streams: number}>} Counts of migrated records.
+ */
+async function migrateToSeries() {
+  const counts = { series: 0, episodes: 0, streams: 0 };
+
+  logger.info('Reading legacy show-season records...');
+  /** @type {Array<{movieData: object, baseName: string, year: number, season: number}>} */
+  const legacySeasons = [];
+  const legacyShowKeys = [];
+  await scanKeys(`${LEGACY_SHOW_PREFIX}*`, async (keys) => {
+    const records = await hgetallMany(keys);
+    records.forEach((movieData, index) => {
+      legacyShowKeys.push(keys[index]);
+      if (movieData && movieData.stremioId) {
+        legacySeasons.push({ movieData, ...parseLegacyTitle(movieData) });
+      }
+    });
+  });
+
+  // Resolved like crawled threads, first seasons first, so a later season finds the show it continues
+  // and a different show with a similar name gets a series of its own
+  legacySeasons.sort((a, b) => a.season - b.season || a.year - b.year);
+  /** @type {Map<string, Array<{movieData: object, baseName: string, year: number, season: number}>>} */
+  const seasonsBySeries = new Map();
+  for (const legacySeason of legacySeasons) {
+    const seriesId = await resolveShowGroupId(
+      buildShowGroupKey(legacySeason.baseName),
+      `tt${normalizeTitle(cleanBaseTitleForCatalog(legacySeason.baseName, legacySeason.year))}`,
+      legacySeason.year,
+      legacySeason.season
+    );
+    if (!seasonsBySeries.has(seriesId)) {
+      seasonsBySeries.set(seriesId, []);
+    }
+    seasonsBySeries.get(seriesId).push(legacySeason);
+  }
+
+  /** @type {Map<string, {seriesId: string, season: number}>} */
+  const seriesByLegacyId = new Map();
+  for (const [seriesId, seasons] of seasonsBySeries) {
+    const seriesData = mergeLegacySeasons(seriesId, seasons);
+    const existing = await redisClient.hgetall(seriesKey(seriesData.stremioId));
+    if (existing && Object.keys(existing).length > 0) {
+      // A crawl under the new schema already created this series; keep its fields and fold in the seasons
+      const mergedSeasons = new Set([...parseStoredArray(existing.seasons), ...parseStoredArray(seriesData.seasons)]);
+      seriesData.seasons = JSON.stringify(Array.from(mergedSeasons).sort((a, b) => a - b));
+      await redisClient.hmset(seriesKey(seriesData.stremioId), { ...seriesData, ...existing, seasons: seriesData.seasons });
+    } else {
+      await redisClient.hmset(seriesKey(seriesData.stremioId), seriesData);
+    }
+    for (const { movieData, season } of seasons) {
+      seriesByLegacyId.set(movieData.stremioId, { seriesId: seriesData.stremioId, season });
+      if (movieData.associatedThreadId && await redisClient.exists(threadKey(movieData.associatedThreadId))) {
+        await redisClient.hset(threadKey(movieData.associatedThreadId), 'seriesId', seriesData.stremioId);
+      }
+    }
+    counts.series++;
+  }
+
+  logger.info('Moving legacy streams under episode records...');
+  /** @type {Map<string, {seriesId: string, season: number, episode: number, firstSeen: number, lastUpdated: number}>} */
+  const episodes = new Map();
+  await scanKeys('stream:*', async (keys) => {
+    const records = await hgetallMany(keys);
+    for (let i = 0; i < keys.length; i++) {
+      const streamData = records[i];
+      // Streams written under the new schema carry parentSeriesId instead
+      if (!streamData || !streamData.parentMovieId || !streamData.infoHash) {
+        continue;
+      }
+      const target = seriesByLegacyId.get(streamData.parentMovieId);
+      if (!target) {
+        logger.warn(`Stream ${keys[i]} belongs to unknown show ${streamData.parentMovieId}. Leaving it in place.`);
+        continue;
+      }
+      const season = parseInt(streamData.seasonNumber, 10) || target.season;
+      const episode = parseInt(streamData.episodeNumber, 10) || 1;
+      const { parentMovieId, ...fields } = streamData;
+      const newKey = streamKey(target.seriesId, season, episode, streamData.infoHash);
+      await redisClient.hmset(newKey, { ...fields, parentSeriesId: target.seriesId, seasonNumber: season.toString(), episodeNumber: episode.toString() });
+      if (newKey !== keys[i]) {
+        await redisClient.del(keys[i]);
+      }
+
+      const savedAt = new Date(streamData.timestamp).getTime() || Date.now();
+      const recordKey = episodeKey(target.seriesId, season, episode);
+      const known = episodes.get(recordKey);
+      if (known) {
+        known.firstSeen = Math.min(known.firstSeen, savedAt);
+        known.lastUpdated = Math.max(known.lastUpdated, savedAt);
+      } else {
+        episodes.set(recordKey, { seriesId: target.seriesId, season, episode, firstSeen: savedAt, lastUpdated: savedAt });
+      }
+      counts.streams++;
+    }
+  });
+
+  for (const [recordKey, episodeData] of episodes) {
+    await redisClient.hmset(recordKey, {
+      seriesId: episodeData.seriesId,
+      season: episodeData.season.toString(),
+      episode: episodeData.episode.toString(),
+      lastUpdated: new Date(episodeData.lastUpdated).toISOString(),
+    });
+    // Legacy streams predate anything crawled since, so the earlier sighting wins
+    const crawledFirstSeen = await redisClient.hget(recordKey, 'firstSeen');
+    const firstSeen = crawledFirstSeen ? Math.min(new Date(crawledFirstSeen).getTime(), episodeData.firstSeen) : episodeData.firstSeen;
+    await redisClient.hset(recordKey, 'firstSeen', new Date(firstSeen).toISOString());
+    counts.episodes++;
+  }
+
+  if (legacyShowKeys.length > 0) {
+    await redisClient.del(...legacyShowKeys);
+  }
+
+  logger.info(`Migrated ${counts.series} series, ${counts.episodes} episodes and ${counts.streams} streams. Rebuilding indexes...`);
+  await rebuildIndexes();
+  return counts;
+}
+
+module.exports = { migrateToSeries };
@@ -0,0 +1,82 @@
+/**
+ * Primary record keys. A series holds every season of a show, each episode has its own
+ * record underneath it, and every quality variant of an episode is a stream record:
+ *
+ *   series:<seriesId>                           HASH  name, baseName, year, posterUrl, seasons, ...
+ *   episode:<seriesId>:<season>:<episode>       HASH  seriesId, season, episode, firstSeen, lastUpdated, [title]
+ *   stream:<seriesId>:<season>:<episode>:<hash> HASH  parentSeriesId, infoHash, name, title, ...
+ *   thread:<threadId>                           HASH  url, timestamp, status, seriesId, warnings
+ *   subtitle:<seriesId>:<season>:<episode>:<id> HASH  seriesId, season, episode, lang, fileName, content, sourceUrl
+ *
+ * The secondary indexes over these records live in indexes.js.
+ * @enum {string}
+ */
+const RecordPrefixes = {
+  SERIES: 'series:',
+  EPISODE: 'episode:',
+  STREAM: 'stream:',
+  THREAD: 'thread:',
+  SUBTITLE: 'subtitle:',
+};
+
+/**
+ * Builds the key of a series record.
+ * @param {string} seriesId The series' Stremio ID.
+ * @returns {string}
+ */
+function seriesKey(seriesId) {
+  return `${RecordPrefixes.SERIES}${seriesId}`;
+}
+
+/**
+ * Builds the key of an episode record.
+ * @param {string} seriesId The parent series' Stremio ID.
+ * @param {number|string} season The season number.
+ * @param {number|string} episode The episode number.
+ * @returns {string}
+ */
+function episodeKey(seriesId, season, episode) {
+  return `${RecordPrefixes.EPISODE}${seriesId}:${season}:${episode}`;
+}
+
+/**
+ * Builds the key of a stream record.
+ * @param {string} seriesId The parent series' Stremio ID.
+ * @param {number|string} season The season number.
+ * @param {number|string} episode The episode number.
+ * @param {string} infoHash The torrent info hash.
+ * @returns {string}
+ */
+function streamKey(seriesId, season, episode, infoHash) {
+  return `${RecordPrefixes.STREAM}${seriesId}:${season}:${episode}:${infoHash}`;
+}
+
+/**
+ * Builds the key of a subtitle record.
+ * @param {string} seriesId The parent series' Stremio ID.
+ * @param {number|string} season The season number.
+ * @param {number|string} episode The episode number.
+ * @param {string} subtitleId Content hash of the subtitle file.
+ * @returns {string}
+ */
+function subtitleKey(seriesId, season, episode, subtitleId) {
+  return `${RecordPrefixes.SUBTITLE}${seriesId}:${season}:${episode}:${subtitleId}`;
+}
+
+/**
+ * Builds the key of a thread record.
+ * @param {string} threadId The unique thread ID.
+ * @returns {string}
+ */
+function threadKey(threadId) {
+  return `${RecordPrefixes.THREAD}${threadId}`;
+}
+
+module.exports = {
+  RecordPrefixes,
+  seriesKey,
+  episodeKey,
+  streamKey,
+  subtitleKey,
+  threadKey
+};
@@ -0,0 +1,193 @@
+const levenshtein = require('js-levenshtein');
+const redisClient = require('../redis.js');
+const { logger } = require('../utils/logger.js');
+const { phoneticWord } = require('../parser/transliteration.js');
+
+/**
+ * Redis keys backing the token search index.
+ * @enum {string}
+ */
+const SearchKeys = {
+  VOCABULARY: 'search:vocabulary', // ZSET (all scores 0): every indexed token, queried lexicographically for prefixes
+  TOKEN_PREFIX: 'search:token:', // SET per token: show IDs containing the token
+  SHOW_PREFIX: 'search:show:', // SET per show: tokens indexed for the show, used to drop stale tokens on reindex
+};
+
+const MIN_TOKEN_LENGTH = 2;
+const MIN_PREFIX_LENGTH = 2;
+
+// Relative weight of each kind of token match
+const EXACT_MATCH_SCORE = 1.0;
+const PREFIX_MATCH_SCORE = 0.75;
+const FUZZY_MATCH_SCORE = 0.5;
+// Bonus applied when every query token matched the show
+const FULL_COVERAGE_BONUS = 0.5;
+
+/**
+ * @typedef {object} SearchResult
+ * @property {string} showId - The matching show's Stremio ID.
+ * @property {number} score - Relevance score; higher is better.
+ */
+
+/**
+ * Splits text into lowercase alphanumeric search tokens in their phonetic form,
+ * so romanization variants of the same word index and query as one token.
+ * @param {string} text The text to tokenize.
+ * @returns {string[]} Unique tokens in order of first appearance.
+ */
+function tokenize(text) {
+  if (!text) return [];
+  const tokens = text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .map(phoneticWord)
+    .filter(token => token.length >= MIN_TOKEN_LENGTH);
+  return Array.from(new Set(tokens));
+}
+
+/**
+ * Returns the edit distance tolerated for a query token.
+ * Short tokens must match exactly; longer ones allow one or two typos.
+ * @param {string} token The query token.
+ * @returns {number}
+ */
+function fuzzyTolerance(token) {
+  if (token.length <= 3) return 0;
+  if (token.length <= 7) return 1;
+  return 2;
+}
+
+/**
+ * Indexes (or re-indexes) a show's title for search.
+ * Tokens that no longer appear in the title are removed from the index.
+ * @param {string} showId The show's Stremio ID.
+ * @param {string} title The display title to index.
+ * @returns {Promise<void>}
+ */
+async function indexShowForSearch(showId, title) {
+  const tokens = tokenize(title);
+  const showKey = `${SearchKeys.SHOW_PREFIX}${showId}`;
+  const previousTokens = await redisClient.smembers(showKey);
+  const staleTokens = previousTokens.filter(token => !tokens.includes(token));
+
+  const pipeline = redisClient.pipeline();
+  staleTokens.forEach(token => pipeline.srem(`${SearchKeys.TOKEN_PREFIX}${token}`, showId));
+  if (staleTokens.length > 0) {
+    pipeline.srem(showKey, ...staleTokens);
+  }
+  tokens.forEach(token => {
+    pipeline.zadd(SearchKeys.VOCABULARY, 0, token);
+    pipeline.sadd(`${SearchKeys.TOKEN_PREFIX}${token}`, showId);
+  });
+  if (tokens.length > 0) {
+    pipeline.sadd(showKey, ...tokens);
+  }
+  await pipeline.exec();
+  logger.debug(`Indexed ${tokens.length} search tokens for ${showId}.`);
+}
+
+/**
+ * Removes a show from the search index. Tokens left without shows stay in the vocabulary,
+ * where they simply match nothing.
+ * @param {string} showId The show's Stremio ID.
+ * @returns {Promise<void>}
+ */
+async function removeShowFromSearch(showId) {
+  const showKey = `${SearchKeys.SHOW_PREFIX}${showId}`;
+  const tokens = await redisClient.smembers(showKey);
+  const pipeline = redisClient.pipeline();
+  tokens.forEach(token => pipeline.srem(`${SearchKeys.TOKEN_PREFIX}${token}`, showId));
+  pipeline.del(showKey);
+  await pipeline.exec();
+}
+
+/**
+ * Finds vocabulary tokens that match a query token, with the score of the best kind of match.
+ * @param {string} queryToken A single query token.
+ * @param {string[]} vocabulary All indexed tokens, loaded once per search by the caller.
+ * @returns {Promise<Map<string, number>>} Matching index tokens mapped to their match score.
+ */
+async function matchToken(queryToken, vocabulary) {
+  const matches = new Map();
+
+  if (await redisClient.exists(`${SearchKeys.TOKEN_PREFIX}${queryToken}`)) {
+    matches.set(queryToken, EXACT_MATCH_SCORE);
+  }
+
+  if (queryToken.length >= MIN_PREFIX_LENGTH) {
+    const prefixTokens = await redisClient.zrangebylex(SearchKeys.VOCABULARY, `[${queryToken}`, `[${queryToken}\xff`);
+    prefixTokens
+      .filter(token => token !== queryToken)
+      .forEach(token => matches.set(token, PREFIX_MATCH_SCORE));
+  }
+
+  const tolerance = fuzzyTolerance(queryToken);
+  if (tolerance > 0) {
+    for (const token of vocabulary) {
+      if (matches.has(token) || Math.abs(token.length - queryToken.length) > tolerance) {
+        continue;
+      }
+      const distance = levenshtein(queryToken, token);
+      if (distance <= tolerance) {
+        matches.set(token, FUZZY_MATCH_SCORE * (1 - distance / Math.max(token.length, queryToken.length)));
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Searches the token index and ranks shows by relevance.
+ * Each query token contributes the score of its best match (exact, prefix or fuzzy) for a show,
+ * and shows matching every query token get a coverage bonus.
+ * @param {string} query The raw user query.
+ * @returns {Promise<SearchResult[]>} Matching shows, most relevant first.
+ */
+async function searchShows(query) {
+  const queryTokens = tokenize(query);
+  if (queryTokens.length === 0) {
+    return [];
+  }
+
+  const vocabulary = await redisClient.zrange(SearchKeys.VOCABULARY, 0, -1);
+  /** @type {Map<string, number[]>} showId -> best score per query token */
+  const scoresByShow = new Map();
+
+  for (let i = 0; i < queryTokens.length; i++) {
+    const tokenMatches = await matchToken(queryTokens[i], vocabulary);
+    for (const [token, matchScore] of tokenMatches) {
+      const showIds = await redisClient.smembers(`${SearchKeys.TOKEN_PREFIX}${token}`);
+      for (const showId of showIds) {
+        if (!scoresByShow.has(showId)) {
+          scoresByShow.set(showId, new Array(queryTokens.length).fill(0));
+        }
+        const tokenScores = scoresByShow.get(showId);
+        tokenScores[i] = Math.max(tokenScores[i], matchScore);
+      }
+    }
+  }
+
+  const results = [];
+  for (const [showId, tokenScores] of scoresByShow) {
+    const matchedCount = tokenScores.filter(score => score > 0).length;
+    let score = tokenScores.reduce((sum, tokenScore) => sum + tokenScore, 0) / queryTokens.length;
+    if (matchedCount === queryTokens.length) {
+      score += FULL_COVERAGE_BONUS;
+    }
+    results.push({ showId, score });
+  }
+
+  results.sort((a, b) => (b.score - a.score) || a.showId.localeCompare(b.showId));
+  logger.debug(`Search for "${query}" matched ${results.length} shows.`);
+  return results;
+}
+
+module.exports = {
+  SearchKeys,
+  tokenize,
+  indexShowForSearch,
+  removeShowFromSearch,
+  searchShows
+};
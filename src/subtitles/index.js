@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const axios = require('axios');
+const AdmZip = require('adm-zip');
+const redisClient = require('../redis.js');
+const { config } = require('../config.js');
+const { logger } = require('../utils/logger.js');
+const { parseTitle, extractEpisodeNumbers, extractLanguages, LANGUAGE_MAP } = require('../parser/title.js');
+const { LANGUAGE_NAMES } = require('../parser/genres.js');
+const { subtitleKey } = require('../store/schema.js');
+const { indexSubtitle } = require('../store/indexes.js');
+
+/**
+ * @typedef {object} SubtitleAttachment
+ * @property {string} url - Download URL of the forum attachment.
+ * @property {string} fileName - Attachment name, ending in .srt or .zip.
+ */
+
+/**
+ * ISO 639-2 codes Stremio expects in subtitle `lang`, keyed by the codes parseTitle produces.
+ * @type {Object<string, string>}
+ */
+const SUBTITLE_LANGUAGE_CODES = {
+  ta: 'tam',
+  te: 'tel',
+  ml: 'mal',
+  hi: 'hin',
+  kn: 'kan',
+  en: 'eng',
+  ko: 'kor',
+  zh: 'chi',
+  ja: 'jpn',
+  pt: 'por',
+};
+const UNKNOWN_LANGUAGE = 'und';
+
+const SUBTITLE_ATTACHMENT_REGEX = /\.(?:srt|zip)$/i;
+const SRT_CUE_REGEX = /\d{1,2}:\d{2}:\d{2}[,.]\d{3}\s*-->/;
+const SOURCES_KEY = 'subtitles:sources'; // SET: attachment URLs already downloaded, so revisits skip them
+const DOWNLOAD_TIMEOUT_MS = 20000;
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const MAX_SUBTITLE_BYTES = 2 * 1024 * 1024;
+const MAX_ZIP_ENTRIES = 50;
+// Subtitle text deflates around ten to one; far beyond that an entry is built to inflate, not a subtitle
+const MAX_COMPRESSION_RATIO = 100;
+const ZIP_METHOD_STORED = 0;
+const ZIP_METHOD_DEFLATED = 8;
+
+/**
+ * Tells whether an attachment name looks like a subtitle file or a subtitle archive.
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isSubtitleAttachment(fileName) {
+  return SUBTITLE_ATTACHMENT_REGEX.test(fileName || '');
+}
+
+/**
+ * Works out a subtitle's language from its file name, using the same language names parseTitle
+ * recognizes. A trailing language token ("Show.S01E01.en.srt", "... - Tamil.srt") wins; otherwise a
+ * single language named anywhere, else English when the name carries an ESub tag.
+ * @param {string} fileName
+ * @returns {string} ISO 639-2 code, or "und" when the language cannot be told.
+ */
+function detectSubtitleLanguage(fileName) {
+  const stem = fileName.replace(/\.srt$/i, '');
+  const lastToken = (stem.split(/[.\s_\-[\]()]+/).filter(Boolean).pop() || '').toLowerCase();
+  let language = LANGUAGE_NAMES[lastToken] ? lastToken : LANGUAGE_MAP[lastToken];
+  if (!SUBTITLE_LANGUAGE_CODES[language]) {
+    // Names often also list the release's audio languages, so only an unambiguous match counts
+    const named = extractLanguages(stem).filter(code => SUBTITLE_LANGUAGE_CODES[code]);
+    language = named.length === 1 ? named[0] : (parseTitle(stem).hasESub ? 'en' : null);
+  }
+  return SUBTITLE_LANGUAGE_CODES[language] || UNKNOWN_LANGUAGE;
+}
+
+/**
+ * Decodes subtitle bytes: UTF-16 when the file starts with its byte order mark, else UTF-8.
+ * @param {Buffer} data
+ * @returns {string}
+ */
+function decodeSubtitle(data) {
+  if (data[0] === 0xff && data[1] === 0xfe) {
+    return data.toString('utf16le').replace(/^\uFEFF/, '');
+  }
+  return data.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * Inflates one archive entry, stopping at MAX_SUBTITLE_BYTES whatever size the entry header
+ * declares, since the archive itself writes the header.
+ * @param {AdmZip.IZipEntry} entry
+ * @returns {Buffer|null} The entry's bytes, or null if it is too large, inflates suspiciously far,
+ *   or cannot be read.
+ */
+function inflateZipEntry(entry) {
+  if (entry.header.encrypted) {
+    return null;
+  }
+  const compressed = entry.getCompressedData();
+  let data;
+  try {
+    if (entry.header.method === ZIP_METHOD_STORED) {
+      data = compressed;
+    } else if (entry.header.method === ZIP_METHOD_DEFLATED) {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: MAX_SUBTITLE_BYTES });
+    } else {
+      return null;
+    }
+  } catch (error) {
+    logger.warn(`Skipping archive entry ${entry.entryName}: ${error.message}`);
+    return null;
+  }
+  if (data.length > MAX_SUBTITLE_BYTES || data.length > Math.max(compressed.length, 1) * MAX_COMPRESSION_RATIO) {
+    logger.warn(`Skipping archive entry ${entry.entryName}: ${compressed.length} bytes inflate to ${data.length}`);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Expands a downloaded attachment into its subtitle files: a .srt is returned as is, a .zip is
+ * unpacked and its .srt entries returned.
+ * @param {string} fileName The attachment name.
+ * @param {Buffer} data The attachment bytes.
+ * @returns {Array<{fileName: string, data: Buffer}>}
+ */
+function expandSubtitleAttachment(fileName, data) {
+  if (!/\.zip$/i.test(fileName)) {
+    return [{ fileName, data }];
+  }
+  return new AdmZip(data).getEntries()
+    .filter(entry => !entry.isDirectory && /\.srt$/i.test(entry.entryName))
+    .slice(0, MAX_ZIP_ENTRIES)
+    .map(entry => ({ fileName: path.basename(entry.entryName), data: inflateZipEntry(entry) }))
+    .filter(file => file.data !== null);
+}
+
+/**
+ * Downloads a thread's subtitle attachments, unpacks archives and stores every subtitle file on the
+ * episode its name refers to. Attachments stored on an earlier visit are skipped.
+ * @param {string} seriesId The series the thread belongs to.
+ * @param {SubtitleAttachment[]} attachments
+ * @param {object} defaults Used when a file name does not say which episode it is for.
+ * @param {number} defaults.season The thread's season.
+ * @param {number|null} defaults.episode The thread's episode, if it only carries one.
+ * @param {string} threadUrl For error reporting.
+ * @returns {Promise<number>} The number of subtitle files stored.
+ */
+async function saveSubtitleAttachments(seriesId, attachments, defaults, threadUrl) {
+  let stored = 0;
+  for (const attachment of attachments) {
+    if (await redisClient.sismember(SOURCES_KEY, attachment.url)) {
+      continue;
+    }
+    try {
+      const response = await axios.get(attachment.url, {
+        responseType: 'arraybuffer',
+        timeout: DOWNLOAD_TIMEOUT_MS,
+        maxContentLength: MAX_ATTACHMENT_BYTES
+      });
+      const attachmentNumbers = extractEpisodeNumbers(attachment.fileName);
+      for (const file of expandSubtitleAttachment(attachment.fileName, Buffer.from(response.data))) {
+        const content = decodeSubtitle(file.data);
+        if (!SRT_CUE_REGEX.test(content)) {
+          logger.debug(`Skipping ${file.fileName} from ${attachment.fileName}: not an SRT file.`);
+          continue;
+        }
+        const fileNumbers = extractEpisodeNumbers(file.fileName);
+        const season = fileNumbers.season || attachmentNumbers.season || defaults.season;
+        const episode = fileNumbers.episode || attachmentNumbers.episode || defaults.episode;
+        if (!episode) {
+          logger.debug(`Skipping ${file.fileName} from ${attachment.fileName}: no episode number.`);
+          continue;
+        }
+        const subtitleId = crypto.createHash('sha1').update(content).digest('hex').slice(0, 12);
+        const subtitleRecordKey = subtitleKey(seriesId, season, episode, subtitleId);
+        await redisClient.hmset(subtitleRecordKey, {
+          seriesId: seriesId,
+          season: season.toString(),
+          episode: episode.toString(),
+          lang: detectSubtitleLanguage(file.fileName),
+          fileName: file.fileName,
+          content: content,
+          sourceUrl: attachment.url,
+        });
+        await indexSubtitle(seriesId, season, episode, subtitleRecordKey);
+        stored++;
+      }
+      await redisClient.sadd(SOURCES_KEY, attachment.url);
+    } catch (error) {
+      logger.error(`Error saving subtitle attachment ${attachment.fileName}:`, error);
+      logger.logToRedisErrorQueue({
+        timestamp: new Date().toISOString(),
+        level: 'ERROR',
+        message: `Error saving subtitle attachment ${attachment.fileName} for series: ${seriesId}`,
+        error: error.message,
+        url: threadUrl
+      });
+    }
+  }
+  if (stored > 0) {
+    logger.info(`Stored ${stored} subtitle files for series ${seriesId}.`);
+  }
+  return stored;
+}
+
+/**
+ * Forgets that attachments were downloaded, so the next visit of their thread stores them again.
+ * @param {string[]} sourceUrls Attachment URLs, as stored in the subtitle records' sourceUrl.
+ * @returns {Promise<void>}
+ */
+async function forgetSubtitleSources(sourceUrls) {
+  if (sourceUrls.length > 0) {
+    await redisClient.srem(SOURCES_KEY, ...sourceUrls);
+  }
+}
+
+/**
+ * Builds the URL a subtitle record is served from (see routes.js). It sits outside the SDK's
+ * `/subtitles/...json` resource path.
+ * @param {string} seriesId
+ * @param {number|string} season
+ * @param {number|string} episode
+ * @param {string} subtitleId
+ * @returns {string}
+ */
+function buildSubtitleUrl(seriesId, season, episode, subtitleId) {
+  return `${config.PUBLIC_URL}/subtitle-files/${encodeURIComponent(seriesId)}/${season}/${episode}/${subtitleId}.srt`;
+}
+
+module.exports = {
+  SUBTITLE_LANGUAGE_CODES,
+  isSubtitleAttachment,
+  detectSubtitleLanguage,
+  saveSubtitleAttachments,
+  forgetSubtitleSources,
+  buildSubtitleUrl
+};
@@ -0,0 +1,40 @@
+const express = require('express');
+const redisClient = require('../redis.js');
+const { logger } = require('../utils/logger.js');
+const { subtitleKey } = require('../store/schema.js');
+
+/**
+ * Routes serving stored subtitle files to players (see buildSubtitleUrl).
+ * @returns {express.Router}
+ */
+function createSubtitleRouter() {
+  const router = express.Router();
+
+  router.get('/subtitle-files/:seriesId/:season(\\d+)/:episode(\\d+)/:subtitleId([a-f0-9]{12}).srt', async (req, res) => {
+    const { seriesId, season, episode, subtitleId } = req.params;
+    try {
+      const content = await redisClient.hget(subtitleKey(seriesId, season, episode, subtitleId), 'content');
+      if (content === null) {
+        res.status(404).send('Subtitle not found');
+        return;
+      }
+      res.set('Content-Type', 'application/x-subrip; charset=utf-8');
+      res.set('Access-Control-Allow-Origin', '*');
+      res.send(content);
+    } catch (error) {
+      logger.error(`Error serving subtitle ${req.path}:`, error);
+      logger.logToRedisErrorQueue({
+        timestamp: new Date().toISOString(),
+        level: 'ERROR',
+        message: `Error serving subtitle ${subtitleId} for series: ${seriesId}`,
+        error: error.message,
+        url: req.path
+      });
+      res.status(500).send('Subtitle unavailable');
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSubtitleRouter };
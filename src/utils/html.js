@@ -0,0 +1,11 @@
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&#39;', '"': '&quot;' })[char]);
+}
+
+module.exports = { escapeHtml };
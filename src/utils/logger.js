@@ -1,5 +1,5 @@
 const { config, LogLevel } = require('../config.js'); // Ensure .js extension
-const redisClient = require('../redis.js'); // Ensure .js extension
+const { recordError } = require('../errors/queue.js');
 
 /**
  * Custom Logger class to manage logging levels and output.
@@ -75,7 +75,8 @@ class Logger {
   }
 
   /**
-   * Pushes a structured error message to a Redis-based error queue.
+   * Records a structured error in the Redis error queue, where repeats are grouped and counted
+   * (see errors/queue.js). Never throws: a failure to record is only printed.
    * @param {object} errorLog A structured error object.
    * @param {string} errorLog.timestamp - ISO timestamp of the error.
    * @param {string} errorLog.level - Log level of the error.
@@ -86,8 +87,7 @@ class Logger {
    */
   async logToRedisErrorQueue(errorLog) {
     try {
-      // Ensure the error object is stringified to be stored in Redis
-      await redisClient.lpush('error_queue', JSON.stringify(errorLog));
+      await recordError(errorLog);
       this.debug('Error logged to Redis error queue:', errorLog.message);
     } catch (redisError) {
       console.error('Failed to push error to Redis error queue:', redisError);
@@ -0,0 +1,61 @@
+const redisClient = require('./helpers/redis.js');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MockDebridProvider } = require('../src/debrid/mockProvider.js');
+const { checkAvailability } = require('../src/debrid/index.js');
+
+const CACHED_HASH = '0123456789ABCDEF0123456789ABCDEF01234567';
+const UNCACHED_HASH = 'f123456789abcdef0123456789abcdef01234567';
+
+test.beforeEach(async () => {
+  MockDebridProvider.downloaded.clear();
+  await redisClient.flushdb();
+});
+
+test('MockDebridProvider reports hashes starting with 0-7 as cached', async () => {
+  const provider = new MockDebridProvider('key');
+  const availability = await provider.checkAvailability([CACHED_HASH, UNCACHED_HASH]);
+  assert.deepEqual(availability, new Map([[CACHED_HASH.toLowerCase(), true], [UNCACHED_HASH, false]]));
+});
+
+test('MockDebridProvider resolves cached hashes and caches the rest on the first request', async () => {
+  const provider = new MockDebridProvider('key');
+  assert.equal(
+    await provider.resolveUrl(CACHED_HASH, { season: 1, episode: 2 }),
+    `https://mock-debrid.invalid/dl/${CACHED_HASH.toLowerCase()}/S01E02.mkv`
+  );
+  assert.equal(await provider.resolveUrl(UNCACHED_HASH, { season: 1, episode: 2 }), null);
+  assert.equal(provider.isCached(UNCACHED_HASH), true);
+  assert.equal(new MockDebridProvider('other key').isCached(UNCACHED_HASH), true);
+});
+
+test('checkAvailability asks the provider once per hash, lowercased and deduplicated', async (t) => {
+  const provider = new MockDebridProvider('key');
+  const lookup = t.mock.method(provider, 'checkAvailability');
+  const availability = await checkAvailability(provider, [CACHED_HASH, CACHED_HASH.toLowerCase(), UNCACHED_HASH]);
+
+  assert.deepEqual(availability, new Map([[CACHED_HASH.toLowerCase(), true], [UNCACHED_HASH, false]]));
+  assert.equal(lookup.mock.callCount(), 1);
+  assert.deepEqual(lookup.mock.calls[0].arguments, [[CACHED_HASH.toLowerCase(), UNCACHED_HASH]]);
+});
+
+test('checkAvailability answers from Redis for hashes checked recently', async (t) => {
+  const provider = new MockDebridProvider('key');
+  await checkAvailability(provider, [CACHED_HASH]);
+  const lookup = t.mock.method(provider, 'checkAvailability');
+
+  const availability = await checkAvailability(new MockDebridProvider('other key'), [CACHED_HASH]);
+  assert.deepEqual(availability, new Map([[CACHED_HASH.toLowerCase(), true]]));
+  await checkAvailability(provider, [CACHED_HASH, UNCACHED_HASH]);
+  assert.deepEqual(lookup.mock.calls.map(call => call.arguments[0]), [[UNCACHED_HASH]]);
+
+  const ttl = await redisClient.ttl(`debrid:availability:mock:${UNCACHED_HASH}`);
+  assert.ok(ttl > 0 && ttl <= 600);
+});
+
+test('checkAvailability does not call the provider for an empty list', async (t) => {
+  const provider = new MockDebridProvider('key');
+  const lookup = t.mock.method(provider, 'checkAvailability');
+  assert.deepEqual(await checkAvailability(provider, []), new Map());
+  assert.equal(lookup.mock.callCount(), 0);
+});
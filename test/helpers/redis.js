@@ -0,0 +1,21 @@
+const Module = require('module');
+const path = require('path');
+const RedisMock = require('ioredis-mock');
+
+/**
+ * Puts an in-memory Redis in place of src/redis.js, so the modules under test never connect to a
+ * server. Require this before anything from src; the client is shared by every module.
+ */
+const redisPath = path.resolve(__dirname, '../../src/redis.js');
+const redisClient = new RedisMock();
+redisClient.purgeRedis = async () => {
+  await redisClient.flushdb();
+};
+
+const redisModule = new Module(redisPath);
+redisModule.filename = redisPath;
+redisModule.loaded = true;
+redisModule.exports = redisClient;
+require.cache[redisPath] = redisModule;
+
+module.exports = redisClient;
@@ -0,0 +1,141 @@
+const redisClient = require('./helpers/redis.js');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  JobQueueKeys,
+  JobPriority,
+  enqueueThreadJob,
+  retryThreadJobNow,
+  reserveThreadJob,
+  completeThreadJob,
+  failThreadJob,
+  releaseActiveThreadJobs,
+  getThreadJobStats,
+  getDeadThreadJobs,
+  requeueDeadThreadJobs
+} = require('../src/crawler/jobQueue.js');
+const { logger } = require('../src/utils/logger.js');
+
+const threadUrl = id => `https://forum.example/index.php?/forums/topic/${id}-show/`;
+
+test.beforeEach(async (t) => {
+  await redisClient.flushdb();
+  // Dead-lettering logs an error
+  t.mock.method(logger, 'error', () => {});
+});
+
+test('enqueueThreadJob queues a thread once and moves it up when queued with a higher priority', async () => {
+  assert.equal(await enqueueThreadJob('1', threadUrl(1), JobPriority.REVISIT), true);
+  assert.equal(await enqueueThreadJob('1', threadUrl(1), JobPriority.REVISIT), false);
+  assert.equal(await enqueueThreadJob('1', threadUrl(1), JobPriority.NEW_THREAD), true);
+  assert.equal(await enqueueThreadJob('1', threadUrl(1), JobPriority.REVISIT), false);
+  assert.deepEqual(await getThreadJobStats(), { pending: 1, delayed: 0, active: 0, dead: 0 });
+  assert.equal((await reserveThreadJob()).priority, JobPriority.NEW_THREAD);
+});
+
+test('reserveThreadJob hands out jobs by priority, then in queue order', async () => {
+  await enqueueThreadJob('revisit', threadUrl(1), JobPriority.REVISIT);
+  await enqueueThreadJob('first', threadUrl(2), JobPriority.NEW_THREAD);
+  await enqueueThreadJob('second', threadUrl(3), JobPriority.NEW_THREAD);
+
+  const reserved = [];
+  for (let job = await reserveThreadJob(); job; job = await reserveThreadJob()) {
+    reserved.push(job.id);
+  }
+  assert.deepEqual(reserved, ['first', 'second', 'revisit']);
+  assert.deepEqual(await getThreadJobStats(), { pending: 0, delayed: 0, active: 3, dead: 0 });
+});
+
+test('a reserved job is not queued again until it is completed', async () => {
+  await enqueueThreadJob('1', threadUrl(1), JobPriority.NEW_THREAD);
+  const job = await reserveThreadJob();
+  assert.deepEqual(
+    { id: job.id, url: job.url, priority: job.priority, attempts: job.attempts },
+    { id: '1', url: threadUrl(1), priority: JobPriority.NEW_THREAD, attempts: 0 }
+  );
+  assert.equal(await enqueueThreadJob('1', threadUrl(1), JobPriority.NEW_THREAD), false);
+
+  assert.equal(await completeThreadJob('1'), true);
+  assert.equal(await completeThreadJob('1'), false);
+  assert.equal(await redisClient.exists(`${JobQueueKeys.JOB_PREFIX}1`), 0);
+  assert.equal(await enqueueThreadJob('1', threadUrl(1), JobPriority.REVISIT), true);
+});
+
+test('failThreadJob delays a job with a doubling backoff, then dead-letters it', async () => {
+  await enqueueThreadJob('1', threadUrl(1), JobPriority.NEW_THREAD);
+
+  await reserveThreadJob();
+  const before = Date.now();
+  const first = await failThreadJob('1', 'timeout');
+  assert.equal(first.deadLettered, false);
+  assert.ok(Date.parse(first.retryAt) >= before + 60 * 1000);
+  assert.deepEqual(await getThreadJobStats(), { pending: 0, delayed: 1, active: 0, dead: 0 });
+  assert.equal(await reserveThreadJob(), null);
+  assert.equal(await enqueueThreadJob('1', threadUrl(1), JobPriority.NEW_THREAD), false);
+
+  // Backoff over
+  await redisClient.zadd(JobQueueKeys.DELAYED, Date.now() - 1, '1');
+  assert.equal((await reserveThreadJob()).attempts, 1);
+  const second = await failThreadJob('1', 'timeout');
+  assert.ok(Date.parse(second.retryAt) >= before + 120 * 1000);
+
+  await redisClient.zadd(JobQueueKeys.DELAYED, Date.now() - 1, '1');
+  await reserveThreadJob();
+  assert.deepEqual(await failThreadJob('1', 'HTTP 500'), { retryAt: null, deadLettered: true });
+  assert.deepEqual(await getThreadJobStats(), { pending: 0, delayed: 0, active: 0, dead: 1 });
+  const [deadJob] = await getDeadThreadJobs();
+  assert.equal(deadJob.id, '1');
+  assert.equal(deadJob.attempts, 3);
+  assert.equal(deadJob.error, 'HTTP 500');
+});
+
+test('failThreadJob ignores a job that is no longer active', async () => {
+  await enqueueThreadJob('1', threadUrl(1), JobPriority.NEW_THREAD);
+  assert.equal(await failThreadJob('1', 'timeout'), null);
+  assert.deepEqual(await getThreadJobStats(), { pending: 1, delayed: 0, active: 0, dead: 0 });
+});
+
+test('an active job past its visibility timeout is taken back as a failed attempt', async () => {
+  await enqueueThreadJob('1', threadUrl(1), JobPriority.NEW_THREAD);
+  await reserveThreadJob();
+  await redisClient.zadd(JobQueueKeys.ACTIVE, Date.now() - 1, '1');
+
+  assert.equal(await reserveThreadJob(), null);
+  assert.deepEqual(await getThreadJobStats(), { pending: 0, delayed: 1, active: 0, dead: 0 });
+  assert.equal(await completeThreadJob('1'), false);
+});
+
+test('retryThreadJobNow makes a delayed job pending, keeping its attempts', async () => {
+  await enqueueThreadJob('1', threadUrl(1), JobPriority.NEW_THREAD);
+  await reserveThreadJob();
+  await failThreadJob('1', 'timeout');
+
+  assert.equal(await retryThreadJobNow('1', threadUrl(1)), true);
+  assert.equal((await reserveThreadJob()).attempts, 1);
+  assert.equal(await retryThreadJobNow('1', threadUrl(1)), false);
+  assert.equal(await retryThreadJobNow('2', threadUrl(2)), true);
+});
+
+test('releaseActiveThreadJobs puts interrupted jobs back without counting an attempt', async () => {
+  await enqueueThreadJob('1', threadUrl(1), JobPriority.NEW_THREAD);
+  await reserveThreadJob();
+
+  assert.equal(await releaseActiveThreadJobs(), 1);
+  assert.deepEqual(await getThreadJobStats(), { pending: 1, delayed: 0, active: 0, dead: 0 });
+  assert.equal((await reserveThreadJob()).attempts, 0);
+});
+
+test('requeueDeadThreadJobs queues dead-lettered jobs again with fresh attempts', async () => {
+  await enqueueThreadJob('1', threadUrl(1), JobPriority.REVISIT);
+  for (let attempt = 0; attempt < 3; attempt++) {
+    await redisClient.zadd(JobQueueKeys.DELAYED, Date.now() - 1, '1');
+    await reserveThreadJob();
+    await failThreadJob('1', 'timeout');
+  }
+
+  assert.equal(await requeueDeadThreadJobs(), 1);
+  assert.deepEqual(await getThreadJobStats(), { pending: 1, delayed: 0, active: 0, dead: 0 });
+  const job = await reserveThreadJob();
+  assert.equal(job.attempts, 0);
+  assert.equal(job.priority, JobPriority.REVISIT);
+});
@@ -0,0 +1,56 @@
+require('./helpers/redis.js');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePostDetails } = require('../src/parser/postDetails.js');
+
+test('parsePostDetails reads labelled lines and a labelled synopsis', () => {
+  const details = parsePostDetails([
+    '★ Starring : Kathir, Aishwarya Rajesh & Sriya Reddy',
+    'Directed by Bramma G',
+    'Genre: Crime / Thriller',
+    'Runtime - 45 Min',
+    'Platform: Prime Video',
+    'Synopsis: When a young girl goes missing in a small town during a festival, a police officer investigates.',
+    'The search uncovers secrets the town kept for years.',
+    '',
+    'Suzhal.S01E01.1080p.WEB-DL.mkv 2.1 GB',
+  ].join('\n'));
+
+  assert.deepEqual(details, {
+    synopsis: 'When a young girl goes missing in a small town during a festival, a police officer investigates. '
+      + 'The search uncovers secrets the town kept for years.',
+    cast: ['Kathir', 'Aishwarya Rajesh', 'Sriya Reddy'],
+    director: ['Bramma G'],
+    genres: ['Crime', 'Thriller'],
+    runtime: '45 Min',
+    platforms: ['Prime Video'],
+  });
+});
+
+test('parsePostDetails ends a labelled synopsis at the next label', () => {
+  const details = parsePostDetails([
+    'Story: A detective returns to his hometown to solve an old case.',
+    'Cast: Bharath, Vani Bhojan',
+  ].join('\n'));
+  assert.equal(details.synopsis, 'A detective returns to his hometown to solve an old case.');
+  assert.deepEqual(details.cast, ['Bharath', 'Vani Bhojan']);
+});
+
+test('parsePostDetails falls back to a long unlabelled paragraph for the synopsis', () => {
+  const details = parsePostDetails([
+    'Suzhal.S01E01.720p.HDRip.mkv 700 MB',
+    'A long description paragraph with no label at all which still reads like a synopsis of the show.',
+  ].join('\n'));
+  assert.equal(details.synopsis, 'A long description paragraph with no label at all which still reads like a synopsis of the show.');
+});
+
+test('parsePostDetails finds a platform mentioned inside a sentence', () => {
+  assert.deepEqual(parsePostDetails('Now streaming on Zee5 every Friday.').platforms, ['Zee5']);
+});
+
+test('parsePostDetails ignores release lines and returns empty details for an empty post', () => {
+  const empty = { synopsis: null, cast: [], director: [], genres: [], runtime: null, platforms: [] };
+  assert.deepEqual(parsePostDetails('Suzhal.S01E01.1080p.WEB-DL.x265.mkv 1.2 GB'), empty);
+  assert.deepEqual(parsePostDetails(''), empty);
+  assert.deepEqual(parsePostDetails(null), empty);
+});
@@ -0,0 +1,105 @@
+require('./helpers/redis.js');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../src/config.js');
+const { buildRankingPolicy, scoreStream, rankStreams, describeRanking } = require('../src/addon/ranking.js');
+const { parseUserConfig, SortOrders } = require('../src/addon/userConfig.js');
+
+const policy = {
+  preferredResolution: '1080p',
+  preferredSource: 'WEB-DL',
+  preferredCodec: 'x265',
+  preferredLanguages: ['ta'],
+};
+
+/**
+ * @param {object} fields
+ * @returns {object} A `stream:` hash as the crawler stores it.
+ */
+function storedStream(fields) {
+  return {
+    resolution: '1080p',
+    languages: JSON.stringify(['ta']),
+    qualityTags: JSON.stringify(['WEB-DL']),
+    codecs: JSON.stringify(['x265']),
+    audioCodecs: JSON.stringify(['DD5.1']),
+    hasESub: 'true',
+    ...fields,
+  };
+}
+
+test('buildRankingPolicy falls back to the server defaults', () => {
+  assert.deepEqual(buildRankingPolicy(parseUserConfig(undefined)), {
+    preferredResolution: config.RANKING_PREFERRED_RESOLUTION,
+    preferredSource: config.RANKING_PREFERRED_SOURCE || null,
+    preferredCodec: config.RANKING_PREFERRED_CODEC || null,
+    preferredLanguages: config.RANKING_PREFERRED_LANGUAGES,
+  });
+});
+
+test('buildRankingPolicy applies the user\'s preferences, including "No preference"', () => {
+  const preferences = parseUserConfig({
+    language_te: 'on',
+    preferredResolution: '720p',
+    preferredSource: 'No preference',
+    preferredCodec: 'x264',
+  });
+  assert.deepEqual(buildRankingPolicy(preferences), {
+    preferredResolution: '720p',
+    preferredSource: null,
+    preferredCodec: 'x264',
+    preferredLanguages: ['te'],
+  });
+});
+
+test('scoreStream gives a stream matching every criterion 100 points', () => {
+  const { score, reasons } = scoreStream(storedStream({}), policy);
+  assert.equal(score, 100);
+  assert.deepEqual(reasons, ['1080p', 'Tamil audio', 'WEB-DL', 'x265', 'English subs', '5.1 audio']);
+});
+
+test('scoreStream scales resolution points by the distance from the preferred tier', () => {
+  const score = resolution => scoreStream(storedStream({ resolution }), policy).score;
+  assert.ok(score('1080p') > score('720p'));
+  assert.ok(score('720p') > score('SD'));
+  assert.equal(score('2160p'), score('720p'));
+  assert.equal(score(''), 60);
+});
+
+test('scoreStream counts HEVC as x265 and gives half the language points when none is stated', () => {
+  const { score, reasons } = scoreStream(storedStream({ codecs: JSON.stringify(['HEVC']), languages: '[]' }), policy);
+  assert.equal(score, 100 - 25 + 13);
+  assert.ok(reasons.includes('audio language not stated'));
+  assert.ok(reasons.includes('x265'));
+});
+
+test('scoreStream penalizes low-quality releases instead of scoring their source', () => {
+  const { score, reasons } = scoreStream(storedStream({ qualityTags: JSON.stringify(['PreDVD']) }), policy);
+  assert.equal(score, 100 - 15 - 50);
+  assert.ok(reasons.includes('PreDVD release'));
+});
+
+test('rankStreams orders by score, then by the larger file', () => {
+  const streams = [
+    storedStream({ id: 'sd', resolution: '480p' }),
+    storedStream({ id: 'small', sizeBytes: '1000' }),
+    storedStream({ id: 'large', sizeBytes: '2000' }),
+  ];
+  const ranked = rankStreams(streams, policy, SortOrders.BEST_MATCH);
+  assert.deepEqual(ranked.map(ranking => ranking.streamData.id), ['large', 'small', 'sd']);
+});
+
+test('rankStreams sorts by size or upload time, putting streams of unknown size last', () => {
+  const streams = [
+    storedStream({ id: 'unknown', timestamp: '2024-03-01T00:00:00Z' }),
+    storedStream({ id: 'large', sizeBytes: '2000', timestamp: '2024-01-01T00:00:00Z' }),
+    storedStream({ id: 'small', sizeBytes: '1000', timestamp: '2024-02-01T00:00:00Z' }),
+  ];
+  assert.deepEqual(rankStreams(streams, policy, SortOrders.SMALLEST).map(ranking => ranking.streamData.id), ['small', 'large', 'unknown']);
+  assert.deepEqual(rankStreams(streams, policy, SortOrders.NEWEST).map(ranking => ranking.streamData.id), ['unknown', 'small', 'large']);
+});
+
+test('describeRanking never reports a negative match', () => {
+  assert.equal(describeRanking({ score: 95, reasons: ['1080p', 'Tamil audio'] }), 'Match 95%: 1080p, Tamil audio');
+  assert.equal(describeRanking({ score: -20, reasons: ['CAM release'] }), 'Match 0%: CAM release');
+});
@@ -0,0 +1,35 @@
+require('./helpers/redis.js');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectSubtitleLanguage, isSubtitleAttachment } = require('../src/subtitles/index.js');
+
+test('detectSubtitleLanguage reads a trailing language code or name', () => {
+  assert.equal(detectSubtitleLanguage('Show.S01E01.en.srt'), 'eng');
+  assert.equal(detectSubtitleLanguage('Show.S01E01.tam.srt'), 'tam');
+  assert.equal(detectSubtitleLanguage('Suzhal - S01E02 - Tamil.srt'), 'tam');
+  assert.equal(detectSubtitleLanguage('Show S01E06 [Malayalam].SRT'), 'mal');
+});
+
+test('detectSubtitleLanguage prefers the trailing token over other languages in the name', () => {
+  assert.equal(detectSubtitleLanguage('Show.S01E03.Tamil.Telugu.srt'), 'tel');
+});
+
+test('detectSubtitleLanguage uses a single language named elsewhere in the name', () => {
+  assert.equal(detectSubtitleLanguage('Show.Hindi.S01E03.srt'), 'hin');
+});
+
+test('detectSubtitleLanguage treats an ESub tag as English', () => {
+  assert.equal(detectSubtitleLanguage('Show.S01E04.ESub.srt'), 'eng');
+});
+
+test('detectSubtitleLanguage returns "und" when the language cannot be told', () => {
+  assert.equal(detectSubtitleLanguage('Show.S01E05.srt'), 'und');
+  assert.equal(detectSubtitleLanguage('Show.Tamil.Telugu.S01E05.srt'), 'und');
+});
+
+test('isSubtitleAttachment accepts .srt and .zip attachments only', () => {
+  assert.equal(isSubtitleAttachment('Show.S01E01.srt'), true);
+  assert.equal(isSubtitleAttachment('Show.S01.Subs.ZIP'), true);
+  assert.equal(isSubtitleAttachment('Show.S01E01.torrent'), false);
+  assert.equal(isSubtitleAttachment(undefined), false);
+});
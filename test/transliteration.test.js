@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { phoneticWord, phoneticKey } = require('../src/parser/transliteration.js');
+
+test('phoneticKey folds common romanization variants to the same key', () => {
+  assert.equal(phoneticKey('Suzhal'), phoneticKey('Sulal'));
+  assert.equal(phoneticKey('Kadhal'), phoneticKey('Kaadhal'));
+  assert.equal(phoneticKey('Thalaivar'), phoneticKey('Thalaivaa'));
+  assert.equal(phoneticKey('Sheelam'), phoneticKey('Silam'));
+  assert.equal(phoneticKey('Poove Unakkaga'), phoneticKey('Puve Unakaga'));
+});
+
+test('phoneticKey lowercases, drops punctuation and joins words with hyphens', () => {
+  assert.equal(phoneticKey('Suzhal: The Vortex'), 'sulal-de-vortex');
+  assert.equal(phoneticKey('  Vadhandhi -  The Fable  '), 'vadandi-de-fable');
+});
+
+test('phoneticKey keeps words with digits as they are', () => {
+  assert.equal(phoneticKey('Suzhal 2022'), 'sulal-2022');
+  assert.equal(phoneticWord('S01'), 's01');
+});
+
+test('phoneticKey returns an empty string for empty input', () => {
+  assert.equal(phoneticKey(''), '');
+  assert.equal(phoneticKey(undefined), '');
+  assert.equal(phoneticKey('!!'), '');
+});